@@ -4,31 +4,55 @@
 const clear = require('clear');
 const Configstore = require('configstore');
 const pkg = require('./package.json');
-const CLI = require('clui');
-const Spinner = CLI.Spinner;
 const minimist = require('minimist');
 const path = require('path');
 const opn = require('opn');
-const xmlparser = require('fast-xml-parser');
 const editJsonFile = require('edit-json-file');
+const chalk = require('chalk');
 
 // Custom scripts
 const files = require('./lib/files');
 const helpers = require('./lib/helpers');
 const qb = require('./lib/qb');
+const pipeline = require('./lib/pipeline');
+const plan = require('./lib/plan');
+const manifest = require('./lib/manifest');
+const remoteDiff = require('./lib/remoteDiff');
+const pull = require('./lib/pull');
+const snapshots = require('./lib/snapshots');
+const promotion = require('./lib/promote');
+const watcher = require('./lib/watch');
+const preview = require('./lib/serve');
+const payloads = require('./lib/payloads');
+const diagnostics = require('./lib/diagnostics');
+const output = require('./lib/output');
+const ci = require('./lib/ci');
+const placeholders = require('./lib/placeholders');
+const validate = require('./lib/validate');
+const migration = require('./lib/migrate');
+const pageIds = require('./lib/pageIds');
+const environments = require('./lib/environments');
+const targets = require('./lib/targets');
+const credentials = require('./lib/credentials');
 const alert = require('./lib/alerts');
 const qbcliTemplate = require('./lib/qbcliTemplate');
 const userInput = require('./lib/userInput');
 const userConfirmation = require('./lib/userInputConfirmation');
 const modifyPrefixInput = require('./lib/userInputModifyPrefix');
+const pullInput = require('./lib/userInputPull');
+const rollbackInput = require('./lib/userInputRollback');
+const migrateInput = require('./lib/userInputMigrate');
+const loginInput = require('./lib/userInputLogin');
 
 // Initialize Configstore
 const configurationFile = new Configstore(pkg.name);
 
+// Tokens saved with "deployqb login" - encrypted with a passphrase that is asked for once per run
+const credentialStore = new Configstore(`${pkg.name}-credentials`);
+let storePassphrase = null;
+
 // Load enums/commands
 const ENUMS = require('./lib/enums');
-const { forEach } = require('lodash');
-require('dotenv').config();
 
 /**
  * Runs the main logic for the CLI Script
@@ -40,16 +64,34 @@ const run = async () => {
   const qbCliJsonExists = files.fileFolderExists(pathToQBCLIJSON);
   let existingQbCliConfigs = null;
 
+  const args = minimist(process.argv.slice(2));
+
+  // --json: no spinners or messages on stdout - a single JSON document is written when the command finishes
+  output.configure({ json: args.json, command: args._.join(' ') });
+
+  // --ci/--yes: never prompt - credentials come from the environment or --env-path (not --env-file, which Node 20 reads itself)
+  ci.configure(args);
+  try {
+    ci.loadEnvironment(args['env-path'] || process.env.DEPLOYQB_ENV_PATH);
+  } catch (err) {
+    alert.error(err.message);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+
   if (qbCliJsonExists) {
     existingQbCliConfigs = files.readJSONFile(pathToQBCLIJSON);
   }
 
-  const args = minimist(process.argv.slice(2));
+  // Retry settings for every Quick Base request
+  qb.configure(getUploadOptions(args, existingQbCliConfigs));
 
   // If running the install command
   if (args._.includes(ENUMS.DEPLOYQB_INIT_CMD)) {
     // Clear the screen
-    clear();
+    if (!output.isJsonMode() && !ci.isEnabled()) {
+      clear();
+    }
 
     const repositoryId = process.env.REPOSITORY_ID;
 
@@ -67,13 +109,14 @@ const run = async () => {
     }
 
     // Create qbcli template object
-    const data = qbcliTemplate();
+    let data = qbcliTemplate();
 
 
-    // If qbcli.json already exists, grab the URL query string and filesconf
+    // If qbcli.json already exists, keep its settings (in the current format) and only replace the ones set in .env
     if (qbCliJsonExists) {
-      data.urlQueryString = existingQbCliConfigs.urlQueryString;
-      data.filesConf = existingQbCliConfigs.filesConf;
+      const { configs: existingConfigs } = migration.migrateConfig(existingQbCliConfigs);
+      const fromEnv = Object.keys(data).filter((key) => key !== 'urlQueryString' && key !== 'filesConf' && data[key] !== undefined && data[key] !== '');
+      data = { ...existingConfigs, ...Object.fromEntries(fromEnv.map((key) => [key, data[key]])) };
     }
 
     // Save feature prefix outside project/repo/qbcli.json as this is specific to an individual coder
@@ -91,110 +134,239 @@ const run = async () => {
   }
 
 
-  // If running the production, development, or feature deploy option
-  else if (
-    args._.includes(ENUMS.DEPLOY_DEV_CMD) ||
-    args._.includes(ENUMS.DEPLOY_PROD_CMD) ||
-    args._.includes(ENUMS.DEPLOY_FEAT_CMD)
-  ) {
-    // Set the necessary deployment type
-    const deploymentType = getDeploymentType(args);
-
-    // Ensure user is running the command from the root of their directory
-    if (!qbCliJsonExists) {
-      alert.error('This deployqb command can only be run from the root of your directory.');
+  // If running the login/logout/whoami commands - checked before the deploy commands as they take an environment argument
+  else if (args._.includes(ENUMS.LOGIN_CMD)) {
+    await login(args, qbCliJsonExists, existingQbCliConfigs);
+  } else if (args._.includes(ENUMS.LOGOUT_CMD)) {
+    logout(args, qbCliJsonExists, existingQbCliConfigs);
+  } else if (args._.includes(ENUMS.WHOAMI_CMD)) {
+    whoami(qbCliJsonExists, existingQbCliConfigs);
+  }
+  // If running the plan (dry-run) command - must be checked before the deploy commands as it takes an environment argument
+  else if (args._.includes(ENUMS.PLAN_CMD)) {
+    const deploymentType = getDeploymentType(args, existingQbCliConfigs);
+    if (!deploymentType) {
+      alert.error('Please provide an environment to plan - for example "deployqb plan prod".');
       return;
     }
 
-    // Get repo ID and files to push to prod
-    const { repositoryId, filesConf } = existingQbCliConfigs;
-    if (filesConf.length < 1) {
-      alert.error('You must list files to deploy in your qbcli.json.');
+    // Credentials are not needed for a dry-run, so only warn if they are missing
+    const context = await getDeploymentContext(deploymentType, qbCliJsonExists, existingQbCliConfigs, { requireCredentials: false });
+    if (!context) {
       return;
     }
 
-    // Get configs stored from qbcli install
-    const configs = getConfiguration(repositoryId);
-    if (!configs) {
-      alert.error('Project may never have been initialized - please run deployqb init.');
+    try {
+      const deploymentPlan = await plan.buildPlan(context.filesConf, context.prefix, context.target, context.pipelineOptions);
+      if (output.isJsonMode()) {
+        output.setResult(plan.toJSON(deploymentPlan));
+      } else {
+        plan.printPlan(deploymentPlan);
+      }
+    } catch (err) {
+      alert.error(err.message);
+      output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    }
+  }
+  // If running the diff command - compares the local files with what is live in Quick Base
+  else if (args._.includes(ENUMS.DIFF_CMD)) {
+    const deploymentType = getDeploymentType(args, existingQbCliConfigs);
+    if (!deploymentType) {
+      alert.error('Please provide an environment to compare - for example "deployqb diff prod".');
       return;
     }
 
-    // If this is a prod/dev deployment, double-check if the user wants to deploy
-    if (deploymentType === 'prod' || deploymentType === 'dev') {
-      const confirmation = await userConfirmation.getInput(deploymentType);
-      if (confirmation.answer !== 'yes') {
-        return;
-      }
+    const context = await getDeploymentContext(deploymentType, qbCliJsonExists, existingQbCliConfigs);
+    if (!context) {
+      return;
     }
 
-    // Get prefix for files
-    const prefix = helpers.prefixGenerator(
-      {
-        customPrefix: existingQbCliConfigs.devPrefix,
-        customPrefixProduction: existingQbCliConfigs.prodPrefix,
-        customPrefixFeature: configs.customPrefixFeature,
-      },
-      deploymentType,
-      repositoryId
-    );
-
+    const status = output.createSpinner(`Downloading pages from the ${deploymentType} environment...`);
+    let pages;
     try {
-      const arrayOfFileContents = await getAllFileContents(filesConf, prefix);
-      if (!arrayOfFileContents || arrayOfFileContents.length < 1) {
-        alert.error(
-          'Please check your qbcli.json in the root of your project. Make sure you have mapped the correct path to all of the files you are trying to deploy. Also, check all filenames match what is in those directories, and that all files have content (this tool will not deploy blank files - add a comment in the file if you would like to deploy without code).'
-        );
-        return;
-      }
-
-      // Add the appropriate extension prefix to each file depending on whether it is dev/prod deployment
-      let indexFileName = null;
-      const formattedFiles = arrayOfFileContents.map(([fileName, fileContents, isIndexFile]) => {
+      ({ pages } = await getAllFileContents(context.filesConf, context.prefix, context.pipelineOptions));
+    } catch (err) {
+      alert.error(err.message);
+      output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+      return;
+    }
 
-        if (isIndexFile) {
-          indexFileName = fileName;
-        }
-        return [`${prefix}${fileName}`, fileContents];
-      });
-      // Handle API calls to deploy files
-      for(i = 0; i < formattedFiles.length; i++) {
-        await handleAPICalls(deploymentType, formattedFiles[i], existingQbCliConfigs);
-      };
+    try {
+      status.start();
+      const results = await remoteDiff.compareWithRemote(pages, context.target, context.prefix);
+      status.stop();
 
+      if (output.isJsonMode()) {
+        output.setResult({ target: targets.toJSON(context.target), prefix: context.prefix, pages: results });
+      } else {
+        remoteDiff.printResults(results);
+      }
+      // like diff(1), differences exit with 1
+      if (remoteDiff.hasDifferences(results)) {
+        output.setExitCode(output.EXIT_CODES.FAILURE);
+      }
     } catch (err) {
-      alert.error(
-        'Please check your qbcli.json in the root of your project. Make sure you have mapped the correct path to all of the files you are trying to deploy. Also, check all filenames match what is in those directories and make sure those files have content (this tool will not deploy blank files - add a comment if you would like to deploy without code).'
-      );
-      return;
+      status.stop();
+      alertRequestError(err);
     }
   }
+  // If running the pull command - imports pages from Quick Base into the project
+  else if (args._.includes(ENUMS.PULL_CMD)) {
+    await pullPages(args, qbCliJsonExists, existingQbCliConfigs, pathToQBCLIJSON);
+  }
+  // If running the rollback command - restores a snapshot taken before a deployment
+  else if (args._.includes(ENUMS.ROLLBACK_CMD)) {
+    await rollback(args, qbCliJsonExists, existingQbCliConfigs);
+  }
+  // If running the promote command - ships the pages deployed to one environment to another
+  else if (args._.includes(ENUMS.PROMOTE_CMD)) {
+    await promote(args, qbCliJsonExists, existingQbCliConfigs, pathToQBCLIJSON);
+  }
+  // If running the watch command - redeploys pages as their files change
+  else if (args._.includes(ENUMS.WATCH_CMD)) {
+    await watch(args, qbCliJsonExists, existingQbCliConfigs, pathToQBCLIJSON);
+  }
+  // If running the serve command - previews the pages locally without touching Quick Base
+  else if (args._.includes(ENUMS.SERVE_CMD)) {
+    await serve(args, qbCliJsonExists, existingQbCliConfigs);
+  }
+  // If running the export command - writes the deployment payloads to disk instead of sending them
+  else if (args._.includes(ENUMS.EXPORT_CMD)) {
+    await exportPages(args, qbCliJsonExists, existingQbCliConfigs);
+  }
+  // If running the import command - sends the payloads written by the export command
+  else if (args._.includes(ENUMS.IMPORT_CMD)) {
+    await importPages(args, qbCliJsonExists, existingQbCliConfigs);
+  }
+  // If running the validate command - checks qbcli.json and the files it lists
+  else if (args._.includes(ENUMS.VALIDATE_CMD)) {
+    validateProject(args, qbCliJsonExists, existingQbCliConfigs);
+  }
+  // If running the migrate command - rewrites an older qbcli.json in the current format
+  else if (args._.includes(ENUMS.MIGRATE_CMD)) {
+    await migrateProject(args, qbCliJsonExists, existingQbCliConfigs, pathToQBCLIJSON);
+  }
   // If running the launch command
-  else if (
-    args._.includes(ENUMS.LAUNCH_PROD_CMD) ||
-    args._.includes(ENUMS.LAUNCH_FEAT_CMD) ||
-    args._.includes(ENUMS.LAUNCH_DEV_CMD)
-  ) {
-    const { launchDbid, pageId, errorMessage } = getLaunchParameters(args, existingQbCliConfigs);
+  else if ([ENUMS.LAUNCH_CMD, ENUMS.LAUNCH_PROD_CMD, ENUMS.LAUNCH_FEAT_CMD, ENUMS.LAUNCH_DEV_CMD].includes(args._[0])) {
+    const { deploymentType, launchRealmUrl, launchDbid, pageId, urlQueryString, errorMessage } = getLaunchParameters(args, qbCliJsonExists, existingQbCliConfigs);
+    if (qbCliJsonExists && !deploymentType) {
+      alertUnknownEnvironment(args, existingQbCliConfigs, ENUMS.LAUNCH_CMD);
+      return;
+    }
+
+    // --local opens the page in the deployqb serve preview instead of Quick Base
+    if (args.local) {
+      const localUrl = await getLocalPreviewUrl(args, deploymentType, qbCliJsonExists, existingQbCliConfigs);
+      if (localUrl) {
+        output.setResult({ deploymentType, url: localUrl });
+        opn(localUrl);
+      }
+      return;
+    }
 
     if (!pageId) {
       alert.error(errorMessage);
+      output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
       return;
     }
 
     // Get repo ID and files to push to prod
-    const { repositoryId, urlQueryString } = existingQbCliConfigs;
+    const { repositoryId } = existingQbCliConfigs;
     const configs = getConfiguration(repositoryId);
     if (!configs) {
       alert.error('Project may never have been initialized - please run deployqb init.');
+      output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+      return;
+    }
+
+    // Launch the webpage - with the optional query string from qbcli.json (named environments can set their own)
+    const launchUrl = generateLink({ realmUrl: launchRealmUrl, dbid: launchDbid }, pageId, urlQueryString);
+    output.setResult({ deploymentType, url: launchUrl, pageID: pageId });
+    opn(launchUrl);
+  }
+  // If running the deploy command or the production, development, or feature deploy option - only as the command itself
+  // ("deployqb prod"), never as the environment argument of another command ("deployqb genlinks prod")
+  else if ([ENUMS.DEPLOY_CMD, ENUMS.DEPLOY_DEV_CMD, ENUMS.DEPLOY_PROD_CMD, ENUMS.DEPLOY_FEAT_CMD].includes(args._[0])) {
+    // Set the necessary deployment type
+    const deploymentType = getDeploymentType(args, existingQbCliConfigs);
+    if (!deploymentType) {
+      alertUnknownEnvironment(args, existingQbCliConfigs, ENUMS.DEPLOY_CMD);
+      return;
+    }
+
+    if (!checkConfiguration(args, deploymentType, qbCliJsonExists, existingQbCliConfigs)) {
+      return;
+    }
+
+    const context = await getDeploymentContext(deploymentType, qbCliJsonExists, existingQbCliConfigs);
+    if (!context) {
+      return;
+    }
+    const { repositoryId, filesConf, target, prefix, pipelineOptions } = context;
+
+    // Read the files and rewrite their dependencies before asking for confirmation so configuration problems surface first
+    let pages;
+    let skipped;
+    let inlined;
+    try {
+      ({ pages, skipped, inlined } = await getAllFileContents(filesConf, prefix, pipelineOptions));
+    } catch (err) {
+      alert.error(err.message);
+      output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+      return;
+    }
+    if (pages.length < 1) {
+      alert.error(
+        'Please check your qbcli.json in the root of your project. Make sure you have mapped the correct path to all of the files you are trying to deploy. Also, check all filenames match what is in those directories, and that all files have content (this tool will not deploy blank files - add a comment in the file if you would like to deploy without code).'
+      );
+      output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+      return;
+    }
+
+    // Only push pages whose contents changed since the last deployment unless --force is passed
+    const stores = { pathToQBCLIJSON, configurationFile, repositoryId };
+    const comparison = manifest.comparePages(manifest.readManifest(deploymentType, stores), pages, target);
+    const pagesToDeploy = args.force ? pages : pages.filter((page) => !comparison.unchanged.includes(page));
+    if (pagesToDeploy.length < 1) {
+      alert.success(`Nothing to deploy - all ${pages.length} page(s) are unchanged since the last ${deploymentType} deployment. Use --force to deploy them anyway.`);
+      output.setResult(getDeployResult(target, prefix, pages, skipped, [], pageIds.getPageIds(deploymentType, existingQbCliConfigs, context.configs)));
+      return;
+    }
+
+    // Double-check with the user if the environment requires confirmation (dev, prod and most named environments)
+    if (!(await confirmDeployment(deploymentType, target, existingQbCliConfigs))) {
+      return;
+    }
+
+    // Save the current remote body of every page about to change so the deployment can be rolled back
+    if (!(await takeSnapshot(args, deploymentType, target, pagesToDeploy))) {
       return;
     }
 
-    // Add optional query string if present from qbcli.json
-    const encodedQueryString = urlQueryString ? `&${encodeURI(urlQueryString)}` : '';
+    try {
+      const indexPage = pages.find((page) => page.isIndexFile);
+      const outcomes = await uploadPages(deploymentType, target, pagesToDeploy, indexPage, stores, getUploadOptions(args, existingQbCliConfigs));
+      const deployedPages = outcomes.filter((outcome) => !outcome.error).map((outcome) => outcome.page);
 
-    // Launch the webpage
-    opn(`https://${existingQbCliConfigs.realm}.quickbase.com/db/${launchDbid}?a=dbpage&pageID=${pageId}${encodedQueryString}`);
+      // With --force the pages whose hash did not change are pushed too - report them as forced, not unchanged
+      const forcedPages = args.force ? comparison.unchanged : [];
+      const count = (list) => list.filter((page) => deployedPages.includes(page)).length;
+      const summary = args.force
+        ? `${count(comparison.changed)} changed, ${count(forcedPages)} forced, ${count(comparison.added)} new`
+        : `${count(comparison.changed)} changed, ${comparison.unchanged.length} unchanged, ${count(comparison.added)} new`;
+      const failed = pagesToDeploy.length - deployedPages.length;
+      if (failed > 0) {
+        alert.error(`${failed} page(s) failed to deploy to the ${deploymentType} environment (${summary}).`);
+        output.setExitCode(getFailedUploadExitCode(outcomes));
+      } else {
+        alert.success(`Files have been successfully deployed to the ${deploymentType} environment (${summary}).`);
+      }
+      printPlaceholderSubstitutions(deployedPages, inlined);
+      output.setResult(getDeployResult(target, prefix, pages, skipped, outcomes, pageIds.getPageIds(deploymentType, existingQbCliConfigs, context.configs), forcedPages));
+    } catch (err) {
+      alertRequestError(err, `The ${deploymentType} deployment did not finish: `);
+      return;
+    }
   }
   // If running the help command
   else if (args._.includes(ENUMS.DEPLOYQB_HELP)) {
@@ -210,7 +382,7 @@ const run = async () => {
   }
   // If running the generate links command
   else if (args._.includes(ENUMS.GENERATE_LINKS_CMD)) {
-    generateLinks(qbCliJsonExists, existingQbCliConfigs, configurationFile);
+    generateLinks(args, qbCliJsonExists, existingQbCliConfigs);
   }
 };
 
@@ -221,6 +393,7 @@ const run = async () => {
  */
 const saveFeaturePrefix = (repositoryId, customPrefixFeature) => {
   configurationFile.set(repositoryId, {
+    ...(configurationFile.get(repositoryId) || {}),
     customPrefixFeature,
   });
 };
@@ -228,16 +401,116 @@ const saveFeaturePrefix = (repositoryId, customPrefixFeature) => {
 /**
  * Get the deployment type from command arguments.
  * @param {object} args - The command arguments.
- * @returns {string} - The deployment type (prod, dev, or feat).
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations (declares the named environments).
+ * @returns {string} - The deployment type (prod, dev, feat or the name of an environment in qbcli.json).
+ */
+const getDeploymentType = (args, existingQbCliConfigs) => {
+  return environments.findName(args._, existingQbCliConfigs);
+};
+
+/**
+ * Show an error for a command that was not given a known environment.
+ * @param {object} args - The command arguments.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @param {string} command - The command, for the example ("deploy", "launch").
+ */
+const alertUnknownEnvironment = (args, existingQbCliConfigs, command) => {
+  const known = environments.getNames(existingQbCliConfigs).join(', ');
+  const [, requested] = args._;
+  if (requested !== undefined) {
+    alert.error(`There is no "${requested}" environment - use one of: ${known}. Named environments are declared in the "environments" object of your qbcli.json.`);
+  } else {
+    alert.error(`Please provide the environment to ${command} - for example "deployqb ${command} prod" (${known}).`);
+  }
+  output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+};
+
+/**
+ * Loads everything a deployment type needs (files, Configstore configs, target profile and prefix).  Displays an error
+ * and returns null if the project is not set up correctly.  Tokens missing from the environment are read from the
+ * credential store ("deployqb login") when credentials are required.
+ * @param {string} deploymentType - The deployment type (prod, dev, or feat).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @param {object} options - { requireCredentials, requireFiles } - requireCredentials: when false, missing target values are a warning instead of an error.
+ * requireFiles: when false, an empty filesConf is allowed.
+ * @returns {Promise<object|null>} - { repositoryId, filesConf, configs, target, prefix, pipelineOptions }
  */
-const getDeploymentType = (args) => {
-  if (args._.includes(ENUMS.DEPLOY_DEV_CMD)) {
-    return 'dev';
-  } else if (args._.includes(ENUMS.DEPLOY_PROD_CMD)) {
-    return 'prod';
-  } else if (args._.includes(ENUMS.DEPLOY_FEAT_CMD)) {
-    return 'feat';
+const getDeploymentContext = async (deploymentType, qbCliJsonExists, existingQbCliConfigs, { requireCredentials = true, requireFiles = true } = {}) => {
+  // Ensure user is running the command from the root of their directory
+  if (!qbCliJsonExists) {
+    alert.error('This deployqb command can only be run from the root of your directory.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return null;
+  }
+
+  // Get repo ID and files to push
+  const { repositoryId } = existingQbCliConfigs;
+  const filesConf = existingQbCliConfigs.filesConf || [];
+  if (requireFiles && filesConf.length < 1) {
+    alert.error('You must list files to deploy in your qbcli.json.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return null;
+  }
+
+  // Get configs stored from qbcli install
+  const configs = getConfiguration(repositoryId);
+  if (!configs) {
+    alert.error('Project may never have been initialized - please run deployqb init.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return null;
   }
+
+  // Resolve the realm/dbid/tokens this deployment type should go to
+  let target = targets.resolveTarget(deploymentType, existingQbCliConfigs);
+  if (requireCredentials) {
+    try {
+      target = await useStoredCredentials(target);
+    } catch (err) {
+      alert.error(err.message);
+      output.setExitCode(output.EXIT_CODES.AUTH_ERROR);
+      return null;
+    }
+  }
+  useTarget(target);
+  const missingTargetFields = targets.getMissingTargetFields(target);
+  if (missingTargetFields.length > 0) {
+    const message = `Unable to determine the ${deploymentType} target - missing ${missingTargetFields.join(', ')}. Check the realm/dbid/devDbid in your qbcli.json, and run "deployqb login" or set the tokens in your .env file.`;
+    if (requireCredentials) {
+      alert.error(message);
+      output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+      return null;
+    }
+    alert.warning(message);
+  }
+
+  // Get prefix for files
+  const prefix = helpers.prefixGenerator(
+    {
+      customPrefix: existingQbCliConfigs.devPrefix,
+      customPrefixProduction: existingQbCliConfigs.prodPrefix,
+      customPrefixFeature: configs.customPrefixFeature,
+      environments: existingQbCliConfigs.environments,
+    },
+    deploymentType,
+    repositoryId
+  );
+
+  // Options for the content pipeline ({{PLACEHOLDER}} values, transforms, how glob/directory entries in filesConf are
+  // turned into page names and whether this environment bundles its CSS/JS into the index page)
+  const pipelineOptions = {
+    deploymentType,
+    // {{PLACEHOLDERS}} are opt-in - without a "placeholders" object files are deployed as they are
+    placeholders: existingQbCliConfigs.placeholders
+      ? placeholders.resolveValues(existingQbCliConfigs.placeholders, deploymentType, placeholders.getBuiltInValues(target, prefix))
+      : null,
+    transforms: existingQbCliConfigs.transforms,
+    flatten: existingQbCliConfigs.flatten,
+    flattenSeparator: existingQbCliConfigs.flattenSeparator,
+    bundle: Boolean(existingQbCliConfigs.bundle && existingQbCliConfigs.bundle[deploymentType]),
+  };
+
+  return { repositoryId, filesConf, configs, target, prefix, pipelineOptions };
 };
 
 /**
@@ -249,15 +522,98 @@ const getConfiguration = (repositoryId) => {
   return configurationFile.get(repositoryId);
 };
 
+/**
+ * Fill in the tokens a target is missing from the credential store ("deployqb login").  Tokens set in the environment
+ * (or .env) always win.
+ * @param {object} target - The target profile from targets.resolveTarget.
+ * @returns {Promise<object>} - The target with the saved tokens filled in.  Throws if the passphrase is not correct.
+ */
+const useStoredCredentials = async (target) => {
+  const signedIn = target.auth === 'ticket' ? Boolean(target.username && target.password) : Boolean(target.usertoken);
+  const needsSignIn = !signedIn && credentials.has(credentialStore, target.realmUrl);
+  const needsApptoken = !target.apptoken && credentials.has(credentialStore, target.realmUrl, target.dbid);
+  let resolved = target;
+  if (target.realmUrl && (needsSignIn || needsApptoken)) {
+    const passphrase = await getPassphrase(false);
+    if (passphrase) {
+      const saved = credentials.lookup(credentialStore, passphrase, target.realmUrl, target.dbid);
+      resolved = { ...target, usertoken: target.usertoken || saved.usertoken, apptoken: target.apptoken || saved.apptoken };
+      // a saved password is only used with the saved username, and so is the ticket saved by an earlier run
+      if (target.auth === 'ticket' && !signedIn && saved.username) {
+        resolved = {
+          ...resolved,
+          username: saved.username,
+          password: saved.password,
+          ticket: saved.ticket,
+          ticketExpiresAt: saved.ticketExpiresAt,
+          savedSignIn: true,
+        };
+      }
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Mask the target's tokens in all output and, for ticket authentication, make its requests sign in with the
+ * username/password (API_Authenticate) and send the ticket instead of a user token.  When the username/password came
+ * from the credential store, the ticket is saved there too so the next run can use it until it expires.
+ * @param {object} target - The target profile from targets.resolveTarget (and useStoredCredentials).
+ */
+const useTarget = (target) => {
+  [target.usertoken, target.apptoken, target.password, target.ticket].forEach((secret) => output.addSecret(secret));
+  if (target.auth === 'ticket' && target.realmUrl && target.username && target.password) {
+    qb.useTicketAuth(target.realmUrl, target.dbid, {
+      username: target.username,
+      password: target.password,
+      ticket: target.ticket,
+      expiresAt: target.ticketExpiresAt,
+      onTicket: (ticket, expiresAt) => {
+        output.addSecret(ticket);
+        const passphrase = process.env[credentials.PASSPHRASE_VARIABLE] || storePassphrase;
+        if (target.savedSignIn && passphrase) {
+          credentials.saveTicket(credentialStore, passphrase, target.realmUrl, { username: target.username, value: ticket, expiresAt });
+        }
+      },
+    });
+  }
+};
+
+/**
+ * Get the passphrase for the credential store - from DEPLOYQB_PASSPHRASE, or asked once per run.
+ * @param {boolean} create - True when nothing has been saved yet (the passphrase is chosen and asked for twice).
+ * @returns {Promise<string|null>} - The passphrase, or null in CI or JSON mode without DEPLOYQB_PASSPHRASE (a warning is shown).
+ */
+const getPassphrase = async (create) => {
+  if (process.env[credentials.PASSPHRASE_VARIABLE]) {
+    return process.env[credentials.PASSPHRASE_VARIABLE];
+  }
+  if (storePassphrase) {
+    return storePassphrase;
+  }
+  const nonInteractiveMode = getNonInteractiveMode();
+  if (nonInteractiveMode) {
+    alert.warning(`The credentials saved with "deployqb login" are not used in ${nonInteractiveMode} unless ${credentials.PASSPHRASE_VARIABLE} is set.`);
+    return null;
+  }
+  const { passphrase } = await loginInput.getPassphrase(create);
+  storePassphrase = passphrase;
+  return passphrase;
+};
+
 /**
  * Get the launch parameters based on the command.
  * @param {object} args - The command arguments.
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
  * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
  * @returns {object} - Launch parameters.
  */
-const getLaunchParameters = (args, existingQbCliConfigs) => {
+const getLaunchParameters = (args, qbCliJsonExists, existingQbCliConfigs) => {
+  let deploymentType = null;
+  let launchRealmUrl = null;
   let launchDbid = null;
   let pageId = null;
+  let urlQueryString = null;
   let errorMessage = null;
 
   // Ensure user is running the command from the root of their directory
@@ -265,224 +621,1367 @@ const getLaunchParameters = (args, existingQbCliConfigs) => {
     errorMessage = 'This deployqb command can only be run from the root of your directory.';
   } else {
     // Get repo ID
-    const { repositoryId, urlQueryString } = existingQbCliConfigs;
-
-    // Set correct pageID for prod/dev/feat
-    if (args._.includes(ENUMS.LAUNCH_PROD_CMD)) {
-      launchDbid = existingQbCliConfigs.dbid;
-      pageId = existingQbCliConfigs.launchProdPageId;
-      errorMessage =
-        'You must first deploy the production files to the Quick Base application before you can use this command. Try running "deployqb prod" first. If you have done that, then you need to set an "isIndexFile" in your qbcli.json to use this command (see npm docs).';
-    } else if (args._.includes(ENUMS.LAUNCH_DEV_CMD)) {
-      if (existingQbCliConfigs.devAndProdQuickBaseApplications === 'yes') {
-        launchDbid = existingQbCliConfigs.devDbid;
-      } else {
-        launchDbid = existingQbCliConfigs.dbid;
-      }
-      pageId = existingQbCliConfigs.launchDevPageId;
-      errorMessage =
-        'You must first deploy the development files to the Quick Base application before you can use this command. Try running "deployqb dev" first. If you have done that, then you need to set an "isIndexFile" in your qbcli.json to use this command (see npm docs).';
-    } else if (args._.includes(ENUMS.LAUNCH_FEAT_CMD)) {
-      if (existingQbCliConfigs.devAndProdQuickBaseApplications === 'yes') {
-        launchDbid = existingQbCliConfigs.devDbid;
-      } else {
-        launchDbid = existingQbCliConfigs.dbid;
-      }
-      const configs = configurationFile.get(repositoryId);
-      pageId = configs.launchFeatPageId;
-      errorMessage =
-        'You must first deploy the feature files to the Quick Base application before you can use this command. Try running "deployqb feat" first. If you have done that, then you need to set an "isIndexFile" in your qbcli.json to use this command (see npm docs).';
+    const { repositoryId } = existingQbCliConfigs;
+    const configs = getConfiguration(repositoryId);
+
+    // lprod/ldev/lfeat are aliases for "launch prod", "launch dev" and "launch feat"
+    const aliases = { [ENUMS.LAUNCH_PROD_CMD]: 'prod', [ENUMS.LAUNCH_DEV_CMD]: 'dev', [ENUMS.LAUNCH_FEAT_CMD]: 'feat' };
+    const alias = Object.keys(aliases).find((command) => args._.includes(command));
+    deploymentType = alias ? aliases[alias] : getDeploymentType(args, existingQbCliConfigs);
+    if (!deploymentType) {
+      return { deploymentType, launchRealmUrl, launchDbid, pageId, urlQueryString, errorMessage };
     }
-  }
 
-  return { launchDbid, pageId, errorMessage };
-};
+    const environment = environments.getEnvironment(existingQbCliConfigs, deploymentType);
+    const deployCommand = environment.builtIn ? deploymentType : `${ENUMS.DEPLOY_CMD} ${deploymentType}`;
+    errorMessage =
+      `You must first deploy the ${environment.label} files to the Quick Base application before you can use this command. Try running "deployqb ${deployCommand}" first. If you have done that, then you need to set an "isIndexFile" in your qbcli.json to use this command (see npm docs).`;
 
-/**
- * Display the help commands.
- */
-const displayHelp = () => {
-  alert.success('deployqb commands');
-  console.log('init:        Initializes this project.');
-  console.log('feat:        Deploys your files to the feature environment.');
-  console.log('dev:         Deploys your files to the development environment.');
-  console.log('prod:        Deploys your files to the production environment.');
-  console.log('lfeat:       Open your feature environment in Quick Base with your default browser.');
-  console.log('ldev:        Open your development environment in Quick Base with your default browser.');
-  console.log('lprod:       Open your production environment in Quick Base with your default browser.');
-  console.log('efeatprefix: Feature prefix is stored outside qbcli.json - this allows you to edit the Feature environment prefix.');
-  console.log('genlinks:    Displays a list of possible links for each file in your project.\n');
+    // The launch target is the same application the deployment type deploys to
+    const target = targets.resolveTarget(deploymentType, existingQbCliConfigs);
+    launchRealmUrl = target.realmUrl;
+    launchDbid = target.dbid;
+    pageId = pageIds.getLaunchPageId(deploymentType, existingQbCliConfigs, configs);
+    ({ urlQueryString } = environment);
+  }
+
+  return { deploymentType, launchRealmUrl, launchDbid, pageId, urlQueryString, errorMessage };
 };
 
 /**
- * Edit the prefix based on the command.
+ * Write the API_AddReplaceDBPage payload of every page to a directory so it can be imported later.
  * @param {object} args - The command arguments.
  * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
  * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
- * @param {object} configurationFile - The Configstore object.
+ * @returns {Promise<void>}
  */
-const editPrefix = async (args, qbCliJsonExists, existingQbCliConfigs, configurationFile) => {
-  if (args._.includes(ENUMS.EDIT_DEV_PREFIX_CMD) || args._.includes(ENUMS.EDIT_PROD_PREFIX_CMD)) {
-    alert.warning(
-      'After running "deployqb init", you can update your prefixes by opening the qbcli.json file in the root of your project and manually updating the "customPrefix" and "customPrefixProduction" properties.'
-    );
-  } else if (args._.includes(ENUMS.EDIT_FEAT_PREFIX_CMD)) {
-    if (qbCliJsonExists) {
-      const repoId = existingQbCliConfigs.repositoryId;
-      const configs = getConfiguration(repoId);
-      if (configs) {
-        const prefix = await modifyPrefixInput.getInput();
-        configs.customPrefixFeature = prefix.customPrefixFeature;
-        configurationFile.set(repoId, configs);
-        alert.success('Feature prefix has been updated.');
-      } else {
-        alert.error('Project may never have been initialized - please run deployqb init.');
-      }
-    } else {
-      alert.error('This deployqb command can only be run from the root of your directory.');
-    }
+const exportPages = async (args, qbCliJsonExists, existingQbCliConfigs) => {
+  const deploymentType = getDeploymentType(args, existingQbCliConfigs);
+  if (!deploymentType || !args.out || args.out === true) {
+    alert.error('Please provide the environment to export and a directory to write to - for example "deployqb export prod --out ./release".');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
   }
-};
 
-/**
- * Generate links based on the command.
- * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
- * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
- * @param {object} configurationFile - The Configstore object.
- */
-const generateLinks = async () => {
-  console.log(        process.env.LAUNCH_DEV_PAGE_ID,
-    process.env.REALM,
-    process.env.CUSTOM_PREFIX,
-    process.env.CUSTOM_PREFIX_PRODUCTION,
-    process.env.DEV_AND_PROD_QUICKBASE_APPLICATIONS )
-  const repoId = process.env.REPOSITORY_ID;
-  const qbCliJsonExists = files.fileFolderExists(path.join(process.cwd(), ENUMS.QB_CLI_FILE_NAME));
-  if (qbCliJsonExists) {
-    const configs = getConfiguration(repoId);
-    if (configs) {
-      const devLink = generateLink(
-        process.env.LAUNCH_DEV_PAGE_ID,
-        process.env.REALM,
-        process.env.CUSTOM_PREFIX,
-        process.env.CUSTOM_PREFIX_PRODUCTION,
-        process.env.DEV_AND_PROD_QUICKBASE_APPLICATIONS
-      );
-      const prodLink = generateLink(
-        process.env.LAUNCH_PROD_PAGE_ID,
-        process.env.QB_REALM,
-        process.env.CUSTOM_PREFIX,
-        process.env.CUSTOM_PREFIX_PRODUCTION
-      );
-      const featLink = generateLink(
-        process.env.LAUNCH_FEAT_PAGE_ID,
-        process.env.QB_REALM,
-        process.env.CUSTOM_PREFIX,
-        process.env.CUSTOM_PREFIX_PRODUCTION,
-        false,
-        process.env.CUSTOM_PREFIX_FEATURE
-      );
-      console.log('\nDevelopment Link:');
-      console.log(devLink);
-      console.log('\nProduction Link:');
-      console.log(prodLink);
-      console.log('\nFeature Link:');
-      console.log(featLink);
-    } else {
-      alert.error('Project may never have been initialized - please run deployqb init.');
-    }
-  } else {
-    alert.error('This deployqb command can only be run from the root of your directory.');
+  const outDirectory = String(args.out);
+  if (files.fileFolderExists(outDirectory) && files.getFilesFromDirectory(outDirectory) && !args.force) {
+    alert.error(`${outDirectory} is not empty - choose another directory or add --force to write into it.`);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
   }
-};
 
+  // Tokens are not exported, so only the realm/dbid are needed
+  const context = await getDeploymentContext(deploymentType, qbCliJsonExists, existingQbCliConfigs, { requireCredentials: false });
+  if (!context) {
+    return;
+  }
 
-/**
- * Generate a Quick Base application link.
- * @param {string} pageId - The page ID.
- * @param {string} realm - The Quick Base realm.
- * @param {string} customPrefix - The custom prefix.
- * @param {string} customPrefixProduction - The custom prefix for production.
- * @param {boolean} devAndProdQuickBaseApplications - Whether there are separate dev and prod Quick Base applications.
- * @param {string} customPrefixFeature - The custom prefix for feature environment.
- * @returns {string} - The Quick Base application link.
- */
-const generateLink = (pageId, realm, customPrefix, customPrefixProduction, devAndProdQuickBaseApplications = false, customPrefixFeature) => {
-  const prefix = devAndProdQuickBaseApplications ? customPrefix : customPrefixProduction;
-  return `${realm}/db/main?a=dbpage&pageID=${pageId}&namespace=${prefix}${customPrefixFeature ? '-' + customPrefixFeature : ''}`;
+  let pages;
+  try {
+    ({ pages } = await getAllFileContents(context.filesConf, context.prefix, context.pipelineOptions));
+  } catch (err) {
+    alert.error(err.message);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+  if (pages.length < 1) {
+    alert.error('There are no pages to export - check the filesConf in your qbcli.json.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+
+  try {
+    const exported = payloads.writeExport(outDirectory, context.target, context.prefix, pages);
+    exported.pages.forEach((page) => alert.soft(`Exported ${page.pagename} -> ${page.file}`));
+    alert.success(
+      `${exported.pages.length} page(s) for ${exported.realmUrl || '(realm not set)'}/db/${exported.dbid || '(dbid not set)'} have been exported to ${outDirectory}. Run "deployqb import ${outDirectory}" to deploy them.`
+    );
+  } catch (err) {
+    alert.error(err.message);
+    output.setExitCode(output.EXIT_CODES.FAILURE);
+  }
 };
 
 /**
- * Get the contents of all the files to be deployed.
- * @param {array} filesConf - The list of files to deploy.
- * @param {string} prefix - The file prefix.
- * @returns {Promise<array>} - An array of file contents.
+ * Send the payloads written by "deployqb export".  Works outside of a project - the tokens come from the environment.
+ * @param {object} args - The command arguments (--realm/--dbid override the exported target).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists - snapshots are only taken inside a project.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations (null outside of a project) - decides whether the
+ * environment the export was made for requires confirmation.
+ * @returns {Promise<void>}
  */
-const getAllFileContents = async (filesConf, prefix) => {
-  const status = new Spinner('Loading files...');
-  status.start();
+const importPages = async (args, qbCliJsonExists, existingQbCliConfigs) => {
+  const directory = args._[args._.indexOf(ENUMS.IMPORT_CMD) + 1];
+  if (!directory) {
+    alert.error('Please provide the directory to import - for example "deployqb import ./release".');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
 
-  const arrayOfFileContents = [];
-  for (let i = 0; i < filesConf.length; i++) {
-    const fileConf = filesConf[i];
-    const fileName = fileConf.filename;
+  let exported;
+  try {
+    exported = payloads.readExport(String(directory));
+  } catch (err) {
+    alert.error(err.message);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+  const { manifest: exportManifest } = exported;
+
+  // The export's realm/dbid are the default target, and the tokens on this machine (or saved with "deployqb login") are used
+  let target;
+  try {
+    // Sign in the way the exported environment does (a user token outside of the project)
+    target = await useStoredCredentials(
+      targets.createTarget({
+        deploymentType: exportManifest.deploymentType,
+        realm: args.realm || exportManifest.realmUrl,
+        dbid: args.dbid || exportManifest.dbid,
+        auth: targets.getAuthMode(exportManifest.deploymentType, existingQbCliConfigs),
+      })
+    );
+  } catch (err) {
+    alert.error(err.message);
+    output.setExitCode(output.EXIT_CODES.AUTH_ERROR);
+    return;
+  }
+  useTarget(target);
+  const missingTargetFields = targets.getMissingTargetFields(target);
+  if (missingTargetFields.length > 0) {
+    alert.error(`Unable to import - missing ${missingTargetFields.join(', ')}. Run "deployqb login --realm=<realm> --dbid=<dbid>" or set QB_USERTOKEN (or QB_USERNAME/QB_PASSWORD, and QB_APP_TOKEN if needed), or pass --realm/--dbid if the export has none.`);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
 
-    if (files.fileFolderExists(fileName)) {
-      // Read the file contents
-      const fileContents = await files.getFileContents(fileName);
+  alert.soft(`Exported ${exportManifest.exportedAt} from the ${exportManifest.deploymentType} environment:`);
+  exported.payloads.forEach(({ pagename }) => alert.soft(`  ${pagename}`));
 
-      // Determine if it's an index file
-      const isIndexFile = fileConf.isIndexFile === 'yes';
+  if (!(await confirmDeployment(exportManifest.deploymentType, target, existingQbCliConfigs))) {
+    return;
+  }
 
-      arrayOfFileContents.push([fileName, fileContents, isIndexFile]);
-    }
+  if (qbCliJsonExists && !(await takeSnapshot(args, exportManifest.deploymentType, target, exported.payloads))) {
+    return;
   }
 
-  status.stop();
+  const outcomes = [];
+  for (let i = 0; i < exported.payloads.length; i++) {
+    const { pagename, payload } = exported.payloads[i];
+    const status = output.createSpinner(`Importing ${pagename}...`);
+    status.start();
+    try {
+      const result = await qb.sendRequest(target.dbid, target.realmUrl, target.usertoken, target.apptoken, 'API_AddReplaceDBPage', payload);
+      outcomes.push({ page: { pagename }, result, error: null });
+    } catch (err) {
+      outcomes.push({ page: { pagename }, result: null, error: err });
+    }
+    status.stop();
+  }
+  if (!output.isJsonMode()) {
+    diagnostics.printSummaryTable(outcomes);
+  }
 
-  return arrayOfFileContents;
+  const failed = outcomes.filter((outcome) => outcome.error).length;
+  if (failed > 0) {
+    alert.error(`${failed} of ${exported.payloads.length} page(s) failed to import.`);
+    output.setExitCode(getFailedUploadExitCode(outcomes));
+  } else {
+    alert.success(`${exported.payloads.length} page(s) have been imported to ${target.realmUrl}/db/${target.dbid}.`);
+  }
 };
 
 /**
- * Handle the API calls to deploy the files.
+ * Get the preview server's URL for the index page of an environment.
+ * @param {object} args - The command arguments.
  * @param {string} deploymentType - The deployment type (prod, dev, or feat).
- * @param {array} formattedFiles - An array of formatted files to deploy.
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
  * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
- * @returns {Promise<void>} - A promise that resolves when the deployment is complete.
+ * @returns {Promise<string|null>} - The URL, or null if there is no index page (an error is displayed).
  */
-const handleAPICalls = async (deploymentType, formattedFiles, existingQbCliConfigs) => {
-  const {
-    repositoryId,
-    customPrefixProduction,
-    customPrefixFeature,
-    devAndProdQuickBaseApplications,
-  } = existingQbCliConfigs;
-
-  // Retrieve user token and app token from environment variables
-  const usertoken = process.env.USERTOKEN;
-  const apptoken = process.env.APP_TOKEN;
+const getLocalPreviewUrl = async (args, deploymentType, qbCliJsonExists, existingQbCliConfigs) => {
+  const context = await getDeploymentContext(deploymentType, qbCliJsonExists, existingQbCliConfigs, { requireCredentials: false });
+  if (!context) {
+    return null;
+  }
 
+  let indexEntry;
+  try {
+    indexEntry = pipeline.getOrderedEntries(context.filesConf, context.pipelineOptions).entries.find((entry) => pipeline.isIndexFile(entry.fileConf));
+  } catch (err) {
+    alert.error(err.message);
+    return null;
+  }
+  if (!indexEntry) {
+    alert.error('You need to set an "isIndexFile" in your qbcli.json to use --local (see npm docs).');
+    return null;
+  }
 
-  const prefix = devAndProdQuickBaseApplications ? customPrefixProduction : customPrefixFeature;
-  const status = new Spinner('Deploying files...');
-  status.start();
+  const { origin } = getPreviewAddress(args, existingQbCliConfigs);
+  const { urlQueryString } = existingQbCliConfigs;
+  const encodedQueryString = urlQueryString ? `&${encodeURI(urlQueryString)}` : '';
+  return `${origin}/db/${context.target.dbid || 'local'}?a=dbpage&pagename=${encodeURIComponent(`${context.prefix}${indexEntry.name}`)}${encodedQueryString}`;
+};
 
+/**
+ * Get the address of the preview server from the --host/--port options or the "serve" object in qbcli.json.
+ * @param {object} args - The command arguments.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @returns {object} - { host, port, origin } - origin is the URL to open in a browser.
+ */
+const getPreviewAddress = (args, existingQbCliConfigs) => {
+  const serveConfigs = existingQbCliConfigs.serve || {};
+  const host = String(args.host && args.host !== true ? args.host : serveConfigs.host || preview.DEFAULT_HOST);
+  const port = args.port || serveConfigs.port || preview.DEFAULT_PORT;
+  // Listening on every interface still answers on localhost
+  const browserHost = host === '0.0.0.0' || host === '::' ? 'localhost' : host.includes(':') ? `[${host}]` : host;
+  return { host, port, origin: `http://${browserHost}:${port}` };
+};
+
+/**
+ * Serve the pages in filesConf locally, rewritten as they would be for an environment.
+ * @param {object} args - The command arguments.
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @returns {Promise<void>}
+ */
+const serve = async (args, qbCliJsonExists, existingQbCliConfigs) => {
+  const deploymentType = getDeploymentType(args, existingQbCliConfigs) || 'feat';
+  const context = await getDeploymentContext(deploymentType, qbCliJsonExists, existingQbCliConfigs, { requireCredentials: false });
+  if (!context) {
+    return;
+  }
+  const { filesConf, configs, target, prefix, pipelineOptions } = context;
+
+  // --upstream on its own proxies API calls to the environment's realm
+  const serveConfigs = existingQbCliConfigs.serve || {};
+  const { host, port, origin } = getPreviewAddress(args, existingQbCliConfigs);
+  const upstreamSetting = args.upstream !== undefined ? args.upstream : serveConfigs.upstream;
+  const upstream = upstreamSetting === true ? target.realmUrl : targets.getRealmUrl(upstreamSetting || null);
+  if (upstreamSetting === true && !upstream) {
+    alert.error(`The ${deploymentType} environment has no realm to proxy to - pass one with --upstream=<realm>.`);
+    return;
+  }
+
+  const server = preview.createServer({
+    loadPages: async () => (await pipeline.buildPages(filesConf, prefix, pipelineOptions)).pages,
+    pageIdsByName: pageIds.getPageIds(deploymentType, existingQbCliConfigs, configs),
+    upstream,
+    stubs: args.stubs || serveConfigs.stubs,
+    log: (message) => alert.plain(`[${new Date().toLocaleTimeString()}] ${message}`),
+  });
+
+  server.on('error', (err) => {
+    alert.error(`Unable to start the preview server on ${host}:${port}: ${err.message}`);
+    output.setExitCode(output.EXIT_CODES.FAILURE);
+  });
+  server.listen(port, host, () => {
+    alert.success(`Serving the ${deploymentType} pages at ${origin}/db/${target.dbid || 'local'}?a=dbpage&pagename=${prefix}<name>`);
+    alert.soft(upstream ? `Other /db/ requests are proxied to ${upstream}.` : 'Other /db/ requests get stub responses.');
+    if (host !== preview.DEFAULT_HOST && host !== 'localhost') {
+      alert.warning(`The preview is listening on ${host} - other machines that can reach it can read your pages${upstream ? ` and send requests to ${upstream}` : ''}.`);
+    }
+    alert.soft('Press Ctrl+C to stop.');
+  });
+};
+
+/**
+ * Check qbcli.json and the files it lists for one or every deployment type and print the problems found.
+ * @param {object} args - The command arguments (an optional environment).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ */
+const validateProject = (args, qbCliJsonExists, existingQbCliConfigs) => {
+  if (!qbCliJsonExists) {
+    alert.error('This deployqb command can only be run from the root of your directory.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+
+  const deploymentType = getDeploymentType(args, existingQbCliConfigs);
+  const deploymentTypes = deploymentType ? [deploymentType] : environments.getNames(existingQbCliConfigs);
+  const { errors, warnings } = validate.validateConfig(existingQbCliConfigs, deploymentTypes);
+  printValidationProblems(errors, warnings);
+  if (errors.length > 0) {
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+  }
+  output.setResult({ valid: errors.length < 1, schemaVersion: validate.SCHEMA_VERSION, problems: errors.map(formatProblem), warnings: warnings.map(formatProblem) });
+
+  if (errors.length < 1) {
+    alert.success(`qbcli.json is valid for ${deploymentTypes.join(', ')} deployments (schema version ${validate.SCHEMA_VERSION}).`);
+  }
+};
+
+/**
+ * Get the realms (and the applications in each) to log in to or out of - from --realm/--dbid, or the targets of the
+ * given environment (every environment if none is given) in qbcli.json.
+ * @param {object} args - The command arguments.
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @returns {array|null} - [{ realmUrl, dbids, auth }] - auth lists how the environments on the realm sign in
+ * ("usertoken" and/or "ticket").  Null if there is nothing to log in to (an error is displayed).
+ */
+const getLoginTargets = (args, qbCliJsonExists, existingQbCliConfigs) => {
+  if (args.realm && args.realm !== true) {
+    const dbids = args.dbid && args.dbid !== true ? [String(args.dbid)] : [];
+    return [{ realmUrl: targets.getRealmUrl(String(args.realm)), dbids, auth: [args.auth === 'ticket' ? 'ticket' : 'usertoken'] }];
+  }
+  if (!qbCliJsonExists) {
+    alert.error('Run this command from the root of your project, or pass --realm (and --dbid) - for example "deployqb login --realm=myrealm --dbid=bq1234".');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return null;
+  }
+
+  const deploymentType = getDeploymentType(args, existingQbCliConfigs);
+  if (!deploymentType && args._.length > 1) {
+    alertUnknownEnvironment(args, existingQbCliConfigs, args._[0]);
+    return null;
+  }
+
+  // One user token per realm, one app token per application
+  const loginTargets = [];
+  (deploymentType ? [deploymentType] : environments.getNames(existingQbCliConfigs)).forEach((name) => {
+    const { realmUrl, dbid, auth } = targets.resolveTarget(name, existingQbCliConfigs);
+    if (!realmUrl) {
+      return;
+    }
+    let loginTarget = loginTargets.find((candidate) => candidate.realmUrl === realmUrl);
+    if (!loginTarget) {
+      loginTarget = { realmUrl, dbids: [], auth: [] };
+      loginTargets.push(loginTarget);
+    }
+    if (dbid && !loginTarget.dbids.includes(dbid)) {
+      loginTarget.dbids.push(dbid);
+    }
+    if (!loginTarget.auth.includes(auth)) {
+      loginTarget.auth.push(auth);
+    }
+  });
+  if (loginTargets.length < 1) {
+    alert.error('No realm is set for this project - set "realm" in your qbcli.json or pass --realm.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return null;
+  }
+  return loginTargets;
+};
+
+/**
+ * Ask for the user token (or, for ticket authentication, the username and password) of each realm and the app token of
+ * each application, and save them encrypted in the credential store.
+ * @param {object} args - The command arguments (login [env], --realm, --dbid, --auth=ticket).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @returns {Promise<void>}
+ */
+const login = async (args, qbCliJsonExists, existingQbCliConfigs) => {
+  if (!canPrompt('deployqb login asks for your tokens. Set them as environment variables in CI instead.')) {
+    return;
+  }
+  const loginTargets = getLoginTargets(args, qbCliJsonExists, existingQbCliConfigs);
+  if (!loginTargets) {
+    return;
+  }
+
+  try {
+    // Check the passphrase before asking for any tokens
+    const passphrase = await getPassphrase(credentials.isEmpty(credentialStore));
+    credentials.unlock(credentialStore, passphrase);
+
+    for (const { realmUrl, dbids, auth } of loginTargets) {
+      const saved = credentials.list(credentialStore).find((entry) => entry.realmUrl === realmUrl) || {};
+      let usertoken = null;
+      let signIn = {};
+      if (auth.includes('usertoken')) {
+        ({ usertoken } = await loginInput.getUsertoken(realmUrl, Boolean(saved.usertoken)));
+        output.addSecret(usertoken);
+      }
+      if (auth.includes('ticket')) {
+        signIn = await loginInput.getSignIn(realmUrl, saved.username);
+        output.addSecret(signIn.password);
+      }
+      credentials.save(credentialStore, passphrase, { realm: realmUrl, usertoken, ...signIn });
+      for (const dbid of dbids) {
+        const { apptoken } = await loginInput.getApptoken(realmUrl, dbid, credentials.has(credentialStore, realmUrl, dbid));
+        output.addSecret(apptoken);
+        credentials.save(credentialStore, passphrase, { realm: realmUrl, dbid, apptoken });
+      }
+    }
+  } catch (err) {
+    alert.error(err.message);
+    output.setExitCode(output.EXIT_CODES.AUTH_ERROR);
+    return;
+  }
+
+  printCredentials(credentials.list(credentialStore).filter(({ realmUrl }) => loginTargets.some((loginTarget) => loginTarget.realmUrl === realmUrl)));
+  alert.success(`Your credentials have been saved (encrypted) to ${credentialStore.path}. Deployments to these realms use them when the tokens are not set in your environment.`);
+};
+
+/**
+ * Remove saved credentials - for the realms of the given environment (every environment if none is given), --realm, or
+ * every realm with --all.
+ * @param {object} args - The command arguments (logout [env], --realm, --all).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ */
+const logout = (args, qbCliJsonExists, existingQbCliConfigs) => {
+  if (args.all) {
+    credentials.clear(credentialStore);
+    alert.success('Every saved credential has been removed. The next "deployqb login" chooses a new passphrase.');
+    return;
+  }
+  const loginTargets = getLoginTargets(args, qbCliJsonExists, existingQbCliConfigs);
+  if (!loginTargets) {
+    return;
+  }
+  const removed = loginTargets.filter(({ realmUrl }) => credentials.remove(credentialStore, realmUrl)).map(({ realmUrl }) => realmUrl);
+  if (output.isJsonMode()) {
+    output.setResult({ removed });
+  }
+  if (removed.length < 1) {
+    alert.warning(`No credentials are saved for ${loginTargets.map(({ realmUrl }) => realmUrl).join(', ')}.`);
+    return;
+  }
+  alert.success(`The saved credentials for ${removed.join(', ')} have been removed.`);
+};
+
+/**
+ * Show the saved credentials (masked) and, in a project, where each environment's user token (or username/password)
+ * and app token come from.
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ */
+const whoami = (qbCliJsonExists, existingQbCliConfigs) => {
+  const saved = credentials.list(credentialStore);
+  const getSource = (token, isSaved) => {
+    if (token) {
+      return 'environment';
+    }
+    return isSaved ? 'deployqb login' : null;
+  };
+  const environmentCredentials = !qbCliJsonExists
+    ? []
+    : environments.getNames(existingQbCliConfigs).map((name) => {
+        const target = targets.resolveTarget(name, existingQbCliConfigs);
+        const savedRealm = saved.find((entry) => entry.realmUrl === target.realmUrl) || {};
+        const signIn = target.auth === 'ticket' ? target.username && target.password : target.usertoken;
+        return {
+          environment: name,
+          target: targets.toJSON(target),
+          username: target.auth === 'ticket' ? target.username || savedRealm.username || null : null,
+          signIn: getSource(signIn, Boolean(target.auth === 'ticket' ? savedRealm.username : savedRealm.usertoken)),
+          apptoken: getSource(target.apptoken, Boolean(target.realmUrl) && credentials.has(credentialStore, target.realmUrl, target.dbid)),
+        };
+      });
+
+  if (output.isJsonMode()) {
+    output.setResult({ store: credentialStore.path, credentials: saved, environments: environmentCredentials });
+    return;
+  }
+
+  if (saved.length < 1) {
+    alert.soft('No credentials have been saved with "deployqb login".');
+  } else {
+    alert.soft(`Credentials saved in ${credentialStore.path}:`);
+    printCredentials(saved);
+  }
+  if (environmentCredentials.length > 0) {
+    alert.soft('\nTokens used by this project:');
+    environmentCredentials.forEach(({ environment, target, username, signIn, apptoken }) => {
+      const credential = target.auth === 'ticket' ? `signs in as ${username || '(username not set)'} (ticket)` : 'user token';
+      alert.soft(`  ${environment}: ${target.realmUrl || '(realm not set)'}/db/${target.dbid || '(dbid not set)'} - ${credential} from ${signIn || 'nowhere (not set)'}, app token from ${apptoken || 'nowhere (not set)'}`);
+    });
+  }
+};
+
+/**
+ * Print saved credentials (the tokens are masked).
+ * @param {array} saved - Credentials from credentials.list.
+ */
+const printCredentials = (saved) => {
+  saved.forEach(({ realmUrl, usertoken, username, apps }) => {
+    const signIns = [usertoken && `user token ${usertoken}`, username && `signs in as ${username}`].filter(Boolean);
+    alert.soft(`  ${realmUrl}  ${signIns.join(', ')}`);
+    apps.forEach(({ dbid, apptoken }) => alert.soft(`    ${dbid}  app token ${apptoken}`));
+  });
+};
+
+/**
+ * Rewrite qbcli.json in the current format.  Shows the changes as a diff and keeps a backup copy of the current file.
+ * @param {object} args - The command arguments (--dry-run, --write).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @param {string} pathToQBCLIJSON - Path to qbcli.json.
+ */
+const migrateProject = async (args, qbCliJsonExists, existingQbCliConfigs, pathToQBCLIJSON) => {
+  if (!qbCliJsonExists) {
+    alert.error('This deployqb command can only be run from the root of your directory.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+
+  const generation = migration.detectGeneration(existingQbCliConfigs);
+  let migrated;
+  try {
+    migrated = migration.migrateConfig(existingQbCliConfigs);
+  } catch (err) {
+    alert.error(err.message);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+  const { configs, changes, warnings } = migrated;
+  const result = { from: generation, schemaVersion: validate.SCHEMA_VERSION, changes, warnings, saved: false };
+  output.setResult(result);
+
+  if (warnings.length > 0) {
+    alert.warning(warnings.join('\n'));
+  }
+  if (changes.length < 1) {
+    alert.success(`qbcli.json is already schema version ${validate.SCHEMA_VERSION} - there is nothing to migrate.`);
+    return;
+  }
+
+  alert.soft(`qbcli.json is ${generation.description}. Migrating it to schema version ${validate.SCHEMA_VERSION}:`);
+  changes.forEach((change) => alert.soft(`  ${change}`));
+  if (!output.isJsonMode()) {
+    console.log('');
+    remoteDiff.printPatch(migration.getDiff(existingQbCliConfigs, configs));
+  }
+
+  if (args['dry-run']) {
+    alert.warning('Dry run - qbcli.json has not been changed.');
+    return;
+  }
+  if (!args.write) {
+    if (!canPrompt('add --write to save the changes without asking, or --dry-run to only show them.')) {
+      return;
+    }
+    const { save } = await migrateInput.getInput();
+    if (!save) {
+      alert.warning('qbcli.json has not been changed.');
+      return;
+    }
+  }
+
+  const backupPath = migration.getBackupPath(pathToQBCLIJSON);
+  files.saveFile(backupPath, files.getFileContents(pathToQBCLIJSON));
+  files.updateGitIgnore(path.join(process.cwd(), '.gitignore'), 'qbcli.json.*.bak');
+  files.saveJSONToFile(pathToQBCLIJSON, configs);
+  output.setResult({ ...result, saved: true, backupPath: path.relative(process.cwd(), backupPath) });
+  alert.success(`qbcli.json has been migrated to schema version ${validate.SCHEMA_VERSION}. The previous file was saved to ${path.relative(process.cwd(), backupPath)}.`);
+};
+
+/**
+ * Validate qbcli.json before a deployment, unless --no-validate was passed.
+ * @param {object} args - The command arguments.
+ * @param {string|array} deploymentTypes - The deployment type (prod, dev, feat or a named environment), or every
+ * deployment type the command uses (promote checks the source and the destination).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @returns {boolean} - False if qbcli.json has errors and the deployment should stop.
+ */
+const checkConfiguration = (args, deploymentTypes, qbCliJsonExists, existingQbCliConfigs) => {
+  // getDeploymentContext reports a missing qbcli.json
+  if (args.validate === false || !qbCliJsonExists) {
+    return true;
+  }
+
+  const { errors, warnings } = validate.validateConfig(existingQbCliConfigs, [].concat(deploymentTypes));
+  printValidationProblems(errors, warnings);
+  if (errors.length > 0) {
+    alert.soft('Nothing has been deployed. Fix these problems (see "deployqb validate") or add --no-validate to deploy anyway.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Turn a validation problem into a line of text.
+ * @param {object} problem - { path, message } from validate.validateConfig.
+ * @returns {string} - The problem as text.
+ */
+const formatProblem = ({ path: problemPath, message }) => `${problemPath} ${message}`;
+
+/**
+ * Print the problems validate.validateConfig found - errors stop the command, warnings do not.
+ * @param {array} errors - Problems that stop the command.
+ * @param {array} warnings - Problems that do not.
+ */
+const printValidationProblems = (errors, warnings) => {
+  if (warnings.length > 0) {
+    alert.warning(`qbcli.json warnings:\n${warnings.map((problem) => `  ${formatProblem(problem)}`).join('\n')}`);
+  }
+  if (errors.length > 0) {
+    alert.error(`qbcli.json has ${errors.length} problem(s):\n${errors.map((problem) => `  ${formatProblem(problem)}`).join('\n')}`);
+  }
+};
+
+/**
+ * Display the help commands.
+ */
+const displayHelp = () => {
+  alert.success('deployqb commands');
+  console.log('init:        Initializes this project.');
+  console.log('feat:        Deploys your files to the feature environment.');
+  console.log('dev:         Deploys your files to the development environment.');
+  console.log('prod:        Deploys your files to the production environment.');
+  console.log('deploy <env>: Deploys your files to any environment, including the named environments in qbcli.json.');
+  console.log('             Add --force to feat/dev/prod to deploy every page, not just the pages that changed.');
+  console.log('             A snapshot of every page about to change is saved first - add --no-snapshot to skip it.');
+  console.log('             --concurrency=<n> sets how many pages upload at once, --retries=<n> how often failed requests are retried.');
+  console.log('             Add --json to feat/dev/prod, plan, diff, genlinks or a launch command for a JSON result on stdout (dev/prod need --confirm=<env>).');
+  console.log('             Add --ci (or --yes) to never prompt - dev/prod deployments need --confirm=<env>, --env-path=<file> reads the tokens from a file.');
+  console.log('watch <env>: Redeploys changed pages to the feat/dev environment every time you save (--debounce=<ms>).');
+  console.log('promote <from> <to>: Deploys the pages from one environment to another (for example "promote dev prod").');
+  console.log('rollback <env>: Restores the pages in the feat/dev/prod environment from a snapshot.');
+  console.log('plan <env>:  Shows what a feat/dev/prod deployment would do without calling Quick Base.');
+  console.log('validate [env]: Checks qbcli.json and the files it lists (run before every deployment, promote and rollback unless --no-validate).');
+  console.log('migrate:     Rewrites an older qbcli.json in the current format (--dry-run to only show the changes, --write to save without asking).');
+  console.log('diff <env>:  Compares your local files with the pages in the feat/dev/prod environment.');
+  console.log('pull <env>:  Imports existing pages from the feat/dev/prod application into this project (--prefix, --dir, --all, --overwrite).');
+  console.log('export <env> --out <dir>: Writes the feat/dev/prod deployment payloads to a directory instead of deploying them.');
+  console.log('import <dir>: Deploys an export (uses QB_USERTOKEN/QB_APP_TOKEN - add --realm/--dbid to change the target).');
+  console.log('serve <env>: Previews the feat/dev/prod pages locally (--host, --port, --upstream[=<realm>], --stubs=<dir>).');
+  console.log('lfeat:       Open your feature environment in Quick Base with your default browser.');
+  console.log('ldev:        Open your development environment in Quick Base with your default browser.');
+  console.log('lprod:       Open your production environment in Quick Base with your default browser.');
+  console.log('launch <env>: Open any environment in Quick Base with your default browser.');
+  console.log('             Add --local to lfeat/ldev/lprod to open the deployqb serve preview instead.');
+  console.log('efeatprefix: Feature prefix is stored outside qbcli.json - this allows you to edit the Feature environment prefix.');
+  console.log('login [env]: Saves your user token and app tokens, encrypted, for the realms/apps of the project (or --realm/--dbid).');
+  console.log('logout [env]: Removes the saved tokens for the realms of the project (or --realm, --all for everything).');
+  console.log('whoami:      Shows the saved tokens (masked) and where each environment gets its tokens from.');
+  console.log('             Environments set to "ticket" in the "auth" object of qbcli.json sign in with a username/password instead of a user token.');
+  console.log('genlinks:    Displays the launch link and the link to every deployed page for each environment. Add an environment (genlinks prod) to list only that one.\n');
+};
+
+/**
+ * Edit the prefix based on the command.
+ * @param {object} args - The command arguments.
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @param {object} configurationFile - The Configstore object.
+ */
+const editPrefix = async (args, qbCliJsonExists, existingQbCliConfigs, configurationFile) => {
+  if (args._.includes(ENUMS.EDIT_DEV_PREFIX_CMD) || args._.includes(ENUMS.EDIT_PROD_PREFIX_CMD)) {
+    alert.warning(
+      'After running "deployqb init", you can update your prefixes by opening the qbcli.json file in the root of your project and manually updating the "customPrefix" and "customPrefixProduction" properties.'
+    );
+  } else if (args._.includes(ENUMS.EDIT_FEAT_PREFIX_CMD)) {
+    if (qbCliJsonExists) {
+      const repoId = existingQbCliConfigs.repositoryId;
+      const configs = getConfiguration(repoId);
+      if (configs) {
+        if (!canPrompt('run "deployqb efeatprefix" from a terminal.')) {
+          return;
+        }
+        const prefix = await modifyPrefixInput.getInput();
+        configs.customPrefixFeature = prefix.customPrefixFeature;
+        configurationFile.set(repoId, configs);
+        alert.success('Feature prefix has been updated.');
+      } else {
+        alert.error('Project may never have been initialized - please run deployqb init.');
+      }
+    } else {
+      alert.error('This deployqb command can only be run from the root of your directory.');
+    }
+  }
+};
+
+/**
+ * Pull pages from a Quick Base application into the project.  Strips the environment prefix, writes the files to disk,
+ * turns prefixed pagename= references back into dependencies and merges the files into filesConf.
+ * @param {object} args - The command arguments (--prefix, --dir, --all, --overwrite).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @param {string} pathToQBCLIJSON - Path to qbcli.json.
+ */
+const pullPages = async (args, qbCliJsonExists, existingQbCliConfigs, pathToQBCLIJSON) => {
+  const deploymentType = getDeploymentType(args, existingQbCliConfigs);
+  if (!deploymentType) {
+    alert.error('Please provide the environment to pull from - for example "deployqb pull prod".');
+    return;
+  }
+
+  const context = await getDeploymentContext(deploymentType, qbCliJsonExists, existingQbCliConfigs, { requireFiles: false });
+  if (!context) {
+    return;
+  }
+  const { target, filesConf, pipelineOptions } = context;
+
+  // --prefix overrides the environment prefix (use --prefix= for pages that were created without a prefix)
+  const prefix = args.prefix !== undefined ? String(args.prefix) : context.prefix;
+  // filesConf paths end with a slash (./build/css/)
+  const directory = args.dir ? String(args.dir).replace(/\/?$/, '/') : './';
+
+  const status = output.createSpinner('Loading pages from Quick Base...');
+  try {
+    status.start();
+    const remotePages = await qb.listDbPages(target.dbid, target.realmUrl, target.usertoken, target.apptoken);
+    status.stop();
+    if (remotePages.length < 1) {
+      alert.warning('There are no pages in this Quick Base application.');
+      return;
+    }
+
+    let selectedIds;
+    if (args.all) {
+      selectedIds = remotePages.filter((page) => page.name.startsWith(prefix)).map((page) => page.id);
+    } else if (canPrompt('add --all to pull every page with the prefix.')) {
+      selectedIds = (await pullInput.getInput(remotePages, prefix)).pages;
+    } else {
+      return;
+    }
+    const selectedPages = remotePages.filter((page) => selectedIds.includes(page.id));
+
+    // every page that can be referenced - the pages being pulled and the files already in filesConf
+    const { entries } = pipeline.expandFilesConf(filesConf, pipelineOptions);
+    const knownPages = selectedPages
+      .map((page) => ({ pagename: page.name, name: pull.getLocalName(page.name, prefix) }))
+      .concat(entries.map((entry) => ({ pagename: `${prefix}${entry.name}`, name: entry.name })));
+
+    const pulledFiles = [];
+    status.start();
+    for (let i = 0; i < selectedPages.length; i++) {
+      const page = selectedPages[i];
+      const filename = pull.getLocalName(page.name, prefix);
+      const localPath = pull.getLocalPath(entries, filename, directory);
+
+      if (files.fileFolderExists(localPath.filePath) && !args.overwrite) {
+        alert.warning(`Skipping ${page.name} - ${localPath.filePath} already exists (use --overwrite to replace it).`);
+        continue;
+      }
+
+      const body = await qb.getDbPage(target.dbid, target.realmUrl, target.usertoken, target.apptoken, page.id);
+      const { contents, dependencies } = pull.restoreReferences(body, knownPages.filter((known) => known.name !== filename));
+
+      files.createDirectory(path.dirname(localPath.filePath));
+      files.saveFile(localPath.filePath, contents);
+      pulledFiles.push({ filename, path: localPath.path, dependencies, coveredByPattern: localPath.coveredByPattern });
+      alert.soft(`Pulled ${page.name} -> ${localPath.filePath}`);
+    }
+    status.stop();
+
+    const qbcliConfigs = files.readJSONFile(pathToQBCLIJSON);
+    qbcliConfigs.filesConf = pull.mergeFilesConf(qbcliConfigs.filesConf || [], pulledFiles);
+    files.saveJSONToFile(pathToQBCLIJSON, qbcliConfigs);
+
+    alert.success(`${pulledFiles.length} page(s) have been pulled and added to the filesConf in your qbcli.json.`);
+  } catch (err) {
+    status.stop();
+    alertRequestError(err);
+  }
+};
+
+/**
+ * Promote the pages deployed to one environment (usually dev) to another (usually prod) so the destination gets exactly
+ * what was tested rather than whatever is on disk.
+ * @param {object} args - The command arguments (deployqb promote <source> <destination>).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @param {string} pathToQBCLIJSON - Path to qbcli.json.
+ */
+const promote = async (args, qbCliJsonExists, existingQbCliConfigs, pathToQBCLIJSON) => {
+  const [, sourceType, destinationType] = args._;
+  const deploymentTypes = environments.getNames(existingQbCliConfigs);
+  if (!deploymentTypes.includes(sourceType) || !deploymentTypes.includes(destinationType) || sourceType === destinationType) {
+    alert.error('Please provide the environment to promote and the environment to promote it to - for example "deployqb promote dev prod".');
+    return;
+  }
+
+  if (!checkConfiguration(args, [sourceType, destinationType], qbCliJsonExists, existingQbCliConfigs)) {
+    return;
+  }
+
+  const source = await getDeploymentContext(sourceType, qbCliJsonExists, existingQbCliConfigs);
+  const destination = source && (await getDeploymentContext(destinationType, qbCliJsonExists, existingQbCliConfigs));
+  if (!destination) {
+    return;
+  }
+
+  const status = output.createSpinner(`Reading the pages deployed to the ${sourceType} environment...`);
+  let promoted;
   try {
-    await qb.addUpdateDbPage(
-      existingQbCliConfigs.dbid,
-      existingQbCliConfigs.realm,
-      usertoken,
-      apptoken,
-      formattedFiles,
+    status.start();
+    promoted = await promotion.buildPromotedPages(source.filesConf, source.pipelineOptions, source.target, source.prefix, destination.prefix);
+    status.stop();
+  } catch (err) {
+    status.stop();
+    alertRequestError(err);
+    return;
+  }
+
+  if (promoted.missing.length > 0) {
+    alert.error(
+      `Nothing has been promoted - these pages have not been deployed to the ${sourceType} environment:\n${promoted.missing.join('\n')}`
+    );
+    return;
+  }
+
+  promoted.pages.forEach((page) => alert.soft(`${page.sourcePagename} -> ${page.pagename}`));
+  promoted.inlined.forEach(({ name, into }) => alert.soft(`${source.prefix}${name} was bundled into ${source.prefix}${into} and is promoted with it`));
+
+  // Promoted pages keep the placeholder values they were deployed with
+  const differingPlaceholders = placeholders.getDifferingPlaceholders(existingQbCliConfigs.placeholders, sourceType, destinationType);
+  if (differingPlaceholders.length > 0) {
+    alert.warning(
+      `These placeholders have different ${sourceType} and ${destinationType} values, but promoted pages keep their ${sourceType} values: ${differingPlaceholders.join(', ')}. Use "deployqb ${destinationType}" to deploy with the ${destinationType} values.`
     );
+  }
+
+  if (!(await confirmDeployment(destinationType, destination.target, existingQbCliConfigs))) {
+    return;
+  }
+
+  if (!(await takeSnapshot(args, destinationType, destination.target, promoted.pages))) {
+    return;
+  }
+
+  const stores = { pathToQBCLIJSON, configurationFile, repositoryId: destination.repositoryId };
+  const indexPage = promoted.pages.find((page) => page.isIndexFile);
+  const outcomes = await uploadPages(destinationType, destination.target, promoted.pages, indexPage, stores, getUploadOptions(args, existingQbCliConfigs));
+  const deployedPages = outcomes.filter((outcome) => !outcome.error);
+
+  const failed = promoted.pages.length - deployedPages.length;
+  if (failed > 0) {
+    alert.error(`${failed} page(s) failed to promote from the ${sourceType} environment to the ${destinationType} environment.`);
+    output.setExitCode(getFailedUploadExitCode(outcomes));
+  } else {
+    alert.success(`${deployedPages.length} page(s) have been promoted from the ${sourceType} environment to the ${destinationType} environment.`);
+  }
+};
+
+/**
+ * Restore a snapshot taken before a deployment to every page it covers.
+ * @param {object} args - The command arguments.
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ */
+const rollback = async (args, qbCliJsonExists, existingQbCliConfigs) => {
+  const deploymentType = getDeploymentType(args, existingQbCliConfigs);
+  if (!deploymentType) {
+    alert.error('Please provide the environment to roll back - for example "deployqb rollback prod".');
+    return;
+  }
+
+  if (!checkConfiguration(args, deploymentType, qbCliJsonExists, existingQbCliConfigs)) {
+    return;
+  }
+
+  const context = await getDeploymentContext(deploymentType, qbCliJsonExists, existingQbCliConfigs, { requireFiles: false });
+  if (!context) {
+    return;
+  }
+  const { target, repositoryId } = context;
+
+  const availableSnapshots = snapshots.listSnapshots(deploymentType);
+  if (availableSnapshots.length < 1) {
+    alert.error(`There are no ${deploymentType} snapshots in this project.`);
+    return;
+  }
+
+  if (!canPrompt('choose a snapshot by running "deployqb rollback" from a terminal.')) {
+    return;
+  }
+  const { snapshotPath } = await rollbackInput.getInput(availableSnapshots);
+  const snapshot = availableSnapshots.find((item) => item.snapshotPath === snapshotPath);
+  // the same dbid in another realm is another application
+  if (snapshot.dbid !== target.dbid || snapshot.realmUrl.toLowerCase() !== target.realmUrl.toLowerCase()) {
+    alert.error(`This snapshot was taken from ${snapshot.realmUrl}/db/${snapshot.dbid}, but the ${deploymentType} environment now deploys to ${target.realmUrl}/db/${target.dbid}.`);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+
+  if (!(await confirmDeployment(deploymentType, target, existingQbCliConfigs))) {
+    return;
+  }
+
+  const status = output.createSpinner('Restoring pages...');
+  status.start();
+  const result = await snapshots.restoreSnapshot(snapshot, target);
+  status.stop();
 
+  // the restored pages no longer match the manifest, so the next deployment should push them again
+  manifest.forgetPages(deploymentType, result.restored, { configurationFile, repositoryId });
+
+  result.restored.forEach((pagename) => alert.soft(`Restored ${pagename}`));
+  result.failed.forEach(({ pagename, message }) => alert.error(`Unable to restore ${pagename}: ${message}`));
+  if (result.notExisting.length > 0) {
+    alert.warning(
+      `These pages did not exist before the deployment and were left in place - remove them in Quick Base if they are no longer needed:\n${result.notExisting.join('\n')}`
+    );
+  }
+  if (result.failed.length > 0) {
+    output.setExitCode(getFailedUploadExitCode([...result.restored.map(() => ({ error: null })), ...result.failed]));
+  } else {
+    alert.success(`${result.restored.length} page(s) in the ${deploymentType} environment have been restored to ${snapshot.createdAt}.`);
+  }
+};
+
+/**
+ * Display the launch link and the link to every deployed page for each environment (or the one given), built from the
+ * page IDs saved by the last deployment and the environment's target application.
+ * @param {object} args - The command arguments ("genlinks prod" only lists prod).
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ */
+const generateLinks = (args, qbCliJsonExists, existingQbCliConfigs) => {
+  if (!qbCliJsonExists) {
+    alert.error('This deployqb command can only be run from the root of your directory.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+  const configs = getConfiguration(existingQbCliConfigs.repositoryId);
+  if (!configs) {
+    alert.error('Project may never have been initialized - please run deployqb init.');
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+
+  const requested = getDeploymentType(args, existingQbCliConfigs);
+  const deploymentTypes = requested ? [requested] : environments.getNames(existingQbCliConfigs);
+  const links = {};
+  deploymentTypes.forEach((deploymentType) => {
+    const target = targets.resolveTarget(deploymentType, existingQbCliConfigs);
+    const deployedPageIds = pageIds.getPageIds(deploymentType, existingQbCliConfigs, configs);
+    if (!target.realmUrl || !target.dbid || Object.keys(deployedPageIds).length < 1) {
+      return;
+    }
+    const launchPageId = pageIds.getLaunchPageId(deploymentType, existingQbCliConfigs, configs);
+    const { urlQueryString } = environments.getEnvironment(existingQbCliConfigs, deploymentType);
+    links[deploymentType] = {
+      launch: launchPageId ? generateLink(target, launchPageId, urlQueryString) : null,
+      pages: Object.keys(deployedPageIds).reduce((pageLinks, name) => ({ ...pageLinks, [name]: generateLink(target, deployedPageIds[name]) }), {}),
+    };
+  });
+
+  if (Object.keys(links).length < 1) {
+    const deployCommand = !requested || environments.isBuiltIn(requested) ? requested || 'dev' : `${ENUMS.DEPLOY_CMD} ${requested}`;
+    alert.error(`No page IDs have been saved for ${requested ? `the ${requested} environment` : 'any environment'} - deploy first (for example "deployqb ${deployCommand}"), then run genlinks again.`);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+  if (output.isJsonMode()) {
+    output.setResult({ links });
+    return;
+  }
+  Object.keys(links).forEach((deploymentType) => {
+    alert.plain(`\n${deploymentType}:`);
+    alert.plain(`  Launch: ${links[deploymentType].launch || '(no isIndexFile has been deployed)'}`);
+    Object.keys(links[deploymentType].pages).forEach((name) => alert.plain(`  ${name}: ${links[deploymentType].pages[name]}`));
+  });
+};
+
+/**
+ * Generate the link to a dbpage in the target application.
+ * @param {object} target - Target profile from targets.resolveTarget.
+ * @param {string} pageId - The page ID.
+ * @param {string} urlQueryString - Optional query string to add (the launch page uses the environment's urlQueryString).
+ * @returns {string} - The Quick Base page link.
+ */
+const generateLink = (target, pageId, urlQueryString) => {
+  const encodedQueryString = urlQueryString ? `&${encodeURI(urlQueryString)}` : '';
+  return `${target.realmUrl}/db/${target.dbid}?a=dbpage&pageID=${pageId}${encodedQueryString}`;
+};
+
+/**
+ * Get the contents of all the files to be deployed, run through the content pipeline (dependency rewriting, CDATA escaping).
+ * Files that are missing or empty are skipped with a warning.
+ * @param {array} filesConf - The list of files to deploy.
+ * @param {string} prefix - The file prefix.
+ * @param {object} pipelineOptions - Content pipeline options from getDeploymentContext.
+ * @returns {Promise<object>} - { pages, skipped, inlined } from pipeline.buildPages - pages are in deployment order.
+ */
+const getAllFileContents = async (filesConf, prefix, pipelineOptions) => {
+  const status = output.createSpinner('Loading files...');
+  status.start();
+
+  let result;
+  try {
+    result = await pipeline.buildPages(filesConf, prefix, pipelineOptions);
+  } finally {
     status.stop();
-    alert.success(`Files have been successfully deployed to the ${deploymentType} environment.`);
-  } catch (error) {
+  }
+
+  result.skipped.forEach((item) => {
+    alert.warning(`Skipping ${item.filePath} - ${pipeline.describeSkipped(item)}.`);
+  });
+  result.inlined.forEach(({ name, into }) => {
+    alert.soft(`Bundled ${name} into ${into}`);
+  });
+
+  return result;
+};
+
+/**
+ * Check whether an environment deploys to the production application.  feat and dev share it by design when dev and prod
+ * are the same Quick Base application (their pages are prefixed differently), any other environment that resolves to
+ * the prod realm/dbid does not.
+ * @param {string} deploymentType - The deployment type (prod, dev, feat or the name of an environment in qbcli.json).
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @returns {boolean} - True for prod and for environments that resolve to the prod application.
+ */
+const isProductionTarget = (deploymentType, existingQbCliConfigs) => {
+  if (deploymentType === 'prod') {
+    return true;
+  }
+  const qbcliConfigs = existingQbCliConfigs || {};
+  if (environments.isBuiltIn(deploymentType) && qbcliConfigs.devAndProdQuickBaseApplications !== 'yes') {
+    return false;
+  }
+  const target = targets.resolveTarget(deploymentType, qbcliConfigs);
+  const prodTarget = targets.resolveTarget('prod', qbcliConfigs);
+  return Boolean(target.dbid) && target.dbid === prodTarget.dbid && target.realmUrl === prodTarget.realmUrl;
+};
+
+/**
+ * Watch the files in filesConf and redeploy the pages that changed (and the pages that depend on them).
+ * @param {object} args - The command arguments.
+ * @param {boolean} qbCliJsonExists - Whether the qbcli.json file exists.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations.
+ * @param {string} pathToQBCLIJSON - The path to the qbcli.json file.
+ * @returns {Promise<void>}
+ */
+const watch = async (args, qbCliJsonExists, existingQbCliConfigs, pathToQBCLIJSON) => {
+  const deploymentType = getDeploymentType(args, existingQbCliConfigs);
+  if (!deploymentType) {
+    alert.error('Please provide the environment to watch - for example "deployqb watch feat".');
+    return;
+  }
+
+  if (!checkConfiguration(args, deploymentType, qbCliJsonExists, existingQbCliConfigs)) {
+    return;
+  }
+  if (isProductionTarget(deploymentType, existingQbCliConfigs)) {
+    alert.error(`Watching the production application is not allowed${deploymentType === 'prod' ? '' : ` (the ${deploymentType} environment deploys to it)`} - use "deployqb prod" to deploy to production.`);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return;
+  }
+
+  const context = await getDeploymentContext(deploymentType, qbCliJsonExists, existingQbCliConfigs);
+  if (!context) {
+    return;
+  }
+  const { repositoryId, filesConf, target, prefix, pipelineOptions } = context;
+  const stores = { pathToQBCLIJSON, configurationFile, repositoryId };
+
+  if (!(await confirmDeployment(deploymentType, target, existingQbCliConfigs))) {
+    return;
+  }
+
+  // start from the last deployment so the first cycle only pushes what changed since then
+  const previous = manifest.readManifest(deploymentType, stores);
+  const deployedHashes = previous.dbid === target.dbid ? { ...previous.pages } : {};
+
+  const log = (message) => alert.plain(`[${new Date().toLocaleTimeString()}] ${message}`);
+  const uploadOptions = getUploadOptions(args, existingQbCliConfigs);
+
+  const deployChanges = async () => {
+    let pages;
+    try {
+      ({ pages } = await pipeline.buildPages(filesConf, prefix, pipelineOptions));
+    } catch (err) {
+      log(chalk.red(err.message));
+      return;
+    }
+
+    const pagesToDeploy = watcher.getPagesToRedeploy(pages, deployedHashes);
+    if (pagesToDeploy.length < 1) {
+      log('No changes to deploy.');
+      return;
+    }
+
+    const outcomes = await qb.uploadDbPages(target.dbid, target.realmUrl, target.usertoken, target.apptoken, pagesToDeploy, uploadOptions);
+    const deployedPageIds = {};
+    const deployedPages = [];
+    const failures = [];
+    outcomes.forEach(({ page, result, error }) => {
+      if (error) {
+        failures.push(`${page.name} (${error.message})`);
+        return;
+      }
+      deployedPages.push(page);
+      deployedHashes[page.pagename] = page.hash;
+      if (result.pageID) {
+        deployedPageIds[page.name] = result.pageID;
+      }
+    });
+
+    if (deployedPages.length > 0) {
+      const indexPage = pages.find((page) => page.isIndexFile);
+      pageIds.savePageIds(deploymentType, deployedPageIds, indexPage ? indexPage.name : null, stores);
+      manifest.saveManifest(deploymentType, target, deployedPages, stores);
+    }
+
+    const deployedNames = deployedPages.map((page) => page.name).join(', ');
+    if (failures.length > 0) {
+      log(chalk.red(`Deployed ${deployedPages.length} of ${pagesToDeploy.length} page(s)${deployedNames ? ` (${deployedNames})` : ''} - failed: ${failures.join(', ')}`));
+    } else {
+      log(chalk.green(`Deployed ${deployedPages.length} page(s) to ${deploymentType}: ${deployedNames}`));
+    }
+  };
+
+  // changes that arrive while a cycle is deploying are picked up by one more cycle once it finishes
+  let running = false;
+  let pending = false;
+  const runCycle = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        pending = false;
+        await deployChanges();
+      } while (pending);
+    } catch (err) {
+      // keep watching - the next change starts a new cycle
+      log(chalk.red(`The deployment did not finish: ${err.message}`));
+    } finally {
+      running = false;
+    }
+  };
+
+  const debounce = Number(args.debounce) >= 0 ? Number(args.debounce) : 300;
+  await runCycle();
+  watcher.watchFiles(watcher.getWatchPaths(filesConf), runCycle, debounce);
+  alert.soft(`Watching ${filesConf.length} filesConf entr${filesConf.length === 1 ? 'y' : 'ies'} - press Ctrl+C to stop.`);
+};
+
+/**
+ * Display an error from a Quick Base request, followed by guidance for fixing it when the error is a common one, and
+ * exit with the code for that kind of error (auth, configuration or a generic failure).
+ * @param {object} err - The error from lib/qb.js.
+ * @param {string} context - Text displayed before the error message.
+ */
+const alertRequestError = (err, context = '') => {
+  alert.error(`${context}${err.message}`);
+  output.setExitCode(diagnostics.getExitCode(err));
+  const guidance = diagnostics.getGuidance(err);
+  if (guidance) {
+    alert.warning(guidance);
+  }
+};
+
+/**
+ * List every {{PLACEHOLDER}} that was filled in, per page - including the files bundled into a deployed page.
+ * @param {array} pages - The deployed pages.
+ * @param {array} inlined - Files bundled into the index page ({ pagename, into, placeholders } from pipeline.buildPages).
+ */
+const printPlaceholderSubstitutions = (pages, inlined = []) => {
+  const bundledFiles = inlined.filter((item) => pages.some((page) => page.name === item.into));
+  [...pages, ...bundledFiles]
+    .filter((page) => page.placeholders.length > 0)
+    .forEach((page) => {
+      const label = page.into ? `${page.pagename} (bundled into ${pages.find((deployed) => deployed.name === page.into).pagename})` : page.pagename;
+      page.placeholders.forEach(({ name, value, count }) => {
+        alert.soft(`${label}: {{${name}}} -> ${value}${count > 1 ? ` (x${count})` : ''}`);
+      });
+    });
+};
+
+/**
+ * Returns the mode that stops deployqb from asking anything - "CI mode" for --ci/--yes, "JSON mode" for --json (a
+ * prompt would be written into the JSON on stdout) - or null when the user can be asked.
+ * @returns {string|null} - The name of the mode, for messages.
+ */
+const getNonInteractiveMode = () => {
+  if (ci.isEnabled()) {
+    return 'CI mode';
+  }
+  return output.isJsonMode() ? 'JSON mode' : null;
+};
+
+/**
+ * Ask the user to confirm a deployment to an environment that requires confirmation (dev, prod and named environments
+ * unless they set "confirm": false).  In CI and JSON mode nothing is asked - the deployment only goes ahead if
+ * --confirm names the environment.
+ * @param {string} deploymentType - The environment name.
+ * @param {object} target - The target profile from targets.resolveTarget.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations (null outside of a project).
+ * @returns {Promise<boolean>} - True if the deployment should go ahead.
+ */
+const confirmDeployment = async (deploymentType, target, existingQbCliConfigs) => {
+  if (!environments.requiresConfirmation(existingQbCliConfigs, deploymentType)) {
+    return true;
+  }
+  const nonInteractiveMode = getNonInteractiveMode();
+  if (nonInteractiveMode) {
+    if (ci.isConfirmed(deploymentType)) {
+      return true;
+    }
+    alert.error(`Refusing to deploy to ${deploymentType} in ${nonInteractiveMode} without confirmation - add --confirm=${deploymentType}.`);
+    output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+    return false;
+  }
+  const confirmation = await userConfirmation.getInput(deploymentType, target);
+  return confirmation.answer === 'yes';
+};
+
+/**
+ * Stop a command that needs to ask the user something when running in CI or JSON mode.
+ * @param {string} reason - What would have been asked and how to avoid it.
+ * @returns {boolean} - False in CI and JSON mode (the error has been shown).
+ */
+const canPrompt = (reason) => {
+  const nonInteractiveMode = getNonInteractiveMode();
+  if (!nonInteractiveMode) {
+    return true;
+  }
+  alert.error(`This command needs user input, which is not allowed in ${nonInteractiveMode} - ${reason}`);
+  output.setExitCode(output.EXIT_CODES.CONFIG_ERROR);
+  return false;
+};
+
+/**
+ * Save the current remote body of every page about to change, unless --no-snapshot was passed.
+ * @param {object} args - The command arguments.
+ * @param {string} deploymentType - The deployment type (prod, dev, or feat).
+ * @param {object} target - The target profile from targets.resolveTarget.
+ * @param {array} pagesToDeploy - The pages about to be deployed.
+ * @returns {Promise<boolean>} - False if the snapshot failed and the deployment should stop.
+ */
+const takeSnapshot = async (args, deploymentType, target, pagesToDeploy) => {
+  if (args.snapshot === false) {
+    return true;
+  }
+
+  const status = output.createSpinner('Taking a snapshot of the pages about to change...');
+  status.start();
+  try {
+    const snapshotPath = await snapshots.createSnapshot(deploymentType, target, pagesToDeploy);
+    status.stop();
+    files.updateGitIgnore(path.join(process.cwd(), '.gitignore'), '.deployqb/snapshots/');
+    alert.soft(`Snapshot saved to ${path.relative(process.cwd(), snapshotPath)}`);
+    return true;
+  } catch (err) {
     status.stop();
-    alert.error(error.message);
+    alertRequestError(err, `Unable to take a snapshot of the ${deploymentType} environment before deploying, so nothing has been deployed (use --no-snapshot to deploy without a snapshot): `);
+    return false;
+  }
+};
+
+/**
+ * Deploy pages and record the page IDs and content hashes of the pages that were deployed.  Pages are uploaded a few
+ * at a time, each one after its dependencies, and the index page last.
+ * @param {string} deploymentType - The deployment type (prod, dev, or feat).
+ * @param {object} target - The target profile from targets.resolveTarget.
+ * @param {array} pagesToDeploy - The pages to deploy, dependencies first.
+ * @param {object} indexPage - The page flagged isIndexFile (or undefined) - its pageID is used by the launch commands.
+ * @param {object} stores - { pathToQBCLIJSON, configurationFile, repositoryId }
+ * @param {object} uploadOptions - { concurrency } from getUploadOptions.
+ * @returns {Promise<array>} - [{ page, result, error }] for every page - error is set if the page was not deployed.
+ */
+const uploadPages = async (deploymentType, target, pagesToDeploy, indexPage, stores, uploadOptions) => {
+  const status = output.createSpinner(`Deploying ${pagesToDeploy.length} page(s)...`);
+  status.start();
+  const outcomes = await qb.uploadDbPages(target.dbid, target.realmUrl, target.usertoken, target.apptoken, pagesToDeploy, {
+    concurrency: uploadOptions.concurrency,
+    onProgress: (completed, total) => status.message(`Deploying ${total} page(s)... ${completed} done`),
+  });
+  status.stop();
+
+  if (!output.isJsonMode()) {
+    diagnostics.printSummaryTable(outcomes);
   }
+
+  // Keep track of the pageID Quick Base assigned to each file
+  const deployedPageIds = {};
+  const deployedPages = [];
+  outcomes.forEach(({ page, result, error }) => {
+    if (error) {
+      return;
+    }
+    deployedPages.push(page);
+    if (result.pageID) {
+      deployedPageIds[page.name] = result.pageID;
+    }
+  });
+
+  pageIds.savePageIds(deploymentType, deployedPageIds, indexPage ? indexPage.name : null, stores);
+  manifest.saveManifest(deploymentType, target, deployedPages, stores);
+  return outcomes;
+};
+
+/**
+ * Get the exit code for an upload where at least one page failed.
+ * @param {array} outcomes - [{ page, result, error }] from uploadPages.
+ * @returns {number} - AUTH_ERROR if Quick Base rejected the credentials, PARTIAL_DEPLOY if some pages were deployed,
+ * otherwise FAILURE.
+ */
+const getFailedUploadExitCode = (outcomes) => {
+  if (outcomes.some(({ error }) => error && diagnostics.isAuthError(error))) {
+    return output.EXIT_CODES.AUTH_ERROR;
+  }
+  if (outcomes.some(({ error }) => !error)) {
+    return output.EXIT_CODES.PARTIAL_DEPLOY;
+  }
+  return output.EXIT_CODES.FAILURE;
+};
+
+/**
+ * Build the --json result of a deployment.
+ * @param {object} target - The target profile from targets.resolveTarget.
+ * @param {string} prefix - The environment prefix.
+ * @param {array} pages - Every page from the content pipeline.
+ * @param {array} skipped - Files the content pipeline skipped.
+ * @param {array} outcomes - [{ page, result, error }] from uploadPages (pages that are not in it were unchanged).
+ * @param {object} knownPageIds - Page name -> pageID saved by earlier deployments (used for unchanged pages).
+ * @param {array} forcedPages - Pages pushed by --force although their hash did not change (optional).
+ * @returns {object} - { target, prefix, summary, pages, skipped }
+ */
+const getDeployResult = (target, prefix, pages, skipped, outcomes, knownPageIds, forcedPages = []) => {
+  const outcomesByPage = new Map(outcomes.map((outcome) => [outcome.page, outcome]));
+  const pageResults = pages.map((page) => {
+    const outcome = outcomesByPage.get(page);
+    const status = !outcome ? 'unchanged' : outcome.error ? 'failed' : 'deployed';
+    return {
+      name: page.name,
+      pagename: page.pagename,
+      filePath: page.filePath,
+      hash: page.hash,
+      status,
+      forced: Boolean(outcome && !outcome.error && forcedPages.includes(page)),
+      pageID: (outcome && outcome.result && outcome.result.pageID) || (!outcome && knownPageIds[page.name]) || null,
+      error: outcome && outcome.error ? diagnostics.describeError(outcome.error) : null,
+    };
+  });
+
+  const countStatus = (status) => pageResults.filter((page) => page.status === status).length;
+  return {
+    target: targets.toJSON(target),
+    prefix,
+    summary: {
+      deployed: countStatus('deployed'),
+      failed: countStatus('failed'),
+      unchanged: countStatus('unchanged'),
+      forced: pageResults.filter((page) => page.forced).length,
+      skipped: skipped.length,
+    },
+    pages: pageResults,
+    skipped: skipped.map((item) => ({ filePath: item.filePath, reason: pipeline.describeSkipped(item) })),
+  };
+};
+
+/**
+ * Get the upload/retry settings from the "upload" object in qbcli.json and the --concurrency/--retries options.
+ * @param {object} args - The command arguments.
+ * @param {object} existingQbCliConfigs - Existing QB CLI configurations (or null).
+ * @returns {object} - { concurrency, retries, retryDelay, maxRetryDelay, retryErrcodes }
+ */
+const getUploadOptions = (args, existingQbCliConfigs) => {
+  const uploadConfigs = (existingQbCliConfigs && existingQbCliConfigs.upload) || {};
+  const toNumber = (value, fallback) => (value !== undefined && value !== true && Number(value) >= 0 ? Number(value) : fallback);
+  return {
+    concurrency: Math.max(1, toNumber(args.concurrency, toNumber(uploadConfigs.concurrency, 3))),
+    retries: toNumber(args.retries, toNumber(uploadConfigs.retries, 3)),
+    retryDelay: toNumber(uploadConfigs.retryDelay, 500),
+    maxRetryDelay: toNumber(uploadConfigs.maxRetryDelay, 10000),
+    retryErrcodes: uploadConfigs.retryErrcodes || [],
+  };
 };
 
-// Run the main script logic
-run();
+// Run the main script logic - in --json mode the result document is written once everything has finished
+run()
+  .catch((err) => alert.error(err.message))
+  .then(() => output.flush());
@@ -1,17 +1,32 @@
 const chalk = require('chalk');
+const output = require('./output');
 
+// In --json mode stdout is reserved for the JSON document.  Tokens are never printed.
+const log = (message) => {
+    message = output.redact(message);
+    if (output.isJsonMode()) {
+        console.error(message);
+    } else {
+        console.log(message);
+    }
+};
 
 module.exports = {
    success: (message) => {
-        console.log(chalk.green(`\n${message}\n`));
+        log(chalk.green(`\n${message}\n`));
    },
    error: (message) => {
-       console.log(chalk.red(`\n${message}\n`));
+       output.recordError(message);
+       log(chalk.red(`\n${message}\n`));
    },
    warning: (message) => {
-       console.log(chalk.yellow(`\n${message}\n`));
+       log(chalk.yellow(`\n${message}\n`));
    },
    soft: (message)=>{
-       console.log(chalk.cyan(`${message}`));
+       log(chalk.cyan(`${message}`));
+   },
+   // unstyled output (tables, diffs, plans) - redacted like every other message
+   plain: (message = '') => {
+       log(message);
    }
-};
\ No newline at end of file
+};
@@ -0,0 +1,61 @@
+const { escapeRegExp } = require('./helpers');
+
+/**
+ * Returns the pattern for a quoted dbpage URL that references a page by name (?a=dbpage&pagename=main.css).
+ * @param {String} name The unprefixed page name.
+ */
+const dbpageUrlPattern = (name) => {
+    return `(?<quote>["'])[^"']*?[?&](?:amp;)?pagename=${escapeRegExp(name)}(?:&[^"']*)?\\k<quote>`;
+};
+
+module.exports = {
+    /**
+     * Replaces <link rel="stylesheet" href="?a=dbpage&pagename=..."> and <script src="?a=dbpage&pagename=..."></script>
+     * references to other pages with inline <style>/<script> blocks.
+     * @param {String} contents Contents of the index page (before its dependencies are prefixed).
+     * @param {Map} pagesByName Pages that can be inlined (unprefixed name -> page with final contents).
+     * @return {Object} { contents, inlined } - inlined lists the names of the pages that were inlined.
+     */
+    inlineDependencies: (contents, pagesByName) => {
+        const inlined = [];
+        pagesByName.forEach((page, name) => {
+            let found = false;
+
+            const linkRegExp = new RegExp(`<link\\b[^>]*\\bhref=${dbpageUrlPattern(name)}[^>]*>`, 'gi');
+            contents = contents.replace(linkRegExp, (tag) => {
+                if (!/\brel=(["']?)stylesheet\1/i.test(tag)) {
+                    return tag;
+                }
+                found = true;
+                return `<style>\n${page.contents}\n</style>`;
+            });
+
+            const scriptRegExp = new RegExp(`<script\\b([^>]*?)\\s*\\bsrc=${dbpageUrlPattern(name)}([^>]*)>\\s*</script>`, 'gi');
+            contents = contents.replace(scriptRegExp, (tag, before, quote, after) => {
+                found = true;
+                // defer/async only apply to external scripts
+                const attributes = `${before}${after}`.replace(/\s+(defer|async)\b(=(["'])[^"']*\3)?/gi, '');
+                // a literal </script> inside the code would end the inline block early
+                return `<script${attributes}>\n${page.contents.replace(/<\/script/gi, '<\\/script')}\n</script>`;
+            });
+
+            if (found) {
+                inlined.push(name);
+            }
+        });
+        return { contents, inlined };
+    },
+
+    /**
+     * Returns true if a page is still referenced once the index page has been bundled - in which case it still has to
+     * be deployed as its own page.
+     * @param {String} name The unprefixed page name.
+     * @param {String} prefix The environment prefix.
+     * @param {String} bundledContents The final contents of the index page.
+     * @param {Array} otherPages Pages (other than the index page) that will be deployed.
+     */
+    isStillReferenced: (name, prefix, bundledContents, otherPages) => {
+        const reference = new RegExp(`pagename=(?:${escapeRegExp(prefix)})?${escapeRegExp(name)}(?![\\w.-])`);
+        return reference.test(bundledContents) || otherPages.some((page) => page.dependencies.includes(name));
+    },
+};
@@ -0,0 +1,51 @@
+const dotenv = require('dotenv');
+const files = require('./files');
+
+const state = {
+    enabled: false,
+    confirmations: [],
+};
+
+module.exports = {
+    /**
+     * Sets up CI mode from the command arguments.  --ci (or --yes) turns it on, --confirm=prod (or --confirm=dev,prod)
+     * lists the environments a deployment may go to without asking.
+     * @param {Object} args The command arguments.
+     */
+    configure: (args) => {
+        state.enabled = Boolean(args.ci || args.yes);
+        state.confirmations = []
+            .concat(args.confirm || [])
+            .join(',')
+            .split(',')
+            .map((value) => value.trim())
+            .filter((value) => value.length > 0);
+    },
+
+    /**
+     * Returns true in CI mode - nothing is read from or drawn on the terminal.
+     */
+    isEnabled: () => state.enabled,
+
+    /**
+     * Returns true if --confirm names the environment.
+     * @param {String} deploymentType prod, dev or feat.
+     */
+    isConfirmed: (deploymentType) => state.confirmations.includes(deploymentType),
+
+    /**
+     * Loads the credentials into process.env.  The env file is read if given, otherwise the .env in the working
+     * directory is read outside of CI mode.  Variables that are already set are never overwritten, so CI secrets win.
+     * @param {String} envFile Path from --env-path or DEPLOYQB_ENV_PATH.
+     */
+    loadEnvironment: function (envFile) {
+        if (envFile) {
+            if (!files.fileFolderExists(envFile)) {
+                throw new Error(`The env file ${envFile} does not exist.`);
+            }
+            dotenv.config({ path: envFile });
+        } else if (!this.isEnabled()) {
+            dotenv.config();
+        }
+    },
+};
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const targets = require('./targets');
+
+const STORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+// Environment variable that unlocks the store without a prompt
+const PASSPHRASE_VARIABLE = 'DEPLOYQB_PASSPHRASE';
+
+/**
+ * Derives the encryption key from the passphrase.
+ * @param {String} passphrase The passphrase chosen at the first "deployqb login".
+ * @param {String} salt Base64 salt saved with the store.
+ */
+const deriveKey = (passphrase, salt) => {
+    return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32);
+};
+
+/**
+ * Encrypts a value with AES-256-GCM.
+ * @param {Object} value The value to encrypt (saved as JSON).
+ * @param {Buffer} key Key from deriveKey.
+ * @return {Object} { iv, tag, data } - all base64.
+ */
+const encrypt = (value, key) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+};
+
+/**
+ * Decrypts a value encrypted by encrypt.  Throws if the key is wrong or the value was tampered with.
+ * @param {Object} encrypted { iv, tag, data } from encrypt.
+ * @param {Buffer} key Key from deriveKey.
+ */
+const decrypt = (encrypted, key) => {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+};
+
+/**
+ * Encrypts the secrets of a realm and saves them with the masked values shown by whoami.
+ * @param {Object} store The credential Configstore.
+ * @param {String} passphrase The passphrase.
+ * @param {String} realmUrl The realm URL.
+ * @param {Object} secrets { usertoken, username, password, apptokens, ticket }.
+ */
+const writeRealm = (store, passphrase, realmUrl, secrets) => {
+    const apps = Object.keys(secrets.apptokens).reduce((masked, appDbid) => ({ ...masked, [appDbid]: targets.maskToken(secrets.apptokens[appDbid]) }), {});
+    store.set(`realms.${module.exports.getStoreKey(realmUrl)}`, {
+        secrets: encrypt(secrets, deriveKey(passphrase, store.get('salt'))),
+        usertoken: secrets.usertoken ? targets.maskToken(secrets.usertoken) : null,
+        username: secrets.username,
+        apps,
+        savedAt: new Date().toISOString(),
+    });
+};
+
+module.exports = {
+    PASSPHRASE_VARIABLE,
+
+    /**
+     * Returns the saved realms - { "<realm URL>": { secrets, usertoken, username, apps, savedAt } }.  Only "secrets" is
+     * encrypted, "usertoken" and "apps" ({ "<dbid>": "<masked app token>" }) hold masked tokens for display and
+     * "username" is the username saved for ticket authentication.
+     * @param {Object} store The credential Configstore.
+     */
+    getRealms: (store) => {
+        return store.get('realms') || {};
+    },
+
+    /**
+     * Returns true if nothing has been saved with "deployqb login".
+     * @param {Object} store The credential Configstore.
+     */
+    isEmpty: function (store) {
+        return Object.keys(this.getRealms(store)).length === 0;
+    },
+
+    /**
+     * Lists the saved credentials without decrypting them.
+     * @param {Object} store The credential Configstore.
+     * @return {Array} [{ realmUrl, usertoken, username, apps: [{ dbid, apptoken }], savedAt }] - tokens are masked.
+     */
+    list: function (store) {
+        const realms = this.getRealms(store);
+        return Object.keys(realms).map((realmUrl) => ({
+            realmUrl,
+            usertoken: realms[realmUrl].usertoken || null,
+            username: realms[realmUrl].username || null,
+            apps: Object.keys(realms[realmUrl].apps || {}).map((dbid) => ({ dbid, apptoken: realms[realmUrl].apps[dbid] })),
+            savedAt: realms[realmUrl].savedAt,
+        }));
+    },
+
+    /**
+     * Returns true if credentials are saved for the realm (and, when given, an app token for the dbid).
+     * @param {Object} store The credential Configstore.
+     * @param {String} realm The realm (name, host or URL).
+     * @param {String} dbid Application dbid (optional).
+     */
+    has: function (store, realm, dbid) {
+        const entry = this.getRealms(store)[targets.getRealmUrl(realm)];
+        if (!entry) {
+            return false;
+        }
+        return dbid ? Boolean(entry.apps && entry.apps[dbid]) : true;
+    },
+
+    /**
+     * Decrypts every saved realm.
+     * @param {Object} store The credential Configstore.
+     * @param {String} passphrase The passphrase.
+     * @return {Object} { "<realm URL>": { usertoken, username, password, apptokens: { "<dbid>": apptoken }, ticket } } -
+     * ticket is { value, expiresAt } for the last ticket issued to the username (or null).  Throws if the passphrase is
+     * not correct.
+     */
+    unlock: function (store, passphrase) {
+        const realms = this.getRealms(store);
+        if (Object.keys(realms).length === 0) {
+            return {};
+        }
+        const key = deriveKey(passphrase, store.get('salt'));
+        try {
+            return Object.keys(realms).reduce((unlocked, realmUrl) => ({ ...unlocked, [realmUrl]: decrypt(realms[realmUrl].secrets, key) }), {});
+        } catch (err) {
+            throw new Error('The passphrase for the deployqb credential store is not correct.');
+        }
+    },
+
+    /**
+     * Returns the saved tokens for a realm and dbid.
+     * @param {Object} store The credential Configstore.
+     * @param {String} passphrase The passphrase.
+     * @param {String} realm The realm (name, host or URL).
+     * @param {String} dbid Application dbid.
+     * @return {Object} { usertoken, apptoken, username, password, ticket, ticketExpiresAt } - null for values that are
+     * not saved.  The ticket is only returned while it has not expired.
+     */
+    lookup: function (store, passphrase, realm, dbid) {
+        const entry = this.unlock(store, passphrase)[targets.getRealmUrl(realm)];
+        if (!entry) {
+            return { usertoken: null, apptoken: null, username: null, password: null, ticket: null, ticketExpiresAt: null };
+        }
+        const ticket = entry.ticket && entry.ticket.expiresAt > Date.now() ? entry.ticket : null;
+        return {
+            usertoken: entry.usertoken || null,
+            apptoken: (dbid && entry.apptokens[dbid]) || null,
+            username: entry.username || null,
+            password: entry.password || null,
+            ticket: ticket ? ticket.value : null,
+            ticketExpiresAt: ticket ? ticket.expiresAt : null,
+        };
+    },
+
+    /**
+     * Saves (encrypted) the user token or username/password for a realm and the app token for a dbid.  Every realm
+     * shares the passphrase chosen at the first login.
+     * @param {Object} store The credential Configstore.
+     * @param {String} passphrase The passphrase.
+     * @param {Object} credentials { realm, usertoken, username, password, dbid, apptoken } - missing values keep the
+     * saved ones, a missing dbid/apptoken saves only the realm's credentials.
+     */
+    save: function (store, passphrase, { realm, usertoken, username, password, dbid, apptoken }) {
+        const realmUrl = targets.getRealmUrl(realm);
+        const unlocked = this.unlock(store, passphrase);
+        if (!store.get('salt')) {
+            store.set('salt', crypto.randomBytes(16).toString('base64'));
+        }
+        store.set('version', STORE_VERSION);
+
+        const secrets = { usertoken: null, username: null, password: null, apptokens: {}, ticket: null, ...unlocked[realmUrl] };
+        if (username && username !== secrets.username && !password) {
+            throw new Error(`A password is required to sign in to ${realmUrl} as ${username}.`);
+        }
+        if (username && username !== secrets.username) {
+            // the saved ticket belongs to the previous username
+            secrets.ticket = null;
+        }
+        secrets.usertoken = usertoken || secrets.usertoken;
+        secrets.username = username || secrets.username;
+        secrets.password = password || secrets.password;
+        if (dbid && apptoken) {
+            secrets.apptokens[dbid] = apptoken;
+        }
+        if (!secrets.usertoken && !(secrets.username && secrets.password)) {
+            throw new Error(`A user token or a username and password is required for ${realmUrl}.`);
+        }
+
+        writeRealm(store, passphrase, realmUrl, secrets);
+    },
+
+    /**
+     * Saves (encrypted) the ticket API_Authenticate returned for the username saved for a realm, so later runs can use
+     * it until it expires instead of signing in again.
+     * @param {Object} store The credential Configstore.
+     * @param {String} passphrase The passphrase.
+     * @param {String} realm The realm (name, host or URL).
+     * @param {Object} ticket { username, value, expiresAt } - expiresAt is a timestamp in milliseconds.
+     * @return {Boolean} True if the ticket was saved - it is not when the realm has no saved username or the ticket was
+     * issued to another username.
+     */
+    saveTicket: function (store, passphrase, realm, { username, value, expiresAt }) {
+        const realmUrl = targets.getRealmUrl(realm);
+        const secrets = this.unlock(store, passphrase)[realmUrl];
+        if (!secrets || !secrets.username || secrets.username !== username) {
+            return false;
+        }
+        writeRealm(store, passphrase, realmUrl, { ...secrets, ticket: { value, expiresAt } });
+        return true;
+    },
+
+    /**
+     * Removes the credentials for a realm.  Nothing needs to be decrypted.
+     * @param {Object} store The credential Configstore.
+     * @param {String} realm The realm (name, host or URL).
+     * @return {Boolean} True if anything was removed.
+     */
+    remove: function (store, realm) {
+        const realmUrl = targets.getRealmUrl(realm);
+        if (!this.getRealms(store)[realmUrl]) {
+            return false;
+        }
+        store.delete(`realms.${this.getStoreKey(realmUrl)}`);
+        return true;
+    },
+
+    /**
+     * Removes every saved credential and the salt, so the next login chooses a new passphrase.
+     * @param {Object} store The credential Configstore.
+     */
+    clear: (store) => {
+        store.clear();
+    },
+
+    /**
+     * Escapes the dots in a realm URL so Configstore does not read it as a nested path.
+     * @param {String} realmUrl The realm URL.
+     */
+    getStoreKey: (realmUrl) => realmUrl.replace(/\./g, '\\.'),
+};
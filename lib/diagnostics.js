@@ -0,0 +1,117 @@
+const chalk = require('chalk');
+const alert = require('./alerts');
+const output = require('./output');
+
+// errcodes that mean the credentials were rejected or do not have access
+const AUTH_ERRCODES = ['3', '4', '20', '21', '22', '24', '83'];
+
+const TOKEN_GUIDANCE =
+    'Quick Base rejected the user token. Check that the user token for this environment (QB_USERTOKEN, or QB_DEV_USERTOKEN for feat/dev) is set in your .env file, has not been deactivated and belongs to a user of the application. Environments that use "auth": "ticket" need a username/password that can sign in to the application instead.';
+
+const SIGN_IN_GUIDANCE =
+    'Quick Base did not accept the username and password. Check QB_USERNAME/QB_PASSWORD (QB_DEV_... for feat/dev) or run "deployqb login" again. Environments that use "auth": "ticket" sign in with API_Authenticate, so the account must be allowed to sign in with a password on this realm.';
+
+// Guidance for the Quick Base errcodes a deployment most often runs into
+const ERRCODE_GUIDANCE = {
+    3: 'The user that owns the user token does not have permission to manage pages in this application. Ask an application administrator to give that user\'s role permission to edit the application (pages are application-level settings).',
+    4: TOKEN_GUIDANCE,
+    11: 'Quick Base could not parse the request. A page name or page body probably contains characters that are not valid in XML - check the file for control characters.',
+    12: 'The dbid is not valid. Check that "dbid" (prod) or "devDbid" (feat/dev) in your qbcli.json is the dbid of the application, not of a table.',
+    14: 'The dbid is missing or belongs to the wrong kind of object. Check that "dbid" (prod) or "devDbid" (feat/dev) in your qbcli.json is the dbid of the application, not of a table.',
+    19: 'Your IP address is not allowed to access this realm. Ask a realm administrator to allow it or deploy from an allowed network.',
+    20: SIGN_IN_GUIDANCE,
+    21: TOKEN_GUIDANCE,
+    22: TOKEN_GUIDANCE,
+    24: 'The application requires an application token and none (or the wrong one) was sent. Set QB_APP_TOKEN (or QB_DEV_APP_TOKEN for feat/dev) in your .env file to a token listed under the application\'s App Properties, or turn off "Require Application Tokens" for the application.',
+    32: 'The application does not exist. Check "dbid" (prod) or "devDbid" (feat/dev) in your qbcli.json, and that "realm" is the realm the application lives in.',
+    77: 'Quick Base throttled the deployment. Lower "concurrency" in the "upload" settings of your qbcli.json or try again in a minute.',
+    83: 'Access was denied. Check that the user that owns the user token can manage this application.',
+};
+
+module.exports = {
+    /**
+     * Returns guidance for an error from lib/qb.js, or null if there is nothing more specific than its message.
+     * @param {Object} error The error - Quick Base errors have an errcode property, network errors have a code.
+     */
+    getGuidance: (error) => {
+        if (error.errcode && ERRCODE_GUIDANCE[error.errcode]) {
+            return ERRCODE_GUIDANCE[error.errcode];
+        }
+        if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+            return 'The realm could not be found. Check "realm" in your qbcli.json (for example "myrealm" or "myrealm.quickbase.com").';
+        }
+        if (error.status === 404) {
+            return 'The realm answered with "not found". Check "realm" in your qbcli.json and the dbid of the application.';
+        }
+        if (error.status === 401 || error.status === 403) {
+            return TOKEN_GUIDANCE;
+        }
+        return null;
+    },
+
+    /**
+     * Returns true if an error from lib/qb.js means the credentials were rejected or lack permission.
+     * @param {Object} error The error.
+     */
+    isAuthError: (error) => {
+        return AUTH_ERRCODES.includes(error.errcode) || error.status === 401 || error.status === 403;
+    },
+
+    /**
+     * Returns the exit code for an error that stopped a command - AUTH_ERROR if Quick Base rejected the credentials,
+     * CONFIG_ERROR for problems with qbcli.json or the project files (helpers.configError, or a JSON file that does not
+     * parse) and FAILURE for anything else.
+     * @param {Object} error The error.
+     */
+    getExitCode: function (error) {
+        if (this.isAuthError(error)) {
+            return output.EXIT_CODES.AUTH_ERROR;
+        }
+        if (error.configError || error instanceof SyntaxError) {
+            return output.EXIT_CODES.CONFIG_ERROR;
+        }
+        return output.EXIT_CODES.FAILURE;
+    },
+
+    /**
+     * Returns a JSON-friendly description of an error from lib/qb.js.
+     * @param {Object} error The error.
+     * @return {Object} { message, errcode, errtext, errdetail, status, guidance }
+     */
+    describeError: function (error) {
+        return {
+            message: error.message,
+            errcode: error.errcode || null,
+            errtext: error.errtext || null,
+            errdetail: error.errdetail || null,
+            status: error.status || null,
+            guidance: this.getGuidance(error),
+        };
+    },
+
+    /**
+     * Prints one row per page with whether it was deployed, followed by guidance for each kind of error.
+     * @param {Array} outcomes [{ page, result, error }] from qb.uploadDbPages.
+     */
+    printSummaryTable: function (outcomes) {
+        const width = Math.max(4, ...outcomes.map(({ page }) => page.pagename.length));
+        alert.plain(`\n  ${'Page'.padEnd(width)}  Result`);
+        alert.plain(`  ${'-'.repeat(width)}  ${'-'.repeat(6)}`);
+
+        const guidance = [];
+        outcomes.forEach(({ page, result, error }) => {
+            if (!error) {
+                const pageID = result && result.pageID ? ` (pageID ${result.pageID})` : '';
+                alert.plain(`  ${page.pagename.padEnd(width)}  ${chalk.green(`deployed${pageID}`)}`);
+                return;
+            }
+            alert.plain(`  ${page.pagename.padEnd(width)}  ${chalk.red(`FAILED - ${error.message}`)}`);
+            const advice = this.getGuidance(error);
+            if (advice && !guidance.includes(advice)) {
+                guidance.push(advice);
+            }
+        });
+
+        guidance.forEach((advice) => alert.plain(chalk.yellow(`\n  ${advice}`)));
+    },
+};
@@ -12,6 +12,22 @@ module.exports = {
     DEPLOY_DEV_CMD: 'dev',
     DEPLOY_FEAT_CMD: 'feat',
     DEPLOYQB_HELP: 'help',
+    PLAN_CMD: 'plan',
+    DIFF_CMD: 'diff',
+    PULL_CMD: 'pull',
+    ROLLBACK_CMD: 'rollback',
+    PROMOTE_CMD: 'promote',
+    WATCH_CMD: 'watch',
+    SERVE_CMD: 'serve',
+    EXPORT_CMD: 'export',
+    IMPORT_CMD: 'import',
+    VALIDATE_CMD: 'validate',
+    MIGRATE_CMD: 'migrate',
+    DEPLOY_CMD: 'deploy',
+    LAUNCH_CMD: 'launch',
+    LOGIN_CMD: 'login',
+    LOGOUT_CMD: 'logout',
+    WHOAMI_CMD: 'whoami',
 
     QB_CLI_FILE_NAME: 'qbcli.json',
     DEPLOYQB_NAME: 'deployqb',
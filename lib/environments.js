@@ -0,0 +1,106 @@
+// The environments every project has - their settings live at the top of qbcli.json (and feat's prefix in Configstore)
+const BUILT_IN_ENVIRONMENTS = {
+    feat: { label: 'feature', confirm: false },
+    dev: { label: 'development', confirm: true },
+    prod: { label: 'production', confirm: true },
+};
+
+// Names a named environment can have (the "environments" patternProperties in the schema)
+const NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+module.exports = {
+    BUILT_IN_NAMES: Object.keys(BUILT_IN_ENVIRONMENTS),
+
+    /**
+     * Returns true for feat, dev and prod.
+     * @param {String} name The environment name.
+     */
+    isBuiltIn: (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_ENVIRONMENTS, name),
+
+    /**
+     * Returns the settings of a named environment declared in the "environments" object of qbcli.json.
+     * @param {Object} qbcliConfigs qbcli.json configuration object (or null outside of a project).
+     * @param {String} name The environment name.
+     * @return {Object|null} The settings, or null for built-in and unknown environments.
+     */
+    getCustomSettings: function (qbcliConfigs, name) {
+        if (this.isBuiltIn(name) || !NAME_PATTERN.test(name) || !qbcliConfigs || !qbcliConfigs.environments) {
+            return null;
+        }
+        return Object.prototype.hasOwnProperty.call(qbcliConfigs.environments, name) ? qbcliConfigs.environments[name] : null;
+    },
+
+    /**
+     * Returns the name of every environment - feat, dev, prod and then the named environments in qbcli.json (names
+     * the schema rejects are left out).
+     * @param {Object} qbcliConfigs qbcli.json configuration object (or null outside of a project).
+     */
+    getNames: function (qbcliConfigs) {
+        const customNames = Object.keys((qbcliConfigs && qbcliConfigs.environments) || {}).filter((name) => NAME_PATTERN.test(name) && !this.isBuiltIn(name));
+        return this.BUILT_IN_NAMES.concat(customNames);
+    },
+
+    /**
+     * Returns how an environment is deployed and launched.
+     * @param {Object} qbcliConfigs qbcli.json configuration object (or null outside of a project).
+     * @param {String} name The environment name.
+     * @return {Object|null} { name, label, builtIn, confirm, urlQueryString }, or null if the environment is unknown.
+     * confirm is true when a deployment must be confirmed first.
+     */
+    getEnvironment: function (qbcliConfigs, name) {
+        const urlQueryString = qbcliConfigs ? qbcliConfigs.urlQueryString : undefined;
+        if (this.isBuiltIn(name)) {
+            return { name, builtIn: true, ...BUILT_IN_ENVIRONMENTS[name], urlQueryString };
+        }
+        const settings = this.getCustomSettings(qbcliConfigs, name);
+        if (!settings) {
+            return null;
+        }
+        return {
+            name,
+            label: name,
+            builtIn: false,
+            confirm: settings.confirm !== false,
+            urlQueryString: settings.urlQueryString !== undefined ? settings.urlQueryString : urlQueryString,
+        };
+    },
+
+    /**
+     * Returns true if a deployment to the environment must be confirmed.  Unknown environments (for example in an
+     * export imported outside of the project) are always confirmed.
+     * @param {Object} qbcliConfigs qbcli.json configuration object (or null outside of a project).
+     * @param {String} name The environment name.
+     */
+    requiresConfirmation: function (qbcliConfigs, name) {
+        const environment = this.getEnvironment(qbcliConfigs, name);
+        return environment ? environment.confirm : true;
+    },
+
+    /**
+     * Returns the names of the environment variables that hold a named environment's tokens - QB_<NAME>_USERTOKEN and
+     * QB_<NAME>_APP_TOKEN unless "usertokenVariable"/"apptokenVariable" are set, and QB_<NAME>_USERNAME and
+     * QB_<NAME>_PASSWORD for ticket authentication.
+     * @param {String} name The environment name.
+     * @param {Object} settings The environment's settings from qbcli.json.
+     * @return {Object} { usertoken, apptoken, username, password }
+     */
+    getTokenVariables: (name, settings) => {
+        const variablePrefix = `QB_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+        return {
+            usertoken: settings.usertokenVariable || `${variablePrefix}_USERTOKEN`,
+            apptoken: settings.apptokenVariable || `${variablePrefix}_APP_TOKEN`,
+            username: `${variablePrefix}_USERNAME`,
+            password: `${variablePrefix}_PASSWORD`,
+        };
+    },
+
+    /**
+     * Returns the first command argument that names an environment ("deployqb deploy uat", "deployqb plan prod").
+     * @param {Array} commandArguments The command arguments (args._).
+     * @param {Object} qbcliConfigs qbcli.json configuration object (or null outside of a project).
+     */
+    findName: function (commandArguments, qbcliConfigs) {
+        const names = this.getNames(qbcliConfigs);
+        return commandArguments.map(String).find((argument) => names.includes(argument));
+    },
+};
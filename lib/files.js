@@ -17,6 +17,11 @@ module.exports = {
             return false;
         }
     },
+    //creates a directory (and any missing parent directories)
+    createDirectory : (dirPath) => {
+        fs.mkdirSync(dirPath, { recursive: true });
+    },
+
     //checks to see if a file exists
     fileFolderExists: (filePath)=>{
         return fs.existsSync(filePath);
@@ -27,9 +32,16 @@ module.exports = {
      * @param {Object} data JS object data to save to json file
      */
     saveJSONToFile: (filename, data)=>{
-        fs.writeFile( filename, JSON.stringify(data, null, 5), (err)=>{
-            if (err) throw err;
-        });
+        fs.writeFileSync( filename, JSON.stringify(data, null, 5) );
+    },
+
+    /**
+     * Writes text to a file, replacing it if it exists.
+     * @param {String} filePath Path to the file
+     * @param {String} contents Contents to write
+     */
+    saveFile: (filePath, contents)=>{
+        fs.writeFileSync(filePath, contents);
     },
 
     /**
@@ -0,0 +1,114 @@
+const path = require('path');
+const files = require('./files');
+const pageIds = require('./pageIds');
+
+// dev/prod (and named environment) manifests are committed with the project so the whole team shares them - feature
+// manifests live in Configstore
+const MANIFEST_DIRECTORY = path.join('.deployqb', 'manifests');
+
+module.exports = {
+    /**
+     * Returns the path to the manifest file for a shared deployment type.
+     * @param {String} deploymentType dev, prod or the name of an environment in qbcli.json.
+     */
+    getManifestPath: (deploymentType) => {
+        return path.join(process.cwd(), MANIFEST_DIRECTORY, `${deploymentType}.json`);
+    },
+
+    /**
+     * Returns the manifest of what was last deployed to an environment.
+     * @param {String} deploymentType prod, dev or feat.
+     * @param {Object} stores { configurationFile, repositoryId }
+     * @return {Object} { dbid, deployedAt, pages: { pagename: hash } }
+     */
+    readManifest: function (deploymentType, stores) {
+        let manifest = null;
+        if (pageIds.isSharedDeploymentType(deploymentType)) {
+            const manifestPath = this.getManifestPath(deploymentType);
+            if (files.fileFolderExists(manifestPath)) {
+                manifest = files.readJSONFile(manifestPath);
+            }
+        } else {
+            const configs = stores.configurationFile.get(stores.repositoryId) || {};
+            manifest = configs.manifests ? configs.manifests[deploymentType] : null;
+        }
+        return manifest || { dbid: null, deployedAt: null, pages: {} };
+    },
+
+    /**
+     * Splits the pages into new, changed and unchanged pages compared to the manifest.  If the manifest was recorded
+     * against a different application every page is treated as new.
+     * @param {Object} manifest Result of readManifest.
+     * @param {Array} pages Pages from pipeline.buildPages.
+     * @param {Object} target Target profile from targets.resolveTarget.
+     * @return {Object} { changed, unchanged, added } - arrays of pages.
+     */
+    comparePages: (manifest, pages, target) => {
+        const deployedHashes = manifest.dbid === target.dbid ? manifest.pages : {};
+        const result = { changed: [], unchanged: [], added: [] };
+        pages.forEach((page) => {
+            const deployedHash = deployedHashes[page.pagename];
+            if (!deployedHash) {
+                result.added.push(page);
+            } else if (deployedHash !== page.hash) {
+                result.changed.push(page);
+            } else {
+                result.unchanged.push(page);
+            }
+        });
+        return result;
+    },
+
+    /**
+     * Removes pages from the manifest so the next deployment pushes them again (used after a rollback).
+     * @param {String} deploymentType prod, dev or feat.
+     * @param {Array} pagenames Page names to remove.
+     * @param {Object} stores { configurationFile, repositoryId }
+     */
+    forgetPages: function (deploymentType, pagenames, stores) {
+        const manifest = this.readManifest(deploymentType, stores);
+        pagenames.forEach((pagename) => {
+            delete manifest.pages[pagename];
+        });
+        this.writeManifest(deploymentType, manifest, stores);
+    },
+
+    /**
+     * Records the hashes of the pages that were successfully deployed.
+     * @param {String} deploymentType prod, dev or feat.
+     * @param {Object} target Target profile from targets.resolveTarget.
+     * @param {Array} deployedPages Pages that were deployed.
+     * @param {Object} stores { configurationFile, repositoryId }
+     */
+    saveManifest: function (deploymentType, target, deployedPages, stores) {
+        const previous = this.readManifest(deploymentType, stores);
+        const manifest = {
+            dbid: target.dbid,
+            deployedAt: new Date().toISOString(),
+            pages: previous.dbid === target.dbid ? { ...previous.pages } : {},
+        };
+        deployedPages.forEach((page) => {
+            manifest.pages[page.pagename] = page.hash;
+        });
+        this.writeManifest(deploymentType, manifest, stores);
+    },
+
+    /**
+     * Saves a manifest to the project's .deployqb directory (dev/prod) or Configstore (feat).
+     * @param {String} deploymentType prod, dev or feat.
+     * @param {Object} manifest The manifest to save.
+     * @param {Object} stores { configurationFile, repositoryId }
+     */
+    writeManifest: function (deploymentType, manifest, stores) {
+        if (pageIds.isSharedDeploymentType(deploymentType)) {
+            const manifestPath = this.getManifestPath(deploymentType);
+            files.createDirectory(path.dirname(manifestPath));
+            files.saveJSONToFile(manifestPath, manifest);
+        } else {
+            const { configurationFile, repositoryId } = stores;
+            const configs = configurationFile.get(repositoryId) || {};
+            configs.manifests = { ...(configs.manifests || {}), [deploymentType]: manifest };
+            configurationFile.set(repositoryId, configs);
+        }
+    },
+};
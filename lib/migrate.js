@@ -0,0 +1,144 @@
+const jsdiff = require('diff');
+const pipeline = require('./pipeline');
+const { SCHEMA_VERSION } = require('./validate');
+
+// Settings older versions of deployqb wrote, and the settings that replaced them
+const RENAMED_PROPERTIES = {
+    customPrefix: 'devPrefix',
+    customPrefixProduction: 'prodPrefix',
+};
+
+/**
+ * Returns the page names a numeric dependency (an index into filesConf) stands for.
+ * @param {Array} filesConf The filesConf array from qbcli.json.
+ * @param {Array} entries Entries from pipeline.expandFilesConf (null if filesConf could not be expanded).
+ * @param {Number} index The filesConf index.
+ * @return {Array|null} The page names, or null if the index does not point to a file.
+ */
+const getDependencyNames = (filesConf, entries, index) => {
+    const fileConf = filesConf[index];
+    if (!fileConf) {
+        return null;
+    }
+    if (!fileConf.glob && !fileConf.directory) {
+        return fileConf.filename ? [fileConf.filename] : null;
+    }
+    // a glob/directory entry stands for every file it matches
+    const names = (entries || []).filter((entry) => entry.sourceIndex === index).map((entry) => entry.name);
+    return names.length > 0 ? names : null;
+};
+
+module.exports = {
+    /**
+     * Describes which generation of deployqb wrote a qbcli.json file.
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     * @return {Object} { schemaVersion, description } - schemaVersion is 0 for files written before qbcli.json was
+     * versioned.
+     */
+    detectGeneration: (qbcliConfigs) => {
+        if (typeof qbcliConfigs.schemaVersion === 'number') {
+            return { schemaVersion: qbcliConfigs.schemaVersion, description: `schema version ${qbcliConfigs.schemaVersion}` };
+        }
+        if (Object.keys(RENAMED_PROPERTIES).some((name) => name in qbcliConfigs)) {
+            return { schemaVersion: 0, description: 'unversioned, with customPrefix/customPrefixProduction prefixes' };
+        }
+        return { schemaVersion: 0, description: 'unversioned, with devPrefix/prodPrefix prefixes' };
+    },
+
+    /**
+     * Rewrites a qbcli.json object in the current format without losing settings - renames old settings, turns
+     * numeric dependencies into page names, "yes"/"no" isIndexFile values into booleans and adds the schemaVersion.
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     * @return {Object} { configs, changes, warnings } - the migrated object (a copy), a description of every change and
+     * anything that could not be migrated.  Throws if the file is newer than this version of deployqb.
+     */
+    migrateConfig: (qbcliConfigs) => {
+        if (typeof qbcliConfigs.schemaVersion === 'number' && qbcliConfigs.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`qbcli.json is schema version ${qbcliConfigs.schemaVersion}, but this version of deployqb only understands version ${SCHEMA_VERSION} - update deployqb.`);
+        }
+
+        const changes = [];
+        const warnings = [];
+        const configs = {};
+        if ('$schema' in qbcliConfigs) {
+            configs.$schema = qbcliConfigs.$schema;
+        }
+        configs.schemaVersion = SCHEMA_VERSION;
+        if (qbcliConfigs.schemaVersion !== SCHEMA_VERSION) {
+            changes.push(`Added "schemaVersion": ${SCHEMA_VERSION}`);
+        }
+
+        Object.keys(qbcliConfigs).forEach((key) => {
+            if (key === '$schema' || key === 'schemaVersion') {
+                return;
+            }
+            const newKey = RENAMED_PROPERTIES[key];
+            if (!newKey) {
+                configs[key] = qbcliConfigs[key];
+            } else if (qbcliConfigs[newKey] === undefined) {
+                configs[newKey] = qbcliConfigs[key];
+                changes.push(`Renamed "${key}" to "${newKey}"`);
+            } else if (qbcliConfigs[newKey] !== qbcliConfigs[key]) {
+                changes.push(`Removed "${key}" ("${qbcliConfigs[key]}") - "${newKey}" ("${qbcliConfigs[newKey]}") is the prefix deployqb uses`);
+            } else {
+                changes.push(`Removed "${key}" - it has the same value as "${newKey}"`);
+            }
+        });
+
+        if (Array.isArray(configs.filesConf)) {
+            let entries = null;
+            try {
+                ({ entries } = pipeline.expandFilesConf(configs.filesConf, configs));
+            } catch (err) {
+                warnings.push(`Glob/directory entries could not be expanded (${err.message})`);
+            }
+
+            configs.filesConf = configs.filesConf.map((fileConf, index) => {
+                const migrated = { ...fileConf };
+                if (typeof fileConf.isIndexFile === 'string') {
+                    migrated.isIndexFile = fileConf.isIndexFile === 'yes';
+                    changes.push(`Changed filesConf[${index}].isIndexFile from "${fileConf.isIndexFile}" to ${migrated.isIndexFile}`);
+                }
+                if (Array.isArray(fileConf.dependencies) && fileConf.dependencies.some((dependency) => typeof dependency === 'number')) {
+                    const dependencies = [];
+                    let converted = false;
+                    fileConf.dependencies.forEach((dependency) => {
+                        const names = typeof dependency === 'number' ? getDependencyNames(configs.filesConf, entries, dependency) : [dependency];
+                        if (!names) {
+                            warnings.push(`filesConf[${index}].dependencies has ${dependency}, which is not a file in filesConf - it was left as it is`);
+                            dependencies.push(dependency);
+                            return;
+                        }
+                        converted = converted || typeof dependency === 'number';
+                        names.filter((name) => !dependencies.includes(name)).forEach((name) => dependencies.push(name));
+                    });
+                    if (!converted) {
+                        return migrated;
+                    }
+                    migrated.dependencies = dependencies;
+                    changes.push(`Changed filesConf[${index}].dependencies from ${JSON.stringify(fileConf.dependencies)} to ${JSON.stringify(dependencies)}`);
+                }
+                return migrated;
+            });
+        }
+
+        return { configs, changes, warnings };
+    },
+
+    /**
+     * Returns a unified diff between two qbcli.json objects, both formatted the way deployqb saves qbcli.json.
+     * @param {Object} before The current qbcli.json object.
+     * @param {Object} after The migrated qbcli.json object.
+     */
+    getDiff: (before, after) => {
+        return jsdiff.createTwoFilesPatch('qbcli.json', 'qbcli.json', `${JSON.stringify(before, null, 5)}\n`, `${JSON.stringify(after, null, 5)}\n`, 'current', 'migrated');
+    },
+
+    /**
+     * Returns the path to save a backup of qbcli.json to before it is migrated (qbcli.json.<timestamp>.bak).
+     * @param {String} pathToQBCLIJSON Path to qbcli.json.
+     */
+    getBackupPath: (pathToQBCLIJSON) => {
+        return `${pathToQBCLIJSON}.${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+    },
+};
@@ -0,0 +1,130 @@
+const CLI = require('clui');
+const inquirer = require('inquirer');
+const ci = require('./ci');
+const targets = require('./targets');
+
+// Exit codes scripts can rely on
+const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    CONFIG_ERROR: 2,
+    AUTH_ERROR: 3,
+    PARTIAL_DEPLOY: 4,
+};
+
+const state = {
+    json: false,
+    command: null,
+    result: null,
+    errors: [],
+    secrets: [],
+};
+
+// Stands in for a clui spinner when nothing should be drawn
+const silentSpinner = {
+    start: () => {},
+    stop: () => {},
+    message: () => {},
+};
+
+module.exports = {
+    EXIT_CODES,
+
+    /**
+     * Sets up the output for a command.  In --json mode spinners are not drawn, messages go to stderr and a single
+     * JSON document is written to stdout when the command finishes.
+     * @param {Object} options { json, command } - json is true for --json mode, command is the command being run.
+     */
+    configure: ({ json, command }) => {
+        state.json = Boolean(json);
+        state.command = command;
+    },
+
+    /**
+     * Registers a token that must never be printed - redact replaces it with its masked form.
+     * @param {String} secret User token, app token or ticket.
+     */
+    addSecret: (secret) => {
+        if (typeof secret === 'string' && secret.length >= 4 && !state.secrets.includes(secret)) {
+            state.secrets.push(secret);
+        }
+    },
+
+    /**
+     * Replaces every registered token in a message with its masked form (targets.maskToken).
+     * @param {String} message The message to print.
+     */
+    redact: (message) => {
+        return state.secrets.reduce((redacted, secret) => redacted.split(secret).join(targets.maskToken(secret)), String(message));
+    },
+
+    /**
+     * Returns true in --json mode.
+     */
+    isJsonMode: () => state.json,
+
+    /**
+     * Asks questions with inquirer.  In --json mode stdout is reserved for the JSON document, so the prompts are drawn
+     * on stderr.
+     * @param {Array} questions inquirer questions.
+     * @return {Promise<Object>} The answers.
+     */
+    prompt: (questions) => {
+        const prompt = state.json ? inquirer.createPromptModule({ output: process.stderr }) : inquirer.prompt;
+        return prompt(questions);
+    },
+
+    /**
+     * Returns a clui spinner, or a spinner that draws nothing in --json and CI mode.
+     * @param {String} message The spinner message.
+     */
+    createSpinner: (message) => {
+        return state.json || ci.isEnabled() ? silentSpinner : new CLI.Spinner(message);
+    },
+
+    /**
+     * Sets the process exit code.
+     * @param {Number} code One of EXIT_CODES.
+     */
+    setExitCode: (code) => {
+        process.exitCode = code;
+    },
+
+    /**
+     * Records an error for the JSON document and makes the command exit with a non-zero code (unless a more specific
+     * code has already been set).
+     * @param {String} message The error message.
+     */
+    recordError: function (message) {
+        state.errors.push(this.redact(message));
+        if (!process.exitCode) {
+            process.exitCode = EXIT_CODES.FAILURE;
+        }
+    },
+
+    /**
+     * Sets the command's result - written as the JSON document in --json mode.
+     * @param {Object} result The result (target, pages etc.)
+     */
+    setResult: (result) => {
+        state.result = result;
+    },
+
+    /**
+     * Writes the JSON document in --json mode - { command, success, exitCode, ...result, errors }.
+     */
+    flush: function () {
+        if (!state.json) {
+            return;
+        }
+        const exitCode = process.exitCode || EXIT_CODES.SUCCESS;
+        const document = {
+            command: state.command,
+            success: exitCode === EXIT_CODES.SUCCESS,
+            exitCode,
+            ...(state.result || {}),
+            errors: state.errors,
+        };
+        process.stdout.write(`${this.redact(JSON.stringify(document, null, 2))}\n`);
+    },
+};
@@ -0,0 +1,87 @@
+const files = require('./files');
+
+// dev/prod (and named environment) page IDs are shared by the team and live in qbcli.json - feature page IDs are specific
+// to a developer and live in Configstore
+const PERSONAL_DEPLOYMENT_TYPES = ['feat'];
+
+// named environments keep their launch page ID in "launchPageIds"
+const LAUNCH_PAGE_ID_KEYS = {
+    prod: 'launchProdPageId',
+    dev: 'launchDevPageId',
+    feat: 'launchFeatPageId',
+};
+
+module.exports = {
+    /**
+     * Returns true if the page IDs for this deployment type are stored in qbcli.json.
+     * @param {String} deploymentType prod, dev, feat or the name of an environment in qbcli.json.
+     */
+    isSharedDeploymentType: (deploymentType) => {
+        return !PERSONAL_DEPLOYMENT_TYPES.includes(deploymentType);
+    },
+
+    /**
+     * Returns the map of filename -> Quick Base pageID for a deployment type.
+     * @param {String} deploymentType prod, dev or feat.
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     * @param {Object} configs Configstore configuration object for the repository.
+     */
+    getPageIds: function (deploymentType, qbcliConfigs, configs) {
+        const source = this.isSharedDeploymentType(deploymentType) ? qbcliConfigs : configs;
+        if (!source || !source.pageIds) {
+            return {};
+        }
+        return source.pageIds[deploymentType] || {};
+    },
+
+    /**
+     * Returns the pageID of the index file for the launch commands.
+     * @param {String} deploymentType prod, dev or feat.
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     * @param {Object} configs Configstore configuration object for the repository.
+     */
+    getLaunchPageId: function (deploymentType, qbcliConfigs, configs) {
+        const source = this.isSharedDeploymentType(deploymentType) ? qbcliConfigs : configs;
+        if (!source) {
+            return null;
+        }
+        if (!LAUNCH_PAGE_ID_KEYS[deploymentType]) {
+            return (source.launchPageIds && source.launchPageIds[deploymentType]) || null;
+        }
+        return source[LAUNCH_PAGE_ID_KEYS[deploymentType]] || null;
+    },
+
+    /**
+     * Merges the page IDs returned from a deployment into the stored page ID map and updates the launch page ID.
+     * @param {String} deploymentType prod, dev or feat.
+     * @param {Object} deployedPageIds Map of filename -> pageID returned by API_AddReplaceDBPage.
+     * @param {String} indexFileName Filename of the file flagged isIndexFile (or null).
+     * @param {Object} stores { pathToQBCLIJSON, configurationFile, repositoryId }
+     */
+    savePageIds: function (deploymentType, deployedPageIds, indexFileName, stores) {
+        const { pathToQBCLIJSON, configurationFile, repositoryId } = stores;
+        const launchKey = LAUNCH_PAGE_ID_KEYS[deploymentType];
+
+        const update = (source) => {
+            const pageIds = source.pageIds || {};
+            pageIds[deploymentType] = { ...(pageIds[deploymentType] || {}), ...deployedPageIds };
+            source.pageIds = pageIds;
+            if (indexFileName && deployedPageIds[indexFileName]) {
+                if (launchKey) {
+                    source[launchKey] = deployedPageIds[indexFileName];
+                } else {
+                    source.launchPageIds = { ...(source.launchPageIds || {}), [deploymentType]: deployedPageIds[indexFileName] };
+                }
+            }
+            return source;
+        };
+
+        if (this.isSharedDeploymentType(deploymentType)) {
+            // re-read qbcli.json so nothing edited during the deployment is lost
+            const qbcliConfigs = files.readJSONFile(pathToQBCLIJSON);
+            files.saveJSONToFile(pathToQBCLIJSON, update(qbcliConfigs));
+        } else {
+            configurationFile.set(repositoryId, update(configurationFile.get(repositoryId) || {}));
+        }
+    },
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const path = require('path');
+const files = require('./files');
+const qb = require('./qb');
+
+const EXPORT_FORMAT = 1;
+const MANIFEST_FILE_NAME = 'manifest.json';
+
+const hashPayload = (payload) => crypto.createHash('sha256').update(payload, 'utf8').digest('hex');
+
+module.exports = {
+    MANIFEST_FILE_NAME,
+
+    /**
+     * Writes the API_AddReplaceDBPage request body of every page to a directory, plus a manifest.json with the target
+     * and the hash of every page.  Tokens are not written - they are added when the export is imported.
+     * @param {String} outDirectory The directory to write to.
+     * @param {Object} target Target profile from targets.resolveTarget.
+     * @param {String} prefix The environment prefix.
+     * @param {Array} pages Pages from pipeline.buildPages, in deployment order.
+     * @return {Object} The manifest that was written.
+     */
+    writeExport: (outDirectory, target, prefix, pages) => {
+        const pagesDirectory = path.join(outDirectory, 'pages');
+        files.createDirectory(pagesDirectory);
+
+        const manifest = {
+            format: EXPORT_FORMAT,
+            deploymentType: target.deploymentType,
+            realmUrl: target.realmUrl,
+            dbid: target.dbid,
+            prefix,
+            exportedAt: new Date().toISOString(),
+            pages: [],
+        };
+
+        pages.forEach((page, index) => {
+            const payload = qb.buildAddReplaceDbPageRequest(page.pagename, page.pagebody);
+            // numbered so the files sort in deployment order
+            const file = `pages/${String(index + 1).padStart(3, '0')}-${page.pagename.replace(/[\\/:*?"<>|]/g, '_')}.xml`;
+            files.saveFile(path.join(outDirectory, file), payload);
+            manifest.pages.push({
+                pagename: page.pagename,
+                file,
+                isIndexFile: page.isIndexFile,
+                hash: page.hash,
+                payloadHash: hashPayload(payload),
+            });
+        });
+
+        files.saveJSONToFile(path.join(outDirectory, MANIFEST_FILE_NAME), manifest);
+        return manifest;
+    },
+
+    /**
+     * Reads an export written by writeExport and checks that no payload was changed since it was exported.
+     * @param {String} directory The export directory.
+     * @return {Object} { manifest, payloads } - payloads are [{ pagename, payload }] in deployment order.  Throws if
+     * the export is incomplete or was modified.
+     */
+    readExport: (directory) => {
+        const manifestPath = path.join(directory, MANIFEST_FILE_NAME);
+        if (!files.fileFolderExists(manifestPath)) {
+            throw new Error(`${directory} is not a deployqb export - ${MANIFEST_FILE_NAME} is missing.`);
+        }
+        const manifest = files.readJSONFile(manifestPath);
+        if (manifest.format !== EXPORT_FORMAT) {
+            throw new Error(`${manifestPath} has an unsupported export format (${manifest.format}).`);
+        }
+
+        const problems = [];
+        const payloads = [];
+        manifest.pages.forEach(({ pagename, file, payloadHash }) => {
+            const payloadPath = path.join(directory, file);
+            if (!files.fileFolderExists(payloadPath)) {
+                problems.push(`${file} is missing`);
+                return;
+            }
+            const payload = files.getFileContents(payloadPath);
+            if (hashPayload(payload) !== payloadHash) {
+                problems.push(`${file} was changed after it was exported`);
+                return;
+            }
+            payloads.push({ pagename, payload });
+        });
+
+        if (problems.length > 0) {
+            throw new Error(`The export in ${directory} cannot be imported:\n${problems.join('\n')}`);
+        }
+        return { manifest, payloads };
+    },
+};
@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const path = require('path');
+const fg = require('fast-glob');
+const stripBom = require('strip-bom');
+const bundle = require('./bundle');
+const files = require('./files');
+const { configError, escapeRegExp } = require('./helpers');
+const placeholders = require('./placeholders');
+const transforms = require('./transforms');
+
+const FLATTEN_STRATEGIES = ['basename', 'path'];
+
+module.exports = {
+    /**
+     * Returns true if the filesConf entry is flagged as the file to launch.  Accepts true or "yes".
+     * @param {Object} fileConf filesConf entry from qbcli.json.
+     */
+    isIndexFile: (fileConf) => {
+        return fileConf.isIndexFile === true || fileConf.isIndexFile === 'yes';
+    },
+
+    /**
+     * Returns the local path to a filesConf entry (path + filename).
+     * @param {Object} fileConf filesConf entry from qbcli.json.
+     */
+    getFilePath: (fileConf) => {
+        return path.join(fileConf.path || './', fileConf.filename);
+    },
+
+    /**
+     * Returns the static directory a glob pattern starts from (build/static for build/static/**\/*.js).
+     * @param {String} pattern The glob pattern.
+     */
+    getGlobBase: (pattern) => {
+        const segments = pattern.split('/');
+        const base = [];
+        for (let i = 0; i < segments.length - 1; i++) {
+            if (/[*?[\]{}()!]/.test(segments[i])) {
+                break;
+            }
+            base.push(segments[i]);
+        }
+        return base.join('/') || '.';
+    },
+
+    /**
+     * Turns the path of a file matched by a glob/directory entry into a Quick Base page name.
+     * @param {String} filePath Path of the matched file.
+     * @param {String} base The directory the glob/directory entry starts from.
+     * @param {String} strategy basename (main.js) or path (js_main.js - the path below the base joined with the separator).
+     * @param {String} separator Used by the path strategy.
+     */
+    flattenPageName: (filePath, base, strategy, separator) => {
+        if (strategy === 'path') {
+            return path.relative(base, filePath).split(path.sep).join(separator);
+        }
+        return path.basename(filePath);
+    },
+
+    /**
+     * Expands the filesConf array into one entry per page.  Plain entries map to a single file, glob entries
+     * ({ "glob": "build/static/**\/*.{js,css}" }) and directory entries ({ "directory": "build/static" }) map to every
+     * file they match, flattened into a page name with the entry's (or qbcli.json's) "flatten" strategy.
+     * @param {Array} filesConf The filesConf array from qbcli.json.
+     * @param {Object} options { flatten, flattenSeparator } defaults from qbcli.json.
+     * @return {Object} { entries, unmatched } - entries are { name, filePath, fileConf, sourceIndex }, unmatched lists
+     * the glob/directory patterns that matched no files.  Throws if two files flatten to the same page name.
+     */
+    expandFilesConf: function (filesConf, options = {}) {
+        const entries = [];
+        const unmatched = [];
+
+        filesConf.forEach((fileConf, sourceIndex) => {
+            if (!fileConf.glob && !fileConf.directory) {
+                entries.push({ name: fileConf.filename, filePath: this.getFilePath(fileConf), fileConf, sourceIndex });
+                return;
+            }
+
+            const pattern = fileConf.glob || `${fileConf.directory.replace(/\/+$/, '')}/**/*`;
+            const base = fileConf.base || (fileConf.glob ? this.getGlobBase(fileConf.glob) : fileConf.directory);
+            const strategy = fileConf.flatten || options.flatten || 'basename';
+            const separator = fileConf.flattenSeparator || options.flattenSeparator || '_';
+            if (!FLATTEN_STRATEGIES.includes(strategy)) {
+                throw configError(`Unknown flatten strategy "${strategy}" - use one of: ${FLATTEN_STRATEGIES.join(', ')}.`);
+            }
+
+            const matches = fg.sync(pattern, { onlyFiles: true }).sort();
+            if (matches.length < 1) {
+                unmatched.push(pattern);
+            }
+            matches.forEach((filePath) => {
+                entries.push({
+                    name: this.flattenPageName(filePath, base, strategy, separator),
+                    filePath: path.normalize(filePath),
+                    fileConf,
+                    sourceIndex,
+                });
+            });
+        });
+
+        // two files with the same page name would silently overwrite each other in Quick Base
+        const byName = new Map();
+        entries.forEach((entry) => {
+            const existing = byName.get(entry.name);
+            if (existing && existing.filePath !== entry.filePath) {
+                throw configError(`${existing.filePath} and ${entry.filePath} would both be deployed as the page "${entry.name}". Rename one of the files or use a different "flatten" strategy.`);
+            }
+            if (!existing) {
+                byName.set(entry.name, entry);
+            }
+        });
+
+        // a file listed by hand and also matched by a glob is only deployed once (the first listing wins)
+        return { entries: entries.filter((entry) => byName.get(entry.name) === entry), unmatched };
+    },
+
+    /**
+     * Resolves the dependencies of every expanded entry to entry indexes.  A dependency can be the page name of another
+     * entry or (for older qbcli.json files) the index of an entry in the filesConf array.
+     * @param {Array} entries Entries from expandFilesConf.
+     * @return {Array} An array (one item per entry) of dependency indexes.
+     */
+    resolveDependencies: (entries) => {
+        return entries.map((entry) => {
+            const dependencies = entry.fileConf.dependencies || [];
+            const indexes = [];
+            dependencies.forEach((dependency) => {
+                let matches;
+                if (typeof dependency === 'number') {
+                    matches = entries.filter((item) => item.sourceIndex === dependency);
+                    if (!Number.isInteger(dependency) || matches.length < 1) {
+                        throw configError(`"${entry.name}" depends on filesConf[${dependency}], which does not exist.`);
+                    }
+                } else {
+                    matches = entries.filter((item) => item.name === dependency);
+                    if (matches.length < 1) {
+                        throw configError(`"${entry.name}" depends on "${dependency}", which is not listed in filesConf.`);
+                    }
+                }
+                matches.forEach((match) => {
+                    const index = entries.indexOf(match);
+                    if (match !== entry && !indexes.includes(index)) {
+                        indexes.push(index);
+                    }
+                });
+            });
+            return indexes;
+        });
+    },
+
+    /**
+     * Orders the entries so every file is deployed after the files it depends on.
+     * @param {Array} entries Entries from expandFilesConf.
+     * @param {Array} dependencyIndexes Result of resolveDependencies.
+     * @return {Array} Entry indexes in deployment order.
+     */
+    getDeployOrder: (entries, dependencyIndexes) => {
+        const order = [];
+        const visited = new Set();
+        const visiting = [];
+
+        const visit = (index) => {
+            if (visited.has(index)) {
+                return;
+            }
+            const cycleStart = visiting.indexOf(index);
+            if (cycleStart > -1) {
+                const cycle = visiting.slice(cycleStart).concat(index).map((i) => entries[i].name);
+                throw configError(`Circular dependency in filesConf: ${cycle.join(' -> ')}`);
+            }
+            visiting.push(index);
+            dependencyIndexes[index].forEach(visit);
+            visiting.pop();
+            visited.add(index);
+            order.push(index);
+        };
+
+        entries.forEach((entry, index) => visit(index));
+        return order;
+    },
+
+    /**
+     * Expands filesConf and returns the entries in deployment order along with their dependency names.
+     * @param {Array} filesConf The filesConf array from qbcli.json.
+     * @param {Object} options { flatten, flattenSeparator } defaults from qbcli.json.
+     * @return {Object} { entries, unmatched } - entries are in deployment order and include dependencies (page names).
+     */
+    getOrderedEntries: function (filesConf, options = {}) {
+        const { entries, unmatched } = this.expandFilesConf(filesConf, options);
+        const dependencyIndexes = this.resolveDependencies(entries);
+        const ordered = this.getDeployOrder(entries, dependencyIndexes).map((index) => ({
+            ...entries[index],
+            dependencies: dependencyIndexes[index].map((i) => entries[i].name),
+        }));
+        return { entries: ordered, unmatched };
+    },
+
+    /**
+     * Describes why a file was skipped.
+     * @param {Object} item A skipped item from buildPages.
+     */
+    describeSkipped: (item) => {
+        const reasons = {
+            missing: 'the file does not exist',
+            empty: 'the file is empty',
+            unmatched: 'the pattern did not match any files',
+        };
+        return reasons[item.reason] || item.reason;
+    },
+
+    /**
+     * Prefixes every pagename= reference to a dependency.
+     * @param {String} contents File contents.
+     * @param {Array} dependencyNames Unprefixed page names this file depends on.
+     * @param {String} prefix The environment prefix.
+     * @return {Object} { contents, substitutions } where substitutions lists { from, to, count } for each rewrite made.
+     */
+    rewriteDependencies: function (contents, dependencyNames, prefix) {
+        const substitutions = [];
+        dependencyNames.forEach((name) => {
+            const result = this.replacePageReferences(contents, name, `${prefix}${name}`);
+            contents = result.contents;
+            if (result.substitution) {
+                substitutions.push(result.substitution);
+            }
+        });
+        return { contents, substitutions };
+    },
+
+    /**
+     * Replaces every pagename= reference to one page name with another.
+     * @param {String} contents File contents.
+     * @param {String} fromName The page name currently referenced.
+     * @param {String} toName The page name to reference instead.
+     * @return {Object} { contents, substitution } - substitution is { from, to, count } or null if nothing was replaced.
+     */
+    replacePageReferences: (contents, fromName, toName) => {
+        const from = `pagename=${fromName}`;
+        const to = `pagename=${toName}`;
+        // the lookahead stops "pagename=app.js" from matching "pagename=app.js.map"
+        const regexp = new RegExp(`${escapeRegExp(from)}(?![\\w.-])`, 'g');
+        let count = 0;
+        contents = contents.replace(regexp, () => {
+            count++;
+            return to;
+        });
+        return { contents, substitution: count > 0 ? { from, to, count } : null };
+    },
+
+    /**
+     * Returns the sha256 hash of page contents.  Used to detect which pages changed since the last deployment.
+     * @param {String} contents Page contents.
+     */
+    hashContents: (contents) => {
+        return crypto.createHash('sha256').update(contents, 'utf8').digest('hex');
+    },
+
+    /**
+     * Sanitizes contents for the CDATA section of the API_AddReplaceDBPage payload.
+     * @param {String} contents Page contents.
+     */
+    escapeCdata: (contents) => {
+        return contents.replace(/]]>/g, ']]]]><![CDATA[>');
+    },
+
+    /**
+     * Reads every file in filesConf and runs it through the content pipeline (strip BOM, placeholders, transforms,
+     * bundling, rewrite dependencies, escape CDATA).
+     * @param {Array} filesConf The filesConf array from qbcli.json.
+     * @param {String} prefix The environment prefix.
+     * @param {Object} options { flatten, flattenSeparator, transforms } from qbcli.json, the { deploymentType },
+     * { placeholders } - placeholder values from placeholders.resolveValues (no substitution when not set - any {{NAME}}
+     * without a value fails when set) and
+     * { bundle } - when true the index page's <link>/<script> references to its dependencies are inlined.
+     * @return {Promise<Object>} { pages, skipped, inlined }.  pages are in deployment order (dependencies first) and have
+     * { name, pagename, filePath, contents, pagebody, hash, isIndexFile, dependencies, substitutions, placeholders,
+     * transforms, inlined, fileConf }.
+     * skipped lists { name, filePath, reason } for files that are missing or empty and patterns that matched nothing.
+     * inlined lists { name, pagename, filePath, into, placeholders } for pages that were bundled into the index page and
+     * will not be deployed (placeholders are the substitutions made in the inlined file).
+     */
+    buildPages: async function (filesConf, prefix, options = {}) {
+        const { entries, unmatched } = this.getOrderedEntries(filesConf, options);
+
+        let pages = [];
+        const skipped = unmatched.map((pattern) => ({ name: pattern, filePath: pattern, reason: 'unmatched' }));
+        for (let i = 0; i < entries.length; i++) {
+            const { name, filePath, fileConf, dependencies } = entries[i];
+            if (!files.fileFolderExists(filePath)) {
+                skipped.push({ name, filePath, reason: 'missing' });
+                continue;
+            }
+
+            //remove the byte order mark - this shows up in files occasionally and messes up xml import (adds a character to the dbpage in question)
+            const fileContents = stripBom(files.getFileContents(filePath));
+            if (fileContents.length < 1) {
+                skipped.push({ name, filePath, reason: 'empty' });
+                continue;
+            }
+
+            // {{PLACEHOLDERS}} are filled in first so transforms (minify etc.) see valid code
+            let placeholderSubstitutions = [];
+            let substituted = fileContents;
+            if (options.placeholders) {
+                const result = placeholders.substitute(fileContents, options.placeholders);
+                if (result.unresolved.length > 0) {
+                    const names = result.unresolved.map((placeholderName) => `{{${placeholderName}}}`).join(', ');
+                    throw configError(`Unresolved placeholder(s) in ${filePath}: ${names} - add a ${options.deploymentType} value for each to "placeholders" in your qbcli.json.`);
+                }
+                ({ contents: substituted, substitutions: placeholderSubstitutions } = result);
+            }
+
+            // transforms (minify, banner, custom modules) run before any page references are rewritten
+            const fileTransforms = transforms.getTransformsForFile(options.transforms, fileConf, filePath, options.deploymentType);
+            const transformed = await transforms.applyTransforms(substituted, fileTransforms, {
+                deploymentType: options.deploymentType,
+                prefix,
+                fileConf,
+                filePath,
+                name,
+            });
+
+            // dependencies are deployed first, so their final contents are available to inline into the index page
+            let source = transformed.contents;
+            let inlined = [];
+            if (options.bundle && this.isIndexFile(fileConf)) {
+                const available = new Map(pages.filter((page) => dependencies.includes(page.name)).map((page) => [page.name, page]));
+                ({ contents: source, inlined } = bundle.inlineDependencies(source, available));
+            }
+
+            const { contents, substitutions } = this.rewriteDependencies(source, dependencies, prefix);
+
+            pages.push({
+                name,
+                pagename: `${prefix}${name}`,
+                filePath,
+                contents,
+                pagebody: this.escapeCdata(contents),
+                hash: this.hashContents(contents),
+                isIndexFile: this.isIndexFile(fileConf),
+                dependencies,
+                substitutions,
+                placeholders: placeholderSubstitutions,
+                transforms: transformed.applied,
+                inlined,
+                fileConf,
+            });
+        }
+
+        // pages that were inlined are only deployed if something else still links to them
+        const bundledPages = pages.filter((page) => page.inlined.length > 0);
+        const inlinedNames = new Set(bundledPages.reduce((names, page) => names.concat(page.inlined), []));
+        const remainingPages = pages.filter((page) => !bundledPages.includes(page) && !inlinedNames.has(page.name));
+        const inlined = [];
+        bundledPages.forEach((bundledPage) => {
+            bundledPage.inlined.forEach((name) => {
+                const stillReferenced = bundledPages.some((page) => bundle.isStillReferenced(name, prefix, page.contents, remainingPages));
+                if (!stillReferenced && !inlined.some((item) => item.name === name)) {
+                    const inlinedPage = pages.find((page) => page.name === name);
+                    inlined.push({
+                        name,
+                        pagename: inlinedPage.pagename,
+                        filePath: inlinedPage.filePath,
+                        into: bundledPage.name,
+                        placeholders: inlinedPage.placeholders,
+                    });
+                }
+            });
+        });
+        pages = pages.filter((page) => !inlined.some((item) => item.name === page.name));
+
+        return { pages, skipped, inlined };
+    },
+};
@@ -0,0 +1,87 @@
+// {{NAME}} - only upper case names are placeholders so template syntax like {{ item.name }} is left alone
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Z][A-Z0-9_]*)\s*\}\}/g;
+
+module.exports = {
+    /**
+     * Returns the placeholders that are available for a target in every project that declares a "placeholders" object.
+     * @param {Object} target Target profile from targets.resolveTarget.
+     * @param {String} prefix The environment prefix.
+     */
+    getBuiltInValues: (target, prefix) => {
+        const values = {
+            ENVIRONMENT: target.deploymentType,
+            PREFIX: prefix,
+        };
+        if (target.realmUrl) {
+            values.REALM = new URL(target.realmUrl).host;
+            values.REALM_URL = target.realmUrl;
+        }
+        if (target.dbid) {
+            values.DBID = target.dbid;
+        }
+        return values;
+    },
+
+    /**
+     * Returns the value of every placeholder for a deployment type.  A placeholder in qbcli.json is either a single
+     * value used everywhere or an object of values per environment ({ "dev": "bq1", "prod": "bq2", "default": "bq1" }).
+     * Feature deployments use the dev value when there is no feat value.
+     * @param {Object} placeholders The placeholders object from qbcli.json.
+     * @param {String} deploymentType prod, dev or feat.
+     * @param {Object} builtInValues Values from getBuiltInValues - placeholders in qbcli.json take precedence.
+     * @return {Object} Placeholder name -> value.  Placeholders without a value for the deployment type are left out.
+     */
+    resolveValues: (placeholders, deploymentType, builtInValues = {}) => {
+        const values = { ...builtInValues };
+        Object.keys(placeholders || {}).forEach((name) => {
+            const setting = placeholders[name];
+            let value = setting;
+            if (setting !== null && typeof setting === 'object') {
+                value = [deploymentType, deploymentType === 'feat' ? 'dev' : null, 'default']
+                    .map((key) => (key ? setting[key] : undefined))
+                    .find((candidate) => candidate !== undefined && candidate !== null);
+            }
+            if (value !== undefined && value !== null) {
+                values[name] = String(value);
+            }
+        });
+        return values;
+    },
+
+    /**
+     * Replaces every {{NAME}} in a file with its value.
+     * @param {String} contents File contents.
+     * @param {Object} values Values from resolveValues.
+     * @return {Object} { contents, substitutions, unresolved } - substitutions are [{ name, value, count }] and
+     * unresolved lists the names that have no value.
+     */
+    substitute: (contents, values) => {
+        const counts = new Map();
+        const unresolved = [];
+        const replaced = contents.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+            if (!Object.prototype.hasOwnProperty.call(values, name)) {
+                if (!unresolved.includes(name)) {
+                    unresolved.push(name);
+                }
+                return placeholder;
+            }
+            counts.set(name, (counts.get(name) || 0) + 1);
+            return values[name];
+        });
+
+        const substitutions = Array.from(counts, ([name, count]) => ({ name, value: values[name], count }));
+        return { contents: replaced, substitutions, unresolved };
+    },
+
+    /**
+     * Returns the names of placeholders whose values differ between two deployment types.
+     * @param {Object} placeholders The placeholders object from qbcli.json.
+     * @param {String} sourceType The deployment type being promoted.
+     * @param {String} destinationType The deployment type being promoted to.
+     */
+    getDifferingPlaceholders: function (placeholders, sourceType, destinationType) {
+        const source = this.resolveValues(placeholders, sourceType);
+        const destination = this.resolveValues(placeholders, destinationType);
+        return Object.keys(placeholders || {}).filter((name) => source[name] !== destination[name]);
+    },
+};
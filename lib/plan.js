@@ -0,0 +1,93 @@
+const chalk = require('chalk');
+const alert = require('./alerts');
+const pipeline = require('./pipeline');
+const targets = require('./targets');
+
+module.exports = {
+    /**
+     * Builds a dry-run of a deployment without calling Quick Base.
+     * @param {Array} filesConf The filesConf array from qbcli.json.
+     * @param {String} prefix The environment prefix.
+     * @param {Object} target Target profile from targets.resolveTarget.
+     * @param {Object} options Content pipeline options (see pipeline.buildPages).
+     * @return {Promise<Object>} { target, prefix, pages, skipped, inlined } - pages are in deployment order and include the byte size after rewriting.
+     */
+    buildPlan: async (filesConf, prefix, target, options) => {
+        const { pages, skipped, inlined } = await pipeline.buildPages(filesConf, prefix, options);
+        return {
+            target,
+            prefix,
+            inlined,
+            pages: pages.map((page) => ({
+                ...page,
+                bytes: Buffer.byteLength(page.contents, 'utf8'),
+            })),
+            skipped: skipped.map((item) => ({
+                ...item,
+                pagename: item.reason === 'unmatched' ? null : `${prefix}${item.name}`,
+            })),
+        };
+    },
+
+    /**
+     * Returns a plan built by buildPlan as a JSON-friendly object (without file contents or tokens).
+     * @param {Object} plan The plan.
+     */
+    toJSON: (plan) => {
+        return {
+            target: targets.toJSON(plan.target),
+            prefix: plan.prefix,
+            pages: plan.pages.map((page) => ({
+                name: page.name,
+                pagename: page.pagename,
+                filePath: page.filePath,
+                bytes: page.bytes,
+                hash: page.hash,
+                isIndexFile: page.isIndexFile,
+                dependencies: page.dependencies,
+                substitutions: page.substitutions,
+                placeholders: page.placeholders,
+                transforms: page.transforms,
+            })),
+            inlined: plan.inlined,
+            skipped: plan.skipped.map((item) => ({ filePath: item.filePath, pagename: item.pagename, reason: pipeline.describeSkipped(item) })),
+        };
+    },
+
+    /**
+     * Prints a plan built by buildPlan.
+     * @param {Object} plan The plan to print.
+     */
+    printPlan: (plan) => {
+        const { target, pages, skipped } = plan;
+
+        alert.plain(chalk.green(`\nPlan for the ${target.deploymentType} environment (nothing has been deployed)\n`));
+        alert.plain(chalk.cyan(`  Target: ${target.realmUrl || '(realm not set)'}/db/${target.dbid || '(dbid not set)'}`));
+        alert.plain(chalk.cyan(`  Prefix: ${plan.prefix}\n`));
+
+        pages.forEach((page, index) => {
+            const flags = `${page.isIndexFile ? ' [index]' : ''}${page.transforms.length > 0 ? ` [${page.transforms.join(', ')}]` : ''}`;
+            alert.plain(`  ${index + 1}. ${page.filePath} -> ${chalk.bold(page.pagename)} (${page.bytes} bytes)${flags}`);
+            page.substitutions.forEach(({ from, to, count }) => {
+                alert.plain(chalk.cyan(`       ${from} -> ${to}${count > 1 ? ` (x${count})` : ''}`));
+            });
+            page.placeholders.forEach(({ name, value, count }) => {
+                alert.plain(chalk.cyan(`       {{${name}}} -> ${value}${count > 1 ? ` (x${count})` : ''}`));
+            });
+        });
+
+        plan.inlined.forEach((item) => {
+            alert.plain(chalk.cyan(`  BUNDLED ${item.name} (inlined into ${item.into} - not deployed as its own page)`));
+            item.placeholders.forEach(({ name, value, count }) => {
+                alert.plain(chalk.cyan(`       {{${name}}} -> ${value}${count > 1 ? ` (x${count})` : ''}`));
+            });
+        });
+
+        skipped.forEach((item) => {
+            const pagename = item.pagename ? ` -> ${item.pagename}` : '';
+            alert.plain(chalk.yellow(`  SKIPPED ${item.filePath}${pagename} (${pipeline.describeSkipped(item)})`));
+        });
+
+        alert.plain(`\n  ${pages.length} page(s) would be deployed, ${skipped.length} file(s) would be skipped.\n`);
+    },
+};
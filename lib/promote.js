@@ -0,0 +1,107 @@
+const bundle = require('./bundle');
+const pipeline = require('./pipeline');
+const qb = require('./qb');
+
+/**
+ * Returns the entries that a bundled source environment inlined into its index page instead of deploying them - the
+ * index page's dependencies that are not in Quick Base and that nothing deployed still references (the same rule
+ * pipeline.buildPages uses to drop them).
+ * @param {Array} entries Ordered entries from pipeline.getOrderedEntries.
+ * @param {Map} remoteByName Pages in the source application (page name -> { id, name }).
+ * @param {String} sourcePrefix Prefix of the environment being promoted.
+ * @param {Function} getContents Returns (a promise of) the deployed contents of a source page name.
+ * @return {Promise<Array>} [{ name, into }] for every inlined entry.
+ */
+const getInlinedEntries = async (entries, remoteByName, sourcePrefix, getContents) => {
+    const isDeployed = (entry) => remoteByName.has(`${sourcePrefix}${entry.name}`);
+    const indexEntries = entries.filter((entry) => pipeline.isIndexFile(entry.fileConf) && isDeployed(entry));
+
+    const inlined = [];
+    for (let i = 0; i < indexEntries.length; i++) {
+        const indexEntry = indexEntries[i];
+        const candidates = indexEntry.dependencies.filter((name) => {
+            const entry = entries.find((item) => item.name === name);
+            return entry && !isDeployed(entry) && !inlined.some((item) => item.name === name);
+        });
+        if (candidates.length > 0) {
+            const indexContents = await getContents(`${sourcePrefix}${indexEntry.name}`);
+            const otherPages = entries.filter((entry) => entry !== indexEntry && !candidates.includes(entry.name));
+            candidates
+                .filter((name) => !bundle.isStillReferenced(name, sourcePrefix, indexContents, otherPages))
+                .forEach((name) => inlined.push({ name, into: indexEntry.name }));
+        }
+    }
+    return inlined;
+};
+
+module.exports = {
+    /**
+     * Reads the pages that are deployed to the source environment and renames them (and every pagename= reference
+     * between them) for the destination environment.
+     * @param {Array} filesConf The filesConf array from qbcli.json - every page is expected to be deployed to the source.
+     * @param {Object} options Content pipeline options (how glob/directory entries are turned into page names).
+     * @param {Object} sourceTarget Target profile of the environment being promoted.
+     * @param {String} sourcePrefix Prefix of the environment being promoted.
+     * @param {String} destinationPrefix Prefix of the environment being promoted to.
+     * @return {Promise<Object>} { pages, missing, inlined } - pages are in deployment order and shaped like
+     * pipeline.buildPages pages.  missing lists the source page names that are not in Quick Base (pages is empty if
+     * anything is missing).  inlined lists { name, into } for pages the source environment bundled into its index page
+     * (options.bundle) - they are not promoted as the promoted index page already contains them.
+     */
+    buildPromotedPages: async (filesConf, options, sourceTarget, sourcePrefix, destinationPrefix) => {
+        const { dbid, realmUrl, usertoken, apptoken } = sourceTarget;
+        const { entries: allEntries } = pipeline.getOrderedEntries(filesConf, options);
+        const names = allEntries.map((entry) => entry.name);
+
+        const remotePages = await qb.listDbPages(dbid, realmUrl, usertoken, apptoken);
+        const remoteByName = new Map(remotePages.map((page) => [page.name, page]));
+
+        // each page is only read once - the bundled index page is also needed to work out what it inlined
+        const contentsByPagename = new Map();
+        const getContents = async (pagename) => {
+            if (!contentsByPagename.has(pagename)) {
+                contentsByPagename.set(pagename, await qb.getDbPage(dbid, realmUrl, usertoken, apptoken, remoteByName.get(pagename).id));
+            }
+            return contentsByPagename.get(pagename);
+        };
+
+        const inlined = options.bundle ? await getInlinedEntries(allEntries, remoteByName, sourcePrefix, getContents) : [];
+        const entries = allEntries.filter((entry) => !inlined.some((item) => item.name === entry.name));
+
+        const missing = entries.map((entry) => `${sourcePrefix}${entry.name}`).filter((pagename) => !remoteByName.has(pagename));
+        if (missing.length > 0) {
+            return { pages: [], missing, inlined };
+        }
+
+        const pages = [];
+        for (let i = 0; i < entries.length; i++) {
+            const { name, fileConf, dependencies } = entries[i];
+            const sourcePagename = `${sourcePrefix}${name}`;
+            let contents = await getContents(sourcePagename);
+
+            const substitutions = [];
+            names.forEach((referencedName) => {
+                const result = pipeline.replacePageReferences(contents, `${sourcePrefix}${referencedName}`, `${destinationPrefix}${referencedName}`);
+                contents = result.contents;
+                if (result.substitution) {
+                    substitutions.push(result.substitution);
+                }
+            });
+
+            pages.push({
+                name,
+                pagename: `${destinationPrefix}${name}`,
+                sourcePagename,
+                contents,
+                pagebody: pipeline.escapeCdata(contents),
+                hash: pipeline.hashContents(contents),
+                isIndexFile: pipeline.isIndexFile(fileConf),
+                dependencies,
+                substitutions,
+                fileConf,
+            });
+        }
+
+        return { pages, missing, inlined };
+    },
+};
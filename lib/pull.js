@@ -0,0 +1,89 @@
+const path = require('path');
+const pipeline = require('./pipeline');
+
+module.exports = {
+    /**
+     * Removes the environment prefix from a Quick Base page name and makes it safe to use as a filename.
+     * @param {String} pagename The Quick Base page name.
+     * @param {String} prefix The environment prefix (P_1234_ etc.)
+     */
+    getLocalName: (pagename, prefix) => {
+        const name = prefix && pagename.startsWith(prefix) ? pagename.slice(prefix.length) : pagename;
+        return name.replace(/[\\/:*?"<>|]/g, '_');
+    },
+
+    /**
+     * Turns prefixed pagename= references to other pulled pages back into bare dependency names.
+     * @param {String} contents Page contents downloaded from Quick Base.
+     * @param {Array} knownPages [{ pagename, name }] - every page that can be referenced (prefixed name -> bare name).
+     * @return {Object} { contents, dependencies } - dependencies lists the bare names referenced.
+     */
+    restoreReferences: (contents, knownPages) => {
+        const dependencies = [];
+        knownPages.forEach(({ pagename, name }) => {
+            const result = pipeline.replacePageReferences(contents, pagename, name);
+            contents = result.contents;
+            if (result.substitution && !dependencies.includes(name)) {
+                dependencies.push(name);
+            }
+        });
+        return { contents, dependencies };
+    },
+
+    /**
+     * Merges pulled pages into filesConf.  Existing entries keep their path and gain any new dependencies.
+     * @param {Array} filesConf The filesConf array from qbcli.json.
+     * @param {Array} pulledFiles [{ filename, path, dependencies, coveredByPattern }] - files already covered by a
+     * glob/directory entry are not added.
+     * @return {Array} The updated filesConf array.
+     */
+    mergeFilesConf: (filesConf, pulledFiles) => {
+        const merged = filesConf.map((fileConf) => ({ ...fileConf }));
+        pulledFiles.filter((pulled) => !pulled.coveredByPattern).forEach((pulled) => {
+            const existing = merged.find((fileConf) => fileConf.filename === pulled.filename);
+            if (!existing) {
+                const entry = { filename: pulled.filename, path: pulled.path };
+                if (pulled.dependencies.length > 0) {
+                    entry.dependencies = pulled.dependencies;
+                }
+                merged.push(entry);
+                return;
+            }
+
+            // numeric dependencies from older qbcli.json files are converted to names so they can be merged
+            const dependencies = (existing.dependencies || []).map((dependency) =>
+                typeof dependency === 'number' && filesConf[dependency] ? filesConf[dependency].filename : dependency
+            );
+            pulled.dependencies.forEach((dependency) => {
+                if (!dependencies.includes(dependency)) {
+                    dependencies.push(dependency);
+                }
+            });
+            if (dependencies.length > 0) {
+                existing.dependencies = dependencies;
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Returns the local path a pulled page will be written to.  Pages that are already in filesConf keep their path.
+     * @param {Array} entries Expanded filesConf entries from pipeline.expandFilesConf.
+     * @param {String} filename The local filename (page name without the prefix).
+     * @param {String} directory The directory new files are written to.
+     * @return {Object} { path, filePath, coveredByPattern } - coveredByPattern is true if a glob/directory entry
+     * already includes the file, in which case no filesConf entry is needed.
+     */
+    getLocalPath: (entries, filename, directory) => {
+        const existing = entries.find((entry) => entry.name === filename);
+        if (!existing) {
+            return { path: directory, filePath: path.join(directory, filename), coveredByPattern: false };
+        }
+        const coveredByPattern = Boolean(existing.fileConf.glob || existing.fileConf.directory);
+        return {
+            path: coveredByPattern ? path.dirname(existing.filePath) : existing.fileConf.path || './',
+            filePath: existing.filePath,
+            coveredByPattern,
+        };
+    },
+};
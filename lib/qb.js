@@ -1,36 +1,485 @@
 const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+
+const xmlParser = new XMLParser({ parseTagValue: false });
+
+// API_GetSchema lists pages as <page id="2" type="1">name</page> so attributes are needed
+const schemaParser = new XMLParser({
+    parseTagValue: false,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    isArray: (name) => name === 'page',
+});
+
+/**
+ * Returns the authentication elements for a qdbapi payload.
+ * @param {String} usertoken Usertoken for QB
+ * @param {String} apptoken apptoken for QB
+ * @param {String} ticket Ticket from API_Authenticate - sent instead of the user token when set.
+ */
+const authXml = (usertoken, apptoken, ticket = null) => {
+    var apptokenString = '';
+    if( apptoken ) {
+        apptokenString = `<apptoken>${apptoken}</apptoken>`;
+    }
+    const credential = ticket ? `<ticket>${ticket}</ticket>` : `<usertoken>${usertoken}</usertoken>`;
+    return `${credential}
+                ${apptokenString}`;
+};
+
+/**
+ * Escapes a value for an XML element (usernames, passwords and page names can contain &, < and >).
+ * @param {String} value The value.
+ */
+const escapeXml = (value) => {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+};
+
+// How long tickets are requested for, and how long before they expire a new one is requested
+const TICKET_HOURS = 12;
+const TICKET_RENEWAL_MARGIN = 5 * 60 * 1000;
+// 4 = bad or expired ticket, 22 = sign in required
+const EXPIRED_TICKET_ERRCODES = ['4', '22'];
+
+// Applications that sign in with a username/password ("<realm>/db/<dbid>" -> session) - see useTicketAuth
+const ticketSessions = new Map();
+
+// HTTP statuses that are worth retrying - throttling and temporary server/gateway errors
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+const RATE_LIMIT_ERRTEXT = /rate limit|too many requests|throttl/i;
+// 77 = API request limit exceeded, 100 = technical difficulties, 101 = Quick Base is not available
+const TRANSIENT_ERRCODES = ['77', '100', '101'];
+
+// Retry settings shared by every request - change them with configure()
+const requestOptions = {
+    retries: 3,
+    retryDelay: 500,
+    maxRetryDelay: 10000,
+    retryErrcodes: [],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Returns true if a failed request should be retried - network errors, throttling/5xx responses and Quick Base
+ * rate-limit errors.
+ * @param {Object} error The axios error.
+ */
+const isTransientError = (error) => {
+    if (!error.response) {
+        return TRANSIENT_NETWORK_ERRORS.includes(error.code);
+    }
+    if (TRANSIENT_STATUS_CODES.includes(error.response.status)) {
+        return true;
+    }
+    const parsed = parseErrorResponse(error);
+    const errcodes = TRANSIENT_ERRCODES.concat(requestOptions.retryErrcodes.map(String));
+    return errcodes.includes(String(parsed.errcode)) || RATE_LIMIT_ERRTEXT.test(parsed.errtext || '');
+};
+
+/**
+ * Returns the parsed <qdbapi> response of a failed request (Quick Base sends one with X_QUICKBASE_RETURN_HTTP_ERROR).
+ * @param {Object} error The axios error.
+ */
+const parseErrorResponse = (error) => {
+    const body = error.response && typeof error.response.data === 'string' ? error.response.data : '';
+    try {
+        return xmlParser.parse(body).qdbapi || {};
+    } catch (err) {
+        return {};
+    }
+};
+
+/**
+ * Returns an Error for a Quick Base error response, with the errcode, errtext and errdetail as properties.
+ * @param {Object} qdbapi The parsed <qdbapi> response.
+ * @param {Number} status The HTTP status (if any).
+ */
+const createQuickBaseError = (qdbapi, status) => {
+    const { errcode, errtext, errdetail } = qdbapi;
+    const detail = errdetail && errdetail !== errtext ? ` - ${errdetail}` : '';
+    const error = new Error(`${errtext || 'Quick Base error'} (errcode ${errcode})${detail}`);
+    error.errcode = String(errcode);
+    error.errtext = errtext || null;
+    error.errdetail = errdetail || null;
+    error.status = status || null;
+    return error;
+};
+
+/**
+ * Turns a failed axios request into an Error that describes what Quick Base said.  Errors without a Quick Base
+ * response (network errors, HTML error pages) keep their message and get the HTTP status as a property.
+ * @param {Object} error The axios error.
+ */
+const toQuickBaseError = (error) => {
+    const parsed = parseErrorResponse(error);
+    const status = error.response ? error.response.status : null;
+    if (parsed.errcode !== undefined) {
+        return createQuickBaseError(parsed, status);
+    }
+    error.status = status;
+    return error;
+};
+
+/**
+ * Returns how long to wait before a retry - exponential backoff with jitter, or the Retry-After header if Quick Base
+ * sent one.
+ * @param {Number} attempt The retry number (0 for the first retry).
+ * @param {Object} error The axios error.
+ */
+const getRetryDelay = (attempt, error) => {
+    const retryAfter = error.response && Number(error.response.headers && error.response.headers['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, requestOptions.maxRetryDelay);
+    }
+    const backoff = Math.min(requestOptions.retryDelay * 2 ** attempt, requestOptions.maxRetryDelay);
+    // wait between half and all of the backoff so parallel uploads do not retry in lockstep
+    return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+/**
+ * Sends a qdbapi request, retrying transient errors.
+ * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+ * @param {String} dbid Application dbid
+ * @param {String} action The API action (API_AddReplaceDBPage etc.)
+ * @param {String} data The XML payload.
+ */
+const post = async (realm, dbid, action, data) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send(realm, dbid, action, data);
+        } catch (error) {
+            if (attempt >= requestOptions.retries || !isTransientError(error)) {
+                throw toQuickBaseError(error);
+            }
+            await sleep(getRetryDelay(attempt, error));
+        }
+    }
+};
+
+/**
+ * Sends a qdbapi request once.
+ * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+ * @param {String} dbid Application dbid
+ * @param {String} action The API action (API_AddReplaceDBPage etc.)
+ * @param {String} data The XML payload.
+ */
+const send = (realm, dbid, action, data) => {
+    return axios({
+        method: 'post',
+        url: `${realm}/db/${dbid}`,
+        headers: {
+            "X_QUICKBASE_RETURN_HTTP_ERROR": "true",
+            'QUICKBASE-ACTION': action,
+            'Content-Type': 'application/xml'
+        },
+        // page bodies can be JSON - never let axios parse them
+        transformResponse: [(body) => body],
+        data
+    });
+};
+
+/**
+ * Returns the ticket session for an application, or undefined if it uses a user token.
+ * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+ * @param {String} dbid Application dbid
+ */
+const getTicketSession = (realm, dbid) => ticketSessions.get(`${realm}/db/${dbid}`);
+
+/**
+ * Returns a ticket for the session that does not expire in the next few minutes, signing in with API_Authenticate if
+ * needed.  Requests running at the same time share one sign in.
+ * @param {Object} session The ticket session.
+ * @param {String} rejectedTicket A ticket Quick Base rejected - a new one is requested even if it has not expired.
+ * @return {Promise<String>} Resolves with the ticket.
+ */
+const getTicket = (session, rejectedTicket = null) => {
+    if (session.pending) {
+        return session.pending;
+    }
+    if (session.ticket && session.ticket !== rejectedTicket && Date.now() < session.expiresAt - TICKET_RENEWAL_MARGIN) {
+        return Promise.resolve(session.ticket);
+    }
+    const data = `
+            <qdbapi>
+                <username>${escapeXml(session.username)}</username>
+                <password>${escapeXml(session.password)}</password>
+                <hours>${TICKET_HOURS}</hours>
+            </qdbapi>
+        `;
+    session.pending = post(session.realm, 'main', 'API_Authenticate', data)
+        .then((response) => {
+            const parsed = xmlParser.parse(response.data || '').qdbapi || {};
+            if (parsed.errcode !== '0') {
+                throw createQuickBaseError(parsed);
+            }
+            if (!parsed.ticket) {
+                throw new Error(`API_Authenticate did not return a ticket for ${session.username}.`);
+            }
+            session.ticket = parsed.ticket;
+            session.expiresAt = Date.now() + TICKET_HOURS * 60 * 60 * 1000;
+            session.onTicket(session.ticket, session.expiresAt);
+            return session.ticket;
+        })
+        .finally(() => {
+            session.pending = null;
+        });
+    return session.pending;
+};
+
+/**
+ * Sends a request with the application's credentials.  Applications that use ticket authentication send a ticket
+ * instead of the user token, and a request rejected because the ticket expired is sent again with a new ticket.
+ * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+ * @param {String} dbid Application dbid
+ * @param {String} usertoken Usertoken for QB
+ * @param {String} apptoken apptoken for QB
+ * @param {Function} request Called with the authentication elements, returns a promise for the response.
+ */
+const withAuth = async (realm, dbid, usertoken, apptoken, request) => {
+    const session = getTicketSession(realm, dbid);
+    if (!session) {
+        return request(authXml(usertoken, apptoken));
+    }
+    const ticket = await getTicket(session);
+    try {
+        return await request(authXml(null, apptoken, ticket));
+    } catch (error) {
+        if (!EXPIRED_TICKET_ERRCODES.includes(error.errcode)) {
+            throw error;
+        }
+        // the ticket expired (or was signed out) mid-deploy - sign in again and send the request once more
+        return request(authXml(null, apptoken, await getTicket(session, ticket)));
+    }
+};
 
 module.exports = {
 
+    /**
+     * Changes the retry settings used by every request.
+     * @param {Object} options { retries, retryDelay, maxRetryDelay, retryErrcodes } - retryDelay is the first backoff
+     * in milliseconds (doubled on every retry, up to maxRetryDelay).  retryErrcodes are extra Quick Base errcodes to
+     * treat as transient.
+     */
+    configure: (options) => {
+        Object.keys(requestOptions).forEach((key) => {
+            if (options[key] !== undefined && options[key] !== null) {
+                requestOptions[key] = options[key];
+            }
+        });
+    },
 
-    addUpdateDbPage: ( dbid, realm, usertoken, apptoken=null, formattedFiles )=>{
-        const pagebody = formattedFiles[1]
-        const pagename = formattedFiles[0]
+    /**
+     * Makes every request to an application sign in with a username and password (API_Authenticate) and send the
+     * ticket instead of a user token.  The ticket is kept until shortly before it expires.
+     * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+     * @param {String} dbid Application dbid
+     * @param {Object} credentials { username, password, ticket, expiresAt, onTicket } - ticket/expiresAt are a ticket
+     * saved by an earlier run (used until shortly before expiresAt instead of signing in again), onTicket is called
+     * with every new ticket and the time it expires.
+     */
+    useTicketAuth: (realm, dbid, { username, password, ticket = null, expiresAt = 0, onTicket = () => {} }) => {
+        const key = `${realm}/db/${dbid}`;
+        const existing = ticketSessions.get(key);
+        if (existing && existing.username === username && existing.password === password) {
+            return;
+        }
+        // applications on the same realm signed in as the same user share the ticket
+        const shared = Array.from(ticketSessions.values()).find((session) => session.realm === realm && session.username === username && session.password === password);
+        ticketSessions.set(key, shared || { realm, username, password, onTicket, ticket: ticket || null, expiresAt: ticket ? expiresAt : 0, pending: null });
+    },
 
-        const url = `${realm}/db/${dbid}`;
-        var apptokenString = '';
-        if( apptoken ) {
-            apptokenString = `<apptoken>${apptoken}</apptoken>`;
+    /**
+     * Parses a qdbapi XML response into a JS object.
+     * @param {String} xml The XML returned by Quick Base.
+     * @return {Object} The contents of the <qdbapi> element Quick Base responds with (errcode, errtext, pageID etc.)
+     */
+    parseResponse: (xml) => {
+        const parsed = xmlParser.parse(xml || '');
+        return parsed.qdbapi || {};
+    },
+
+    /**
+     * Throws if a parsed response contains a Quick Base error.  The error has errcode, errtext and errdetail
+     * properties.
+     * @param {Object} parsed Result of parseResponse.
+     */
+    checkResponse: (parsed) => {
+        if (parsed.errcode && parsed.errcode !== '0') {
+            throw createQuickBaseError(parsed);
         }
-        var data = `
+        return parsed;
+    },
+
+    /**
+     * Returns the API_AddReplaceDBPage request body for a page, without the authentication elements (sendRequest
+     * adds them).
+     * @param {String} pagename The page name.
+     * @param {String} pagebody The page body (already CDATA escaped).
+     */
+    buildAddReplaceDbPageRequest: ( pagename, pagebody ) => {
+        return `
             <qdbapi>
-                <pagename>${pagename}</pagename>
+                <pagename>${escapeXml(pagename)}</pagename>
                 <pagetype>1</pagetype>
                 <pagebody><![CDATA[${pagebody}]]></pagebody>
-                <usertoken>${usertoken}</usertoken>
-                ${apptokenString}
             </qdbapi>
         `;
-        // Send a POST request
-        return axios({
-            method: 'post',
-            url: url,
-            headers: {
-                "X_QUICKBASE_RETURN_HTTP_ERROR": "true",
-                'QUICKBASE-ACTION': 'API_AddReplaceDBPage',
-                'Content-Type': 'application/xml'
-            },
-            data
+    },
+
+    /**
+     * Adds the authentication elements to a request body built without them and sends it.
+     * @param {String} dbid Application dbid
+     * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+     * @param {String} usertoken Usertoken for QB
+     * @param {String} apptoken apptoken for QB
+     * @param {String} action The API action (API_AddReplaceDBPage etc.)
+     * @param {String} requestBody The <qdbapi> request body.
+     * @return {Promise<Object>} Resolves with the parsed response.
+     */
+    sendRequest: function ( dbid, realm, usertoken, apptoken, action, requestBody ) {
+        const closingTag = requestBody.lastIndexOf('</qdbapi>');
+        if (closingTag < 0) {
+            return Promise.reject(new Error('The request body has no closing </qdbapi> element.'));
+        }
+        return withAuth(realm, dbid, usertoken, apptoken, (auth) => {
+            const data = `${requestBody.slice(0, closingTag)}    ${auth}
+            ${requestBody.slice(closingTag)}`;
+            return post(realm, dbid, action, data).then((response) => this.checkResponse(this.parseResponse(response.data)));
+        });
+    },
+
+    /**
+     * Adds or replaces a dbpage.
+     * @param {String} dbid Application dbid
+     * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+     * @param {String} usertoken Usertoken for QB
+     * @param {String} apptoken apptoken for QB
+     * @param {Array} formattedFiles Index 0 = page name, Index 1 = page body
+     * @return {Promise<Object>} Resolves with { pagename, pageID, response } where response is the parsed response.
+     */
+    addUpdateDbPage: function ( dbid, realm, usertoken, apptoken=null, formattedFiles ) {
+        const pagebody = formattedFiles[1]
+        const pagename = formattedFiles[0]
+
+        const data = this.buildAddReplaceDbPageRequest(pagename, pagebody);
+        return this.sendRequest(dbid, realm, usertoken, apptoken, 'API_AddReplaceDBPage', data).then((parsed) => {
+            return { pagename, pageID: parsed.pageID || null, response: parsed };
+        });
+    },
+
+    /**
+     * Adds or replaces several dbpages, a few at a time.  A page is only uploaded once the pages it depends on have
+     * been uploaded, and the index page is always uploaded last.  Pages whose dependencies failed are not uploaded.
+     * @param {String} dbid Application dbid
+     * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+     * @param {String} usertoken Usertoken for QB
+     * @param {String} apptoken apptoken for QB
+     * @param {Array} pages [{ name, pagename, pagebody, dependencies, isIndexFile }] in deployment order.
+     * @param {Object} options { concurrency, onProgress } - onProgress is called with (completed, total) after each page.
+     * @return {Promise<Array>} Resolves with [{ page, result, error }] in the same order as pages - result is the
+     * addUpdateDbPage result, error is set if the page was not uploaded.
+     */
+    uploadDbPages: async function ( dbid, realm, usertoken, apptoken, pages, { concurrency = 1, onProgress = () => {} } = {} ) {
+        const outcomes = new Map();
+        const names = new Set(pages.map((page) => page.name));
+        const waitingFor = (page) => {
+            // the index page waits for every other page, other pages wait for their dependencies in this upload
+            if (page.isIndexFile) {
+                return pages.filter((other) => other !== page && !other.isIndexFile);
+            }
+            return pages.filter((other) => (page.dependencies || []).includes(other.name) && names.has(other.name));
+        };
+
+        const pending = pages.slice();
+        const running = new Set();
+        while (pending.length > 0 || running.size > 0) {
+            let started = false;
+            for (let i = 0; i < pending.length && running.size < Math.max(1, concurrency); i++) {
+                const page = pending[i];
+                const blockers = waitingFor(page);
+                if (blockers.some((blocker) => !outcomes.has(blocker))) {
+                    continue;
+                }
+                pending.splice(i--, 1);
+                started = true;
+
+                const failedBlockers = blockers.filter((blocker) => outcomes.get(blocker).error && (page.dependencies || []).includes(blocker.name));
+                if (failedBlockers.length > 0) {
+                    const failedNames = failedBlockers.map((blocker) => blocker.pagename).join(', ');
+                    outcomes.set(page, { page, result: null, error: new Error(`Not deployed because ${failedNames} failed to deploy.`) });
+                    onProgress(outcomes.size, pages.length);
+                    continue;
+                }
+
+                const upload = this.addUpdateDbPage(dbid, realm, usertoken, apptoken, [page.pagename, page.pagebody])
+                    .then((result) => ({ page, result, error: null }), (error) => ({ page, result: null, error }))
+                    .then((outcome) => {
+                        outcomes.set(page, outcome);
+                        running.delete(upload);
+                        onProgress(outcomes.size, pages.length);
+                    });
+                running.add(upload);
+            }
+
+            if (running.size > 0) {
+                await Promise.race(running);
+            } else if (!started) {
+                // nothing can start and nothing is running - only possible with a dependency cycle
+                pending.splice(0).forEach((page) => outcomes.set(page, { page, result: null, error: new Error('Not deployed because of a circular dependency.') }));
+            }
+        }
+
+        return pages.map((page) => outcomes.get(page));
+    },
+
+    /**
+     * Downloads the body of a dbpage.
+     * @param {String} dbid Application dbid
+     * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+     * @param {String} usertoken Usertoken for QB
+     * @param {String} apptoken apptoken for QB
+     * @param {String} page The page ID or page name.
+     * @return {Promise<String>} Resolves with the page body.
+     */
+    getDbPage: ( dbid, realm, usertoken, apptoken=null, page ) => {
+        return withAuth(realm, dbid, usertoken, apptoken, (auth) => {
+            var data = `
+            <qdbapi>
+                <pageID>${escapeXml(page)}</pageID>
+                ${auth}
+            </qdbapi>
+        `;
+            return post(realm, dbid, 'API_GetDBPage', data).then((response) => response.data);
+        });
+    },
+
+    /**
+     * Lists the dbpages in an application using API_GetSchema.
+     * @param {String} dbid Application dbid
+     * @param {String} realm Base URL for the realm (https://myrealm.quickbase.com)
+     * @param {String} usertoken Usertoken for QB
+     * @param {String} apptoken apptoken for QB
+     * @return {Promise<Array>} Resolves with [{ id, name, type }]
+     */
+    listDbPages: function ( dbid, realm, usertoken, apptoken=null ) {
+        return withAuth(realm, dbid, usertoken, apptoken, (auth) => {
+            var data = `
+            <qdbapi>
+                ${auth}
+            </qdbapi>
+        `;
+            return post(realm, dbid, 'API_GetSchema', data).then((response) => {
+                const parsed = schemaParser.parse(response.data || '').qdbapi || {};
+                this.checkResponse(parsed);
+                const pages = (parsed.table && parsed.table.pages && parsed.table.pages.page) || [];
+                return pages.map((page) => ({
+                    id: page.id,
+                    name: page['#text'],
+                    type: page.type,
+                }));
+            });
         });
     }
 
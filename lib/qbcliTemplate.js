@@ -2,12 +2,13 @@ module.exports = function() {
     const repositoryId = process.env.REPOSITORY_ID;
     const customPrefixProduction = process.env.CUSTOM_PREFIX_PRODUCTION;
     const customPrefix = process.env.CUSTOM_PREFIX;
-    const dbid = process.env.DBID;
+    const dbid = process.env.DBID || process.env.QB_DBID;
     const devAndProdQuickBaseApplications = process.env.DEV_AND_PROD_QUICKBASE_APPLICATIONS;
-    const devDbid = devAndProdQuickBaseApplications === 'yes' ? process.env.DEV_DBID : '';
-    const realm = process.env.REALM;
+    const devDbid = devAndProdQuickBaseApplications === 'yes' ? process.env.DEV_DBID || process.env.QB_DEV_DBID : '';
+    const realm = process.env.REALM || process.env.QB_REALM;
 
     return {
+      schemaVersion: 1,
       urlQueryString: '',
       repositoryId,
       prodPrefix: customPrefixProduction,
@@ -24,7 +25,7 @@ module.exports = function() {
         {
           filename: 'example.html',
           path: './examplefolder/subfolder/',
-          dependencies: [1, 3],
+          dependencies: ['exampleFileName.js'],
           isIndexFile: false,
         },
       ],
@@ -0,0 +1,109 @@
+const chalk = require('chalk');
+const alert = require('./alerts');
+const jsdiff = require('diff');
+const qb = require('./qb');
+
+/**
+ * Normalizes line endings so pages saved through the Quick Base page editor compare equal to local files.
+ * @param {String} contents Page contents.
+ */
+const normalize = (contents) => {
+    return (contents || '').replace(/\r\n/g, '\n');
+};
+
+module.exports = {
+    /**
+     * Compares the local pages with the pages that are live in Quick Base.
+     * @param {Array} pages Pages from pipeline.buildPages.
+     * @param {Object} target Target profile from targets.resolveTarget.
+     * @param {String} prefix The environment prefix - remote pages with this prefix that are not local are reported as extra.
+     * @return {Promise<Array>} [{ pagename, status, patch }] where status is identical, changed, missing (not in Quick Base) or extra (only in Quick Base).
+     */
+    compareWithRemote: async (pages, target, prefix) => {
+        const { dbid, realmUrl, usertoken, apptoken } = target;
+        const remotePages = await qb.listDbPages(dbid, realmUrl, usertoken, apptoken);
+        const remoteByName = new Map(remotePages.map((page) => [page.name, page]));
+
+        const results = [];
+        for (let i = 0; i < pages.length; i++) {
+            const page = pages[i];
+            const remotePage = remoteByName.get(page.pagename);
+            if (!remotePage) {
+                results.push({ pagename: page.pagename, status: 'missing', patch: null });
+                continue;
+            }
+
+            const remoteContents = normalize(await qb.getDbPage(dbid, realmUrl, usertoken, apptoken, remotePage.id));
+            const localContents = normalize(page.contents);
+            if (remoteContents === localContents) {
+                results.push({ pagename: page.pagename, status: 'identical', patch: null });
+            } else {
+                const patch = jsdiff.createTwoFilesPatch(
+                    `quickbase/${page.pagename}`,
+                    `local/${page.filePath}`,
+                    remoteContents,
+                    localContents
+                );
+                results.push({ pagename: page.pagename, status: 'changed', patch });
+            }
+        }
+
+        const localNames = new Set(pages.map((page) => page.pagename));
+        remotePages
+            .filter((page) => page.name.startsWith(prefix) && !localNames.has(page.name))
+            .forEach((page) => results.push({ pagename: page.name, status: 'extra', patch: null }));
+
+        return results;
+    },
+
+    /**
+     * Returns true if any page differs between local and Quick Base.
+     * @param {Array} results Result of compareWithRemote.
+     */
+    hasDifferences: (results) => {
+        return results.some((result) => result.status !== 'identical');
+    },
+
+    /**
+     * Prints the unified diffs and a summary.
+     * @param {Array} results Result of compareWithRemote.
+     */
+    printResults: function (results) {
+        results
+            .filter((result) => result.patch)
+            .forEach((result) => {
+                alert.plain('');
+                this.printPatch(result.patch);
+            });
+
+        const labels = {
+            identical: chalk.green('identical'),
+            changed: chalk.yellow('changed'),
+            missing: chalk.red('missing remotely'),
+            extra: chalk.red('extra remotely'),
+        };
+        alert.plain('\nSummary:');
+        results.forEach((result) => {
+            alert.plain(`  ${labels[result.status]}  ${result.pagename}`);
+        });
+        alert.plain('');
+    },
+
+    /**
+     * Prints a unified diff with added lines in green and removed lines in red.
+     * @param {String} patch The unified diff.
+     */
+    printPatch: (patch) => {
+        patch.split('\n').forEach((line) => {
+            if (line.startsWith('+')) {
+                alert.plain(chalk.green(line));
+            } else if (line.startsWith('-')) {
+                alert.plain(chalk.red(line));
+            } else if (line.startsWith('@@')) {
+                alert.plain(chalk.cyan(line));
+            } else {
+                alert.plain(line);
+            }
+        });
+    },
+};
@@ -0,0 +1,162 @@
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const files = require('./files');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.js': 'application/javascript',
+    '.mjs': 'application/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.xml': 'text/xml',
+    '.txt': 'text/plain',
+};
+
+const DEFAULT_PORT = 3000;
+// Only this machine can reach the preview unless another host is chosen - it serves the project's files and proxies to the realm
+const DEFAULT_HOST = '127.0.0.1';
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+
+    /**
+     * Returns the content type Quick Base would serve a page with, based on the page name's extension.
+     * @param {String} pagename The page name.
+     */
+    getContentType: (pagename) => {
+        const contentType = CONTENT_TYPES[path.extname(pagename).toLowerCase()] || 'text/html';
+        return `${contentType}; charset=utf-8`;
+    },
+
+    /**
+     * Finds the page a dbpage request is for.
+     * @param {Array} pages Pages from pipeline.buildPages.
+     * @param {URLSearchParams} query The request's query string.
+     * @param {Object} pageIdsByName Page name -> pageID saved by the last deployment of the environment.
+     * @return {Object|null} The page, or null if no local page matches.
+     */
+    findPage: (pages, query, pageIdsByName) => {
+        const pagename = query.get('pagename');
+        if (pagename) {
+            // the unprefixed name is accepted too so hand-typed URLs work
+            return pages.find((page) => page.pagename === pagename) || pages.find((page) => page.name === pagename) || null;
+        }
+
+        const pageID = query.get('pageID') || query.get('pageid');
+        if (pageID) {
+            const name = Object.keys(pageIdsByName).find((key) => String(pageIdsByName[key]) === pageID);
+            return (name && pages.find((page) => page.name === name)) || null;
+        }
+        return null;
+    },
+
+    /**
+     * Sends a request on to the upstream realm unchanged (apart from the host).
+     * @param {Object} req The incoming request.
+     * @param {Object} res The response.
+     * @param {String} upstream The upstream realm URL (https://myrealm.quickbase.com).
+     * @param {Function} log Called with one line describing the request.
+     */
+    proxyRequest: (req, res, upstream, log) => {
+        const upstreamUrl = new URL(req.url, upstream);
+        const transport = upstreamUrl.protocol === 'https:' ? https : http;
+        const proxied = transport.request(
+            upstreamUrl,
+            { method: req.method, headers: { ...req.headers, host: upstreamUrl.host } },
+            (upstreamResponse) => {
+                log(`${req.method} ${req.url} -> ${upstreamUrl.origin} (${upstreamResponse.statusCode})`);
+                res.writeHead(upstreamResponse.statusCode, upstreamResponse.headers);
+                upstreamResponse.pipe(res);
+            }
+        );
+        proxied.on('error', (err) => {
+            log(`${req.method} ${req.url} -> ${upstreamUrl.origin} failed: ${err.message}`);
+            res.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(`Unable to reach ${upstreamUrl.origin}: ${err.message}`);
+        });
+        req.pipe(proxied);
+    },
+
+    /**
+     * Answers an API call locally.  A file named after the action in the stubs directory (API_DoQuery.xml) is
+     * returned as-is, otherwise an empty successful response is returned.
+     * @param {Object} req The incoming request.
+     * @param {Object} res The response.
+     * @param {String} stubs Directory with stub responses (optional).
+     * @param {Function} log Called with one line describing the request.
+     */
+    stubRequest: (req, res, stubs, log) => {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const action = req.headers['quickbase-action'] || query.get('a') || 'unknown';
+        const stubPath = stubs ? path.join(stubs, `${path.basename(action)}.xml`) : null;
+
+        // drain the request body before answering
+        req.resume();
+        req.on('end', () => {
+            let body = `<?xml version="1.0" ?>\n<qdbapi><action>${action}</action><errcode>0</errcode><errtext>No error</errtext></qdbapi>`;
+            if (stubPath && files.fileFolderExists(stubPath)) {
+                body = files.getFileContents(stubPath);
+                log(`${req.method} ${req.url} -> ${stubPath}`);
+            } else {
+                log(`${req.method} ${req.url} -> empty ${action} response (no stub)`);
+            }
+            res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+            res.end(body);
+        });
+    },
+
+    /**
+     * Creates the preview server.  dbpage requests are answered from the local files, other /db/ requests are proxied
+     * to the upstream realm or answered by a stub.
+     * @param {Object} options { loadPages, pageIdsByName, upstream, stubs, log } - loadPages returns a Promise of the
+     * pages from pipeline.buildPages and is called for every dbpage request so edits show up on refresh.
+     * @return {Object} The http.Server (not listening yet).
+     */
+    createServer: function ({ loadPages, pageIdsByName, upstream, stubs, log }) {
+        return http.createServer(async (req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (!/^\/db\/[^/]+\/?$/.test(url.pathname)) {
+                log(`${req.method} ${req.url} -> 404`);
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Only /db/<dbid> requests are served.');
+                return;
+            }
+
+            if (url.searchParams.get('a') === 'dbpage') {
+                let page;
+                try {
+                    page = this.findPage(await loadPages(), url.searchParams, pageIdsByName);
+                } catch (err) {
+                    log(`${req.method} ${req.url} -> 500 ${err.message}`);
+                    res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+                    res.end(err.message);
+                    return;
+                }
+
+                if (page) {
+                    log(`${req.method} ${req.url} -> ${page.filePath}`);
+                    res.writeHead(200, { 'Content-Type': this.getContentType(page.pagename), 'Cache-Control': 'no-store' });
+                    res.end(page.contents);
+                    return;
+                }
+                // pages that are not in this project may exist in the real application
+                if (!upstream) {
+                    log(`${req.method} ${req.url} -> 404`);
+                    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                    res.end('No page in filesConf matches this request.');
+                    return;
+                }
+            }
+
+            if (upstream) {
+                this.proxyRequest(req, res, upstream, log);
+            } else {
+                this.stubRequest(req, res, stubs, log);
+            }
+        });
+    },
+};
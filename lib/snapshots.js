@@ -0,0 +1,101 @@
+const path = require('path');
+const fs = require('fs');
+const files = require('./files');
+const pipeline = require('./pipeline');
+const qb = require('./qb');
+
+const SNAPSHOT_DIRECTORY = path.join('.deployqb', 'snapshots');
+
+module.exports = {
+    /**
+     * Returns the directory snapshots for a deployment type are stored in.
+     * @param {String} deploymentType prod, dev or feat.
+     */
+    getSnapshotDirectory: (deploymentType) => {
+        return path.join(process.cwd(), SNAPSHOT_DIRECTORY, deploymentType);
+    },
+
+    /**
+     * Downloads the current body of every page about to be deployed and saves it as a timestamped snapshot.
+     * @param {String} deploymentType prod, dev or feat.
+     * @param {Object} target Target profile from targets.resolveTarget.
+     * @param {Array} pages Pages about to be deployed.
+     * @return {Promise<String>} Resolves with the path to the snapshot file.
+     */
+    createSnapshot: async function (deploymentType, target, pages) {
+        const { dbid, realmUrl, usertoken, apptoken } = target;
+        const remotePages = await qb.listDbPages(dbid, realmUrl, usertoken, apptoken);
+        const remoteByName = new Map(remotePages.map((page) => [page.name, page]));
+
+        const snapshotPages = [];
+        for (let i = 0; i < pages.length; i++) {
+            const remotePage = remoteByName.get(pages[i].pagename);
+            if (!remotePage) {
+                snapshotPages.push({ pagename: pages[i].pagename, existed: false, pageID: null, body: null });
+                continue;
+            }
+            const body = await qb.getDbPage(dbid, realmUrl, usertoken, apptoken, remotePage.id);
+            snapshotPages.push({ pagename: pages[i].pagename, existed: true, pageID: remotePage.id, body });
+        }
+
+        const createdAt = new Date().toISOString();
+        const directory = this.getSnapshotDirectory(deploymentType);
+        const snapshotPath = path.join(directory, `${createdAt.replace(/[:.]/g, '-')}.json`);
+        files.createDirectory(directory);
+        files.saveJSONToFile(snapshotPath, {
+            deploymentType,
+            createdAt,
+            realmUrl,
+            dbid,
+            pages: snapshotPages,
+        });
+        return snapshotPath;
+    },
+
+    /**
+     * Lists the snapshots for a deployment type, newest first.
+     * @param {String} deploymentType prod, dev or feat.
+     * @return {Array} [{ snapshotPath, createdAt, pages }]
+     */
+    listSnapshots: function (deploymentType) {
+        const directory = this.getSnapshotDirectory(deploymentType);
+        if (!files.directoryExists(directory)) {
+            return [];
+        }
+        return fs
+            .readdirSync(directory)
+            .filter((filename) => filename.endsWith('.json'))
+            .map((filename) => {
+                const snapshotPath = path.join(directory, filename);
+                return { snapshotPath, ...files.readJSONFile(snapshotPath) };
+            })
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /**
+     * Writes the pages in a snapshot back to Quick Base.
+     * @param {Object} snapshot A snapshot from listSnapshots.
+     * @param {Object} target Target profile from targets.resolveTarget.
+     * @return {Promise<Object>} { restored, failed, notExisting } - arrays of page names (failed is [{ pagename, message }]).
+     * notExisting lists pages that were created by the deployment and need to be removed by hand.
+     */
+    restoreSnapshot: async (snapshot, target) => {
+        const { dbid, realmUrl, usertoken, apptoken } = target;
+        const result = { restored: [], failed: [], notExisting: [] };
+
+        for (let i = 0; i < snapshot.pages.length; i++) {
+            const page = snapshot.pages[i];
+            if (!page.existed) {
+                result.notExisting.push(page.pagename);
+                continue;
+            }
+            try {
+                await qb.addUpdateDbPage(dbid, realmUrl, usertoken, apptoken, [page.pagename, pipeline.escapeCdata(page.body)]);
+                result.restored.push(page.pagename);
+            } catch (err) {
+                result.failed.push({ pagename: page.pagename, message: err.message, error: err });
+            }
+        }
+        return result;
+    },
+};
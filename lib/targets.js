@@ -0,0 +1,190 @@
+const environments = require('./environments');
+
+/**
+ * Returns the first non-empty value from the list.
+ * @param {Array} values Candidate values in order of precedence.
+ */
+const firstValue = (values) => {
+    return values.find((value) => typeof value === 'string' && value.length > 0) || null;
+};
+
+/**
+ * Returns the first username/password pair whose username is set - a password is never paired with another
+ * environment's username.
+ * @param {Array} pairs Candidate [username, password] pairs in order of precedence.
+ * @return {Object} { username, password }
+ */
+const firstSignIn = (pairs) => {
+    const [username, password] = pairs.find(([candidate]) => firstValue([candidate])) || [null, null];
+    return { username: firstValue([username]), password: firstValue([password]) };
+};
+
+module.exports = {
+    /**
+     * Turns the realm from qbcli.json/.env into a base URL.  Accepts "myrealm", "myrealm.quickbase.com" or a full URL.
+     * @param {String} realm The Quick Base realm.
+     * @return {String} The base URL for the realm without a trailing slash (https://myrealm.quickbase.com).
+     */
+    getRealmUrl: (realm) => {
+        if (!realm) {
+            return null;
+        }
+        if (/^https?:\/\//i.test(realm)) {
+            return realm.replace(/\/+$/, '');
+        }
+        if (realm.includes('.')) {
+            return `https://${realm.replace(/\/+$/, '')}`;
+        }
+        return `https://${realm}.quickbase.com`;
+    },
+
+    /**
+     * Masks a token so it can be displayed in the console.
+     * @param {String} token User token or app token.
+     */
+    maskToken: (token) => {
+        if (!token) {
+            return '(not set)';
+        }
+        return token.length > 8 ? `****${token.slice(-4)}` : '****';
+    },
+
+    /**
+     * Returns how a deployment type signs in to Quick Base - "ticket" if the "auth" object in qbcli.json says so,
+     * otherwise "usertoken".
+     * @param {String} deploymentType prod, dev, feat or the name of an environment in qbcli.json.
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     */
+    getAuthMode: (deploymentType, qbcliConfigs) => {
+        return qbcliConfigs && qbcliConfigs.auth && qbcliConfigs.auth[deploymentType] === 'ticket' ? 'ticket' : 'usertoken';
+    },
+
+    /**
+     * Used to build the target profile (realm, dbid, user token and app token) for a deployment type.  When dev and prod
+     * are separate Quick Base applications, dev and feat deployments go to the dev application with the dev tokens.
+     * Named environments from the "environments" object in qbcli.json go to their own dbid (and realm) with the tokens
+     * in QB_<NAME>_USERTOKEN/QB_<NAME>_APP_TOKEN.  Deployment types that use ticket authentication also get the
+     * username/password (QB_USERNAME/QB_PASSWORD, QB_DEV_... or QB_<NAME>_...).
+     * @param {String} deploymentType prod, dev, feat or the name of an environment in qbcli.json.
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     * @param {Object} env Environment variables (defaults to process.env).
+     * @return {Object} { deploymentType, application, auth, realm, realmUrl, dbid, usertoken, apptoken, username,
+     * password } - auth is "usertoken" or "ticket".
+     */
+    resolveTarget: function (deploymentType, qbcliConfigs, env = process.env) {
+        const separateApplications = qbcliConfigs.devAndProdQuickBaseApplications === 'yes';
+        const useDevApplication = separateApplications && deploymentType !== 'prod';
+
+        const prodUsertoken = firstValue([env.QB_USERTOKEN, env.USERTOKEN]);
+        const prodApptoken = firstValue([env.QB_APP_TOKEN, env.APP_TOKEN]);
+        const prodRealm = firstValue([qbcliConfigs.realm, env.QB_REALM, env.REALM]);
+        const prodSignIn = [env.QB_USERNAME, env.QB_PASSWORD];
+
+        const customSettings = environments.getCustomSettings(qbcliConfigs, deploymentType);
+
+        let target;
+        if (customSettings) {
+            const variables = environments.getTokenVariables(deploymentType, customSettings);
+            target = {
+                application: deploymentType,
+                realm: firstValue([customSettings.realm, prodRealm]),
+                dbid: firstValue([customSettings.dbid]),
+                usertoken: firstValue([env[variables.usertoken], prodUsertoken]),
+                apptoken: firstValue([env[variables.apptoken]]),
+                ...firstSignIn([[env[variables.username], env[variables.password]], prodSignIn]),
+            };
+        } else if (useDevApplication) {
+            const realm = firstValue([qbcliConfigs.devRealm, env.QB_DEV_REALM, prodRealm]);
+            target = {
+                application: 'dev',
+                realm,
+                dbid: firstValue([qbcliConfigs.devDbid, env.QB_DEV_DBID, env.DEV_DBID]),
+                usertoken: firstValue([env.QB_DEV_USERTOKEN, env.DEV_USERTOKEN, prodUsertoken]),
+                apptoken: firstValue([env.QB_DEV_APP_TOKEN, env.DEV_APP_TOKEN]),
+                ...firstSignIn([[env.QB_DEV_USERNAME, env.QB_DEV_PASSWORD], prodSignIn]),
+            };
+        } else {
+            target = {
+                application: 'prod',
+                realm: prodRealm,
+                dbid: firstValue([qbcliConfigs.dbid, env.QB_DBID, env.DBID]),
+                usertoken: prodUsertoken,
+                apptoken: prodApptoken,
+                ...firstSignIn([prodSignIn]),
+            };
+        }
+
+        return {
+            deploymentType,
+            auth: this.getAuthMode(deploymentType, qbcliConfigs),
+            ...target,
+            realmUrl: this.getRealmUrl(target.realm),
+        };
+    },
+
+    /**
+     * Builds the target profile for an application given by its realm and dbid instead of by a deployment type in
+     * qbcli.json - "deployqb import" sends an export to the application it was made for, even outside of a project.
+     * The tokens (or username/password) come from QB_USERTOKEN/QB_APP_TOKEN (QB_USERNAME/QB_PASSWORD), and QB_REALM/
+     * QB_DBID are used when no realm/dbid is given.
+     * @param {Object} application { deploymentType, realm, dbid, auth } - deploymentType is the environment the pages
+     * were made for, auth is "usertoken" (the default) or "ticket".
+     * @param {Object} env Environment variables (defaults to process.env).
+     * @return {Object} The target profile, with the same properties as resolveTarget's.
+     */
+    createTarget: function ({ deploymentType, realm, dbid, auth = 'usertoken' }, env = process.env) {
+        const targetRealm = firstValue([realm, env.QB_REALM, env.REALM]);
+        return {
+            deploymentType,
+            auth,
+            application: deploymentType,
+            realm: targetRealm,
+            dbid: firstValue([dbid, env.QB_DBID, env.DBID]),
+            usertoken: firstValue([env.QB_USERTOKEN, env.USERTOKEN]),
+            apptoken: firstValue([env.QB_APP_TOKEN, env.APP_TOKEN]),
+            ...firstSignIn([[env.QB_USERNAME, env.QB_PASSWORD]]),
+            realmUrl: this.getRealmUrl(targetRealm),
+        };
+    },
+
+    /**
+     * Returns the names of any required target values that could not be resolved.
+     * @param {Object} target Target profile from resolveTarget.
+     */
+    getMissingTargetFields: (target) => {
+        const credentials = target.auth === 'ticket' ? ['username', 'password'] : ['usertoken'];
+        return ['realm', 'dbid', ...credentials].filter((field) => !target[field]);
+    },
+
+    /**
+     * Returns the parts of a target profile that are safe to print or write to a file (no tokens).
+     * @param {Object} target Target profile from resolveTarget.
+     */
+    toJSON: (target) => {
+        return {
+            deploymentType: target.deploymentType,
+            application: target.application,
+            auth: target.auth,
+            realmUrl: target.realmUrl,
+            dbid: target.dbid,
+        };
+    },
+
+    /**
+     * Returns a human readable summary of the target profile with tokens masked.
+     * @param {Object} target Target profile from resolveTarget.
+     * @return {Array} Lines to print.
+     */
+    describeTarget: function (target) {
+        const signIn = target.auth === 'ticket'
+            ? [`Sign in:     ticket for ${target.username || '(username not set)'} (password ${this.maskToken(target.password)})`]
+            : [`User token:  ${this.maskToken(target.usertoken)}`];
+        return [
+            `Application: ${target.application}`,
+            `Realm:       ${target.realmUrl || '(not set)'}`,
+            `DBID:        ${target.dbid || '(not set)'}`,
+            ...signIn,
+            `App token:   ${this.maskToken(target.apptoken)}`,
+        ];
+    },
+};
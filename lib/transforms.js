@@ -0,0 +1,127 @@
+const path = require('path');
+const micromatch = require('micromatch');
+const { configError } = require('./helpers');
+
+/**
+ * Minifies JS, CSS or HTML based on the file extension.  The minifiers are loaded on demand so commands that do not
+ * minify anything start quickly.
+ * @param {String} contents File contents.
+ * @param {Object} context The transform context.
+ */
+const minify = async (contents, context) => {
+    const extension = path.extname(context.filePath).toLowerCase();
+    const options = context.options || {};
+
+    if (extension === '.js' || extension === '.mjs') {
+        const terser = require('terser');
+        const result = await terser.minify(contents, options);
+        return result.code;
+    }
+
+    if (extension === '.css') {
+        const CleanCSS = require('clean-css');
+        const result = new CleanCSS(options).minify(contents);
+        if (result.errors.length > 0) {
+            throw new Error(result.errors.join(' '));
+        }
+        return result.styles;
+    }
+
+    if (extension === '.html' || extension === '.htm') {
+        const htmlMinifier = require('html-minifier-terser');
+        return htmlMinifier.minify(contents, {
+            collapseWhitespace: true,
+            removeComments: true,
+            minifyCSS: true,
+            minifyJS: true,
+            ...options,
+        });
+    }
+
+    // nothing to minify for other file types
+    return contents;
+};
+
+/**
+ * Prepends options.text to the file.
+ * @param {String} contents File contents.
+ * @param {Object} context The transform context.
+ */
+const banner = (contents, context) => {
+    const text = (context.options && context.options.text) || '';
+    return text ? `${text}\n${contents}` : contents;
+};
+
+const BUILT_IN_TRANSFORMS = { minify, banner };
+
+module.exports = {
+    /**
+     * Returns the transforms that apply to a file in a deployment type.  Transforms can be declared on a filesConf
+     * entry ("transforms": [...]) or at the top of qbcli.json with a "files" glob (or array of globs) to match.
+     * Either kind can be limited to some environments with "environments": ["prod"].
+     * @param {Array} transforms The top-level transforms array from qbcli.json.
+     * @param {Object} fileConf The filesConf entry the file came from.
+     * @param {String} filePath Local path of the file.
+     * @param {String} deploymentType prod, dev or feat.
+     */
+    getTransformsForFile: (transforms, fileConf, filePath, deploymentType) => {
+        const normalizedPath = filePath.split(path.sep).join('/');
+        // "*.js" matches the file name in any directory, "src/**/*.js" matches the path from the project root
+        const matchingTransforms = (transforms || []).filter((transform) => {
+            return transform.files && [].concat(transform.files).some((pattern) => micromatch.isMatch(normalizedPath, pattern, { matchBase: !pattern.includes('/') }));
+        });
+
+        return (fileConf.transforms || [])
+            .concat(matchingTransforms)
+            .filter((transform) => !transform.environments || transform.environments.includes(deploymentType));
+    },
+
+    /**
+     * Returns the function for a transform - a built-in ("minify", "banner") or a local Node module that exports
+     * (contents, context) => contents.
+     * @param {Object} transform The transform from qbcli.json.
+     */
+    resolveTransform: (transform) => {
+        if (BUILT_IN_TRANSFORMS[transform.use]) {
+            return BUILT_IN_TRANSFORMS[transform.use];
+        }
+
+        let transformFunction;
+        try {
+            transformFunction = require(path.resolve(process.cwd(), transform.use));
+        } catch (err) {
+            throw configError(`Unable to load the transform "${transform.use}" - use "minify", "banner" or the path to a Node module (${err.message}).`);
+        }
+        if (typeof transformFunction !== 'function') {
+            throw configError(`The transform "${transform.use}" must export a function (contents, context) => contents.`);
+        }
+        return transformFunction;
+    },
+
+    /**
+     * Runs every transform that applies to a file, in order.
+     * @param {String} contents File contents.
+     * @param {Array} transforms Transforms from getTransformsForFile.
+     * @param {Object} context { deploymentType, prefix, fileConf, filePath, name } - each transform also gets its options.
+     * @return {Promise<Object>} { contents, applied } - applied lists the "use" value of each transform that ran.
+     */
+    applyTransforms: async function (contents, transforms, context) {
+        const applied = [];
+        for (let i = 0; i < transforms.length; i++) {
+            const transform = transforms[i];
+            const transformFunction = this.resolveTransform(transform);
+            let result;
+            try {
+                result = await transformFunction(contents, { ...context, options: transform.options || {} });
+            } catch (err) {
+                throw new Error(`The "${transform.use}" transform failed for ${context.filePath}: ${err.message}`);
+            }
+            if (typeof result !== 'string') {
+                throw new Error(`The "${transform.use}" transform did not return a string for ${context.filePath}.`);
+            }
+            contents = result;
+            applied.push(transform.use);
+        }
+        return { contents, applied };
+    },
+};
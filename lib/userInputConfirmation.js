@@ -1,17 +1,26 @@
-const inquirer = require('inquirer');
 // const files = require('./files');
 const chalk = require('chalk');
-const figlet = require('figlet');
+const alert = require('./alerts');
+const targets = require('./targets');
+const output = require('./output');
 
 module.exports = {
 
-    getInput: ( deploymentType ) => {
+    /**
+     * Asks the user to confirm a deployment to an environment that requires confirmation.
+     * @param {String} deploymentType prod, dev or the name of an environment in qbcli.json.
+     * @param {Object} target Target profile from targets.resolveTarget - shown so the user can see where the files will go.
+     */
+    getInput: ( deploymentType, target ) => {
         if ( deploymentType === 'prod' ) {
-            //use figlet to add a good starting image on console
-            console.log(chalk.yellow('\n*** YOU ARE ABOUT TO DEPLOY TO PRODUCTION ***'));
+            alert.plain(chalk.yellow('\n*** YOU ARE ABOUT TO DEPLOY TO PRODUCTION ***'));
         } else {
-            //use figlet to add a good starting image on console
-            console.log(chalk.yellow('\n*** YOU ARE ABOUT TO DEPLOY TO DEV ***'));
+            alert.plain(chalk.yellow(`\n*** YOU ARE ABOUT TO DEPLOY TO ${deploymentType.toUpperCase()} ***`));
+        }
+
+        if ( target ) {
+            targets.describeTarget(target).forEach((line) => alert.plain(chalk.cyan(`  ${line}`)));
+            alert.plain();
         }
 
         const questions = [{
@@ -26,6 +35,6 @@ module.exports = {
                 }
             }
         }];
-        return inquirer.prompt(questions);
+        return output.prompt(questions);
     },
 }
\ No newline at end of file
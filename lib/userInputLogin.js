@@ -0,0 +1,84 @@
+const output = require('./output');
+
+module.exports = {
+    /**
+     * Asks for the passphrase of the credential store.
+     * @param {Boolean} create True when nothing has been saved yet - the passphrase is chosen and asked for twice.
+     */
+    getPassphrase: (create) => {
+        const questions = [{
+            name: 'passphrase',
+            type: 'password',
+            mask: '*',
+            message: create ? 'Choose a passphrase to encrypt your deployqb credentials:' : 'Enter the passphrase for your deployqb credentials:',
+            validate: (value) => (value.length ? true : 'Please enter a passphrase'),
+        }];
+        if (create) {
+            questions.push({
+                name: 'confirmation',
+                type: 'password',
+                mask: '*',
+                message: 'Enter the passphrase again:',
+                validate: (value, answers) => (value === answers.passphrase ? true : 'The passphrases do not match'),
+            });
+        }
+        return output.prompt(questions);
+    },
+
+    /**
+     * Asks for the user token for a realm.
+     * @param {String} realmUrl The realm URL.
+     * @param {Boolean} saved True if a user token is already saved for the realm (a blank answer keeps it).
+     */
+    getUsertoken: (realmUrl, saved) => {
+        const questions = [{
+            name: 'usertoken',
+            type: 'password',
+            mask: '*',
+            message: `User token for ${realmUrl}${saved ? ' (leave blank to keep the saved token)' : ''}:`,
+            validate: (value) => (value.length || saved ? true : 'Please enter a user token'),
+        }];
+        return output.prompt(questions);
+    },
+
+    /**
+     * Asks for the username and password used to sign in to a realm (ticket authentication).
+     * @param {String} realmUrl The realm URL.
+     * @param {String} savedUsername The username already saved for the realm (offered as the default).
+     */
+    getSignIn: (realmUrl, savedUsername) => {
+        const questions = [
+            {
+                name: 'username',
+                type: 'input',
+                message: `Quick Base username (email) for ${realmUrl}:`,
+                default: savedUsername || undefined,
+                validate: (value) => (value.length ? true : 'Please enter a username'),
+            },
+            {
+                name: 'password',
+                type: 'password',
+                mask: '*',
+                message: `Password for ${realmUrl}${savedUsername ? ' (leave blank to keep the saved password)' : ''}:`,
+                validate: (value) => (value.length || savedUsername ? true : 'Please enter a password'),
+            },
+        ];
+        return output.prompt(questions);
+    },
+
+    /**
+     * Asks for the app token for an application.
+     * @param {String} realmUrl The realm URL.
+     * @param {String} dbid Application dbid.
+     * @param {Boolean} saved True if an app token is already saved for the application (a blank answer keeps it).
+     */
+    getApptoken: (realmUrl, dbid, saved) => {
+        const questions = [{
+            name: 'apptoken',
+            type: 'password',
+            mask: '*',
+            message: `App token for ${realmUrl}/db/${dbid} (${saved ? 'leave blank to keep the saved token' : 'leave blank if the application does not require one'}):`,
+        }];
+        return output.prompt(questions);
+    },
+}
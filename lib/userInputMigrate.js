@@ -0,0 +1,16 @@
+const output = require('./output');
+
+module.exports = {
+    /**
+     * Asks the user whether to save the migrated qbcli.json.
+     */
+    getInput: () => {
+        const questions = [{
+            name: 'save',
+            type: 'confirm',
+            message: 'Save these changes to qbcli.json (a backup copy of the current file is kept)?',
+            default: false,
+        }];
+        return output.prompt(questions);
+    },
+}
@@ -0,0 +1,29 @@
+const output = require('./output');
+
+module.exports = {
+    /**
+     * Asks the user which Quick Base pages to pull into the project.
+     * @param {Array} remotePages [{ id, name }] from qb.listDbPages.
+     * @param {String} prefix Pages starting with this prefix are selected by default.
+     */
+    getInput: ( remotePages, prefix ) => {
+        const questions = [{
+            name: 'pages',
+            type: 'checkbox',
+            message: 'Select the pages to pull into this project:',
+            choices: remotePages.map((page) => ({
+                name: page.name,
+                value: page.id,
+                checked: Boolean(prefix) && page.name.startsWith(prefix),
+            })),
+            validate: function (value) {
+                if (value.length) {
+                    return true;
+                } else {
+                    return '\nPlease select at least one page.';
+                }
+            }
+        }];
+        return output.prompt(questions);
+    },
+}
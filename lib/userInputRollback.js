@@ -0,0 +1,21 @@
+const output = require('./output');
+
+module.exports = {
+    /**
+     * Asks the user which snapshot to restore.
+     * @param {Array} snapshots Snapshots from snapshots.listSnapshots (newest first).
+     */
+    getInput: ( snapshots ) => {
+        const questions = [{
+            name: 'snapshotPath',
+            type: 'list',
+            message: 'Select the snapshot to restore (taken before each deployment):',
+            choices: snapshots.map((snapshot) => ({
+                name: `${snapshot.createdAt} - ${snapshot.pages.length} page(s): ${snapshot.pages.slice(0, 3).map((page) => page.pagename).join(', ')}${snapshot.pages.length > 3 ? ', ...' : ''}`,
+                value: snapshot.snapshotPath,
+                short: snapshot.createdAt,
+            })),
+        }];
+        return output.prompt(questions);
+    },
+}
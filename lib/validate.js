@@ -0,0 +1,243 @@
+const Ajv = require('ajv');
+const ENUMS = require('./enums');
+const environments = require('./environments');
+const files = require('./files');
+const pipeline = require('./pipeline');
+const targets = require('./targets');
+const schema = require('./schemas/qbcli-v1.schema.json');
+
+const SCHEMA_VERSION = 1;
+
+// Settings older versions of deployqb wrote that are no longer read
+const LEGACY_PROPERTIES = {
+    customPrefix: 'devPrefix',
+    customPrefixProduction: 'prodPrefix',
+};
+
+const validateSchema = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true }).compile(schema);
+
+/**
+ * Turns an ajv instance path (/filesConf/0/dependencies/1) into filesConf[0].dependencies[1].
+ * @param {String} instancePath The ajv instance path.
+ */
+const formatPath = (instancePath) => {
+    return instancePath
+        .split('/')
+        .slice(1)
+        .reduce((formatted, segment) => (/^\d+$/.test(segment) ? `${formatted}[${segment}]` : `${formatted}${formatted ? '.' : ''}${segment}`), '');
+};
+
+/**
+ * Turns an ajv error into a { path, message } problem.
+ * @param {Object} error The ajv error.
+ */
+const formatSchemaError = (error) => {
+    const path = formatPath(error.instancePath) || 'qbcli.json';
+    switch (error.keyword) {
+        case 'additionalProperties':
+            return { path, message: `has an unknown property "${error.params.additionalProperty}"` };
+        case 'required':
+            return { path, message: `is missing "${error.params.missingProperty}"` };
+        case 'enum':
+            return { path, message: `must be one of ${error.params.allowedValues.map((value) => JSON.stringify(value)).join(', ')}` };
+        case 'const':
+            return { path, message: `must be ${JSON.stringify(error.params.allowedValue)}` };
+        case 'anyOf': {
+            // entries that need one of several properties ({ "required": [...] } branches)
+            const required = error.schema.map((branch) => branch.required && branch.required[0]).filter(Boolean);
+            if (required.length === error.schema.length) {
+                const names = required.map((name) => `"${name}"`);
+                return { path, message: `needs ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` };
+            }
+            return { path, message: 'does not match any of the allowed forms' };
+        }
+        default:
+            return { path, message: error.message };
+    }
+};
+
+module.exports = {
+    SCHEMA_VERSION,
+
+    /**
+     * Checks qbcli.json against the schema and the project - required settings for each deployment type, that every
+     * file exists and is not empty, that dependencies point to files in filesConf, that at most one file is flagged
+     * isIndexFile and that no two files are deployed with the same page name.
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     * @param {Array} deploymentTypes The deployment types whose realm/dbid must be set.
+     * @param {Object} env Environment variables (defaults to process.env).
+     * @return {Object} { errors, warnings } - both are arrays of { path, message }.
+     */
+    validateConfig: function (qbcliConfigs, deploymentTypes, env = process.env) {
+        const errors = [];
+        const warnings = [];
+
+        if (typeof qbcliConfigs.schemaVersion === 'number' && qbcliConfigs.schemaVersion > SCHEMA_VERSION) {
+            errors.push({ path: 'schemaVersion', message: `is ${qbcliConfigs.schemaVersion}, but this version of deployqb only understands version ${SCHEMA_VERSION} - update deployqb` });
+            return { errors, warnings };
+        }
+
+        // branch errors of an anyOf are summed up by the anyOf error itself
+        if (!validateSchema(qbcliConfigs)) {
+            validateSchema.errors
+                .filter((error) => !/\/anyOf\/\d+\//.test(error.schemaPath))
+                .forEach((error) => {
+                    const problem = formatSchemaError(error);
+                    const legacyName = error.instancePath === '' && LEGACY_PROPERTIES[error.params.additionalProperty];
+                    if (legacyName) {
+                        warnings.push({ path: problem.path, message: `has the old "${error.params.additionalProperty}" setting, which is no longer read - use "${legacyName}" (deployqb migrate renames it)` });
+                    } else if (error.keyword === 'additionalProperties') {
+                        warnings.push({ ...problem, message: `${problem.message}, which is ignored` });
+                    } else {
+                        errors.push(problem);
+                    }
+                });
+        }
+
+        this.checkEnvironmentNames(qbcliConfigs, errors);
+        this.checkTargets(qbcliConfigs, deploymentTypes, env, errors);
+        if (Array.isArray(qbcliConfigs.filesConf)) {
+            this.checkFiles(qbcliConfigs, errors, warnings);
+        }
+
+        return { errors, warnings };
+    },
+
+    /**
+     * Adds an error for every named environment that would be read as a built-in environment or a command
+     * ("deployqb deploy prod", "deployqb launch plan").
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     * @param {Array} errors Problems found so far.
+     */
+    checkEnvironmentNames: (qbcliConfigs, errors) => {
+        const commandNames = Object.values(ENUMS);
+        Object.keys(qbcliConfigs.environments || {}).forEach((name) => {
+            if (environments.isBuiltIn(name)) {
+                errors.push({ path: `environments.${name}`, message: `cannot be declared - ${name} is a built-in environment, set up at the top of qbcli.json` });
+            } else if (commandNames.includes(name)) {
+                errors.push({ path: `environments.${name}`, message: `cannot be used as an environment name - "${name}" is a deployqb command` });
+            }
+        });
+    },
+
+    /**
+     * Adds an error for every realm/dbid a deployment type cannot resolve from qbcli.json or the environment.
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     * @param {Array} deploymentTypes prod, dev, feat and/or named environments.
+     * @param {Object} env Environment variables.
+     * @param {Array} errors Problems found so far.
+     */
+    checkTargets: (qbcliConfigs, deploymentTypes, env, errors) => {
+        const separateApplications = qbcliConfigs.devAndProdQuickBaseApplications === 'yes';
+        deploymentTypes.forEach((deploymentType) => {
+            const target = targets.resolveTarget(deploymentType, qbcliConfigs, env);
+            let dbidSetting = separateApplications && deploymentType !== 'prod' ? 'devDbid' : 'dbid';
+            let reason = separateApplications ? ' because devAndProdQuickBaseApplications is "yes"' : '';
+            if (!environments.isBuiltIn(deploymentType)) {
+                dbidSetting = `environments.${deploymentType}.dbid`;
+                reason = '';
+            }
+            if (!target.realm) {
+                errors.push({ path: 'realm', message: `is required for ${deploymentType} deployments (or set QB_REALM)` });
+            }
+            if (!target.dbid) {
+                errors.push({ path: dbidSetting, message: `is required for ${deploymentType} deployments${reason}` });
+            }
+        });
+    },
+
+    /**
+     * Adds errors/warnings for the files in filesConf.
+     * @param {Object} qbcliConfigs qbcli.json configuration object.
+     * @param {Array} errors Problems that stop a deployment.
+     * @param {Array} warnings Problems that do not.
+     */
+    checkFiles: (qbcliConfigs, errors, warnings) => {
+        const { filesConf } = qbcliConfigs;
+        if (filesConf.length < 1) {
+            errors.push({ path: 'filesConf', message: 'does not list any files to deploy' });
+            return;
+        }
+        // entries the schema rejected cannot be expanded
+        const isEntry = (fileConf) => fileConf && ['filename', 'glob', 'directory'].some((key) => typeof fileConf[key] === 'string');
+        if (!filesConf.every(isEntry)) {
+            return;
+        }
+
+        // isIndexFile is a boolean - "yes"/"no" come from older versions of deployqb
+        filesConf.forEach((fileConf, index) => {
+            if (typeof fileConf.isIndexFile === 'string') {
+                warnings.push({ path: `filesConf[${index}].isIndexFile`, message: `is "${fileConf.isIndexFile}" - use ${fileConf.isIndexFile === 'yes'} instead (deployqb migrate updates it)` });
+            }
+        });
+
+        // the same page listed twice
+        const listed = new Map();
+        filesConf.forEach((fileConf, index) => {
+            if (typeof fileConf.filename !== 'string') {
+                return;
+            }
+            if (listed.has(fileConf.filename)) {
+                errors.push({ path: `filesConf[${index}]`, message: `lists "${fileConf.filename}" again - it is already filesConf[${listed.get(fileConf.filename)}]` });
+            } else {
+                listed.set(fileConf.filename, index);
+            }
+        });
+
+        let entries;
+        try {
+            let unmatched;
+            ({ entries, unmatched } = pipeline.expandFilesConf(filesConf, qbcliConfigs));
+            // the content pipeline skips what cannot be read with a warning, so these do not stop a deployment
+            unmatched.forEach((pattern) => warnings.push({ path: 'filesConf', message: `"${pattern}" does not match any files - it will be skipped` }));
+        } catch (err) {
+            // two files that flatten to the same page name
+            errors.push({ path: 'filesConf', message: err.message });
+            return;
+        }
+
+        // a glob/directory entry flagged isIndexFile flags every file it matches
+        const indexPages = entries.filter((entry) => pipeline.isIndexFile(entry.fileConf)).map((entry) => entry.name);
+        if (indexPages.length > 1) {
+            errors.push({ path: 'filesConf', message: `flags ${indexPages.join(', ')} as isIndexFile - only one file can be the index file` });
+        }
+
+        entries.forEach((entry) => {
+            if (!files.fileFolderExists(entry.filePath)) {
+                warnings.push({ path: `filesConf[${entry.sourceIndex}]`, message: `${entry.filePath} does not exist - it will be skipped` });
+            } else if (files.getFileContents(entry.filePath).length < 1) {
+                warnings.push({ path: `filesConf[${entry.sourceIndex}]`, message: `${entry.filePath} is empty - it will be skipped` });
+            }
+        });
+
+        // dependencies must name (or, in older files, index) another entry
+        const pageNames = entries.map((entry) => entry.name);
+        filesConf.forEach((fileConf, index) => {
+            (Array.isArray(fileConf.dependencies) ? fileConf.dependencies : []).forEach((dependency, dependencyIndex) => {
+                const path = `filesConf[${index}].dependencies[${dependencyIndex}]`;
+                if (typeof dependency === 'number') {
+                    if (!filesConf[dependency]) {
+                        errors.push({ path, message: `points to filesConf[${dependency}], which does not exist` });
+                    } else if (dependency === index) {
+                        warnings.push({ path, message: 'points to the entry itself' });
+                    }
+                } else if (typeof dependency === 'string') {
+                    if (!pageNames.includes(dependency)) {
+                        errors.push({ path, message: `"${dependency}" is not a page in filesConf` });
+                    } else if (dependency === fileConf.filename) {
+                        warnings.push({ path, message: 'points to the entry itself' });
+                    }
+                }
+            });
+        });
+
+        // circular dependencies, once every dependency resolves
+        if (!errors.some((error) => error.path.includes('.dependencies['))) {
+            try {
+                pipeline.getDeployOrder(entries, pipeline.resolveDependencies(entries));
+            } catch (err) {
+                errors.push({ path: 'filesConf', message: err.message });
+            }
+        }
+    },
+};
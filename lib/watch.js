@@ -0,0 +1,67 @@
+const chokidar = require('chokidar');
+const pipeline = require('./pipeline');
+
+module.exports = {
+    /**
+     * Returns the paths and glob patterns to watch for a filesConf array.
+     * @param {Array} filesConf The filesConf array from qbcli.json.
+     */
+    getWatchPaths: (filesConf) => {
+        const paths = [];
+        filesConf.forEach((fileConf) => {
+            if (fileConf.glob) {
+                paths.push(...[].concat(fileConf.glob));
+            } else if (fileConf.directory) {
+                paths.push(fileConf.directory);
+            } else {
+                paths.push(pipeline.getFilePath(fileConf));
+            }
+        });
+        return paths;
+    },
+
+    /**
+     * Returns the pages to redeploy - pages whose contents changed since they were last deployed, and every page that
+     * depends on one of them (directly or through another page).
+     * @param {Array} pages Pages from pipeline.buildPages, in deployment order.
+     * @param {Object} deployedHashes Page name -> hash of the contents last deployed.
+     * @return {Array} The pages to redeploy, in deployment order.
+     */
+    getPagesToRedeploy: (pages, deployedHashes) => {
+        const redeploy = new Set(pages.filter((page) => deployedHashes[page.pagename] !== page.hash).map((page) => page.name));
+
+        // dependencies come first in deployment order, so one pass reaches every dependent
+        pages.forEach((page) => {
+            if (page.dependencies.some((dependency) => redeploy.has(dependency))) {
+                redeploy.add(page.name);
+            }
+        });
+
+        return pages.filter((page) => redeploy.has(page.name));
+    },
+
+    /**
+     * Watches files and calls onChange once a burst of changes has settled.
+     * @param {Array} paths Paths and glob patterns from getWatchPaths.
+     * @param {Function} onChange Called with the list of changed paths.
+     * @param {Number} debounce Milliseconds to wait after the last change.
+     * @return {Object} The chokidar watcher - call close() to stop watching.
+     */
+    watchFiles: (paths, onChange, debounce) => {
+        const watcher = chokidar.watch(paths, { ignoreInitial: true, ignored: /(^|[\\/])(node_modules|\.git|\.deployqb)([\\/]|$)/ });
+        let changedPaths = new Set();
+        let timer = null;
+
+        watcher.on('all', (event, changedPath) => {
+            changedPaths.add(changedPath);
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const changes = Array.from(changedPaths);
+                changedPaths = new Set();
+                onChange(changes);
+            }, debounce);
+        });
+
+        return watcher;
+    },
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bundle = require('../lib/bundle');
+const promote = require('../lib/promote');
+const qb = require('../lib/qb');
+
+const pagesByName = (pages) => new Map(Object.keys(pages).map((name) => [name, { name, contents: pages[name] }]));
+
+test('inlineDependencies replaces stylesheet links and script tags with inline blocks', () => {
+    const contents = '<link rel="stylesheet" href="?a=dbpage&pagename=main.css"><script defer src="?a=dbpage&pagename=app.js"></script>';
+    const result = bundle.inlineDependencies(contents, pagesByName({ 'main.css': 'body {}', 'app.js': 'run();' }));
+    assert.equal(result.contents, '<style>\nbody {}\n</style><script>\nrun();\n</script>');
+    assert.deepEqual(result.inlined, ['main.css', 'app.js']);
+});
+
+test('inlineDependencies leaves other links alone and escapes </script> in inlined code', () => {
+    const contents = '<link rel="icon" href="?a=dbpage&pagename=main.css"><script src="?a=dbpage&pagename=app.js"></script>';
+    const result = bundle.inlineDependencies(contents, pagesByName({ 'main.css': 'body {}', 'app.js': 'x = "</script>";' }));
+    assert.equal(result.contents, '<link rel="icon" href="?a=dbpage&pagename=main.css"><script>\nx = "<\\/script>";\n</script>');
+    assert.deepEqual(result.inlined, ['app.js']);
+});
+
+test('isStillReferenced keeps pages that are linked elsewhere or depended on', () => {
+    assert.equal(bundle.isStillReferenced('app.js', 'D_1_', '<a href="?a=dbpage&pagename=D_1_app.js">', []), true);
+    assert.equal(bundle.isStillReferenced('app.js', 'D_1_', '<a href="?a=dbpage&pagename=D_1_app.js.map">', []), false);
+    assert.equal(bundle.isStillReferenced('app.js', 'D_1_', '', [{ dependencies: ['app.js'] }]), true);
+});
+
+test('buildPromotedPages skips the pages a bundled source environment inlined', async (t) => {
+    const remote = {
+        'D_1_index.html': { id: '1', contents: '<style>\nbody {}\n</style><a href="?a=dbpage&pagename=D_1_help.html">help</a>' },
+        'D_1_help.html': { id: '2', contents: 'help' },
+    };
+    t.mock.method(qb, 'listDbPages', async () => Object.keys(remote).map((name) => ({ id: remote[name].id, name })));
+    t.mock.method(qb, 'getDbPage', async (dbid, realm, usertoken, apptoken, pageId) => Object.values(remote).find((page) => page.id === pageId).contents);
+
+    const filesConf = [
+        { filename: 'main.css', path: './' },
+        { filename: 'help.html', path: './' },
+        { filename: 'index.html', path: './', dependencies: ['main.css', 'help.html'], isIndexFile: true },
+    ];
+    const sourceTarget = { dbid: 'dev1', realmUrl: 'https://example.quickbase.com' };
+
+    const bundled = await promote.buildPromotedPages(filesConf, { bundle: true }, sourceTarget, 'D_1_', 'P_1_');
+    assert.deepEqual(bundled.missing, []);
+    assert.deepEqual(bundled.inlined, [{ name: 'main.css', into: 'index.html' }]);
+    assert.deepEqual(bundled.pages.map((page) => page.pagename), ['P_1_help.html', 'P_1_index.html']);
+    assert.match(bundled.pages[1].contents, /pagename=P_1_help\.html/);
+
+    // without bundle mode every page in filesConf has to be deployed to the source
+    const unbundled = await promote.buildPromotedPages(filesConf, {}, sourceTarget, 'D_1_', 'P_1_');
+    assert.deepEqual(unbundled.missing, ['D_1_main.css']);
+    assert.deepEqual(unbundled.pages, []);
+});
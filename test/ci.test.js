@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ci = require('../lib/ci');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-ci-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Removes variables an env file set once the test ends.
+ * @param {Object} t The test context.
+ * @param {Array} names The variable names.
+ */
+const restoreVariables = (t, names) => {
+    const previous = names.map((name) => [name, process.env[name]]);
+    t.after(() => previous.forEach(([name, value]) => (value === undefined ? delete process.env[name] : (process.env[name] = value))));
+};
+
+test('--ci and --yes turn CI mode on and --confirm lists the environments', (t) => {
+    t.after(() => ci.configure({}));
+
+    ci.configure({ ci: true, confirm: 'dev, prod' });
+    assert.equal(ci.isEnabled(), true);
+    assert.equal(ci.isConfirmed('prod'), true);
+    assert.equal(ci.isConfirmed('dev'), true);
+    assert.equal(ci.isConfirmed('uat'), false);
+
+    ci.configure({ yes: true, confirm: ['uat', 'prod'] });
+    assert.equal(ci.isEnabled(), true);
+    assert.equal(ci.isConfirmed('uat'), true);
+
+    ci.configure({ confirm: true });
+    assert.equal(ci.isEnabled(), false);
+    assert.equal(ci.isConfirmed('prod'), false);
+});
+
+test('an env file adds its variables without overwriting the ones already set', (t) => {
+    restoreVariables(t, ['DEPLOYQB_CI_TEST_TOKEN', 'DEPLOYQB_CI_TEST_SET']);
+    const envFile = path.join(directory, 'ci.env');
+    fs.writeFileSync(envFile, 'DEPLOYQB_CI_TEST_TOKEN=from-file\nDEPLOYQB_CI_TEST_SET=from-file\n');
+    process.env.DEPLOYQB_CI_TEST_SET = 'from-ci';
+
+    ci.loadEnvironment(envFile);
+    assert.equal(process.env.DEPLOYQB_CI_TEST_TOKEN, 'from-file');
+    assert.equal(process.env.DEPLOYQB_CI_TEST_SET, 'from-ci');
+    assert.throws(() => ci.loadEnvironment(path.join(directory, 'missing.env')), /missing\.env does not exist/);
+});
+
+test('the .env in the working directory is not read in CI mode', (t) => {
+    restoreVariables(t, ['DEPLOYQB_CI_TEST_DOTENV']);
+    const startDirectory = process.cwd();
+    t.after(() => {
+        process.chdir(startDirectory);
+        ci.configure({});
+    });
+    fs.writeFileSync(path.join(directory, '.env'), 'DEPLOYQB_CI_TEST_DOTENV=from-dotenv\n');
+    process.chdir(directory);
+
+    ci.configure({ ci: true });
+    ci.loadEnvironment();
+    assert.equal(process.env.DEPLOYQB_CI_TEST_DOTENV, undefined);
+
+    ci.configure({});
+    ci.loadEnvironment();
+    assert.equal(process.env.DEPLOYQB_CI_TEST_DOTENV, 'from-dotenv');
+});
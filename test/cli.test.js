@@ -0,0 +1,635 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'index.js');
+const USERTOKEN = 'b1234_usertoken_secret';
+
+/**
+ * Starts a fake Quick Base realm that keeps the pages it is sent, per dbid.  fail is called with every { action, dbid,
+ * body } and can return [status, body] to answer with an error instead.
+ * @param {Function} fail Returns an error response for a request, or nothing.
+ * @return {Promise<Object>} { realm, requests, pages, addPage, close } - pages(dbid) returns { pagename: body },
+ * addPage(dbid, pagename, contents) adds a page as if it had been made in Quick Base.
+ */
+const startRealm = (fail = () => null) => {
+    const requests = [];
+    const applications = {};
+    let nextId = 1;
+    const getPages = (dbid) => (applications[dbid] = applications[dbid] || new Map());
+    const addPage = (dbid, pagename, contents) => {
+        const page = getPages(dbid).get(pagename) || { id: String(nextId++) };
+        getPages(dbid).set(pagename, { ...page, contents });
+        return page.id;
+    };
+    const tag = (body, name) => (body.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`)) || [])[1];
+    const xml = (action, extra = '') => `<?xml version="1.0" ?><qdbapi><action>${action}</action><errcode>0</errcode><errtext>No error</errtext>${extra}</qdbapi>`;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+            const request = { action: req.headers['quickbase-action'], dbid: req.url.split('/')[2], body };
+            requests.push(request);
+            const pages = getPages(request.dbid);
+            const error = fail(request);
+            if (error) {
+                res.writeHead(error[0], { 'Content-Type': 'text/xml' });
+                res.end(error[1]);
+            } else if (request.action === 'API_AddReplaceDBPage') {
+                const pagename = tag(body, 'pagename');
+                const contents = body.match(/<pagebody><!\[CDATA\[([\s\S]*)\]\]><\/pagebody>/)[1].split(']]]]><![CDATA[>').join(']]>');
+                res.end(xml(request.action, `<pageID>${addPage(request.dbid, pagename, contents)}</pageID>`));
+            } else if (request.action === 'API_GetDBPage') {
+                const pageId = tag(body, 'pageID');
+                const found = [...pages.values()].find((page) => page.id === pageId);
+                res.writeHead(found ? 200 : 400, { 'Content-Type': found ? 'text/html' : 'text/xml' });
+                res.end(found ? found.contents : '<qdbapi><errcode>24</errcode><errtext>Invalid page</errtext></qdbapi>');
+            } else if (request.action === 'API_GetSchema') {
+                const list = [...pages.entries()].map(([pagename, page]) => `<page id="${page.id}" type="1">${pagename}</page>`).join('');
+                res.end(xml(request.action, `<table><name>App</name><pages>${list}</pages></table>`));
+            } else {
+                res.end(xml(request.action));
+            }
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                realm: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                pages: (dbid) => Object.fromEntries([...getPages(dbid)].map(([pagename, page]) => [pagename, page.contents])),
+                addPage,
+                close: () => new Promise((done) => server.close(done)),
+            });
+        });
+    });
+};
+
+/**
+ * Creates a project in a temporary directory - separate prod (bqprod) and dev (bqdev) applications, an index page that
+ * depends on app.js and a feature prefix saved in its own Configstore.  Removed when the test ends.
+ * @param {Object} t The test context.
+ * @param {Object} qbcliConfigs Settings added to (or replacing) the ones in qbcli.json.
+ * @param {Object} projectFiles File path -> contents, added to (or replacing) src/index.html and src/app.js.
+ * @return {Object} { root, configHome }
+ */
+const createProject = (t, qbcliConfigs = {}, projectFiles = {}) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-cli-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const configHome = path.join(root, '.config');
+    fs.mkdirSync(path.join(configHome, 'configstore'), { recursive: true });
+    fs.writeFileSync(path.join(configHome, 'configstore', 'deployqb.json'), JSON.stringify({ 1: { customPrefixFeature: 'jd' } }));
+
+    const allFiles = {
+        'src/index.html': '<script src="?a=dbpage&pagename=app.js"></script>',
+        'src/app.js': 'console.log("app");',
+        ...projectFiles,
+    };
+    Object.keys(allFiles).forEach((filePath) => {
+        fs.mkdirSync(path.dirname(path.join(root, filePath)), { recursive: true });
+        fs.writeFileSync(path.join(root, filePath), allFiles[filePath]);
+    });
+    fs.writeFileSync(
+        path.join(root, 'qbcli.json'),
+        JSON.stringify({
+            repositoryId: '1',
+            realm: 'acme',
+            dbid: 'bqprod',
+            devDbid: 'bqdev',
+            devAndProdQuickBaseApplications: 'yes',
+            devPrefix: 'D',
+            prodPrefix: 'P',
+            filesConf: [
+                { filename: 'app.js', path: './src/' },
+                { filename: 'index.html', path: './src/', dependencies: ['app.js'], isIndexFile: true },
+            ],
+            ...qbcliConfigs,
+        })
+    );
+    return { root, configHome };
+};
+
+/**
+ * Runs deployqb in a project with a user token in the environment.
+ * @param {Object} project The project from createProject.
+ * @param {Array} args The command arguments.
+ * @param {Object} env Environment variables added to (or replacing) QB_USERTOKEN.
+ * @param {Array} answers [pattern, input] pairs - input is typed once stdout matches pattern, one pair after another.
+ * @return {Promise<Object>} { code, stdout, stderr, json } - json is the parsed stdout in --json mode.
+ */
+const run = (project, args, env = {}, answers = []) => {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI, ...args], {
+            cwd: project.root,
+            env: { PATH: process.env.PATH, XDG_CONFIG_HOME: project.configHome, QB_USERTOKEN: USERTOKEN, ...env },
+            stdio: [answers.length > 0 ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+            timeout: 30000,
+        });
+        let stdout = '';
+        let stderr = '';
+        let answered = 0;
+        let searchFrom = 0;
+        child.stdout.on('data', (chunk) => {
+            stdout += chunk;
+            // wait for each prompt to be drawn so the answer is not read by the one before it
+            const next = answers[answered];
+            const match = next && next[0].exec(stdout.slice(searchFrom));
+            if (match) {
+                searchFrom += match.index + match[0].length;
+                answered++;
+                child.stdin.write(next[1]);
+            }
+        });
+        child.stderr.on('data', (chunk) => (stderr += chunk));
+        child.on('error', reject);
+        child.on('close', (code) => {
+            const json = args.includes('--json') ? JSON.parse(stdout) : null;
+            resolve({ code, stdout, stderr, json });
+        });
+    });
+};
+
+test('plan --json lists the pages in deployment order without calling Quick Base', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm, filesConf: [
+        { filename: 'index.html', path: './src/', dependencies: ['app.js'], isIndexFile: true },
+        { filename: 'app.js', path: './src/' },
+        { filename: 'empty.js', path: './src/' },
+    ] }, { 'src/empty.js': '' });
+
+    const { code, json } = await run(project, ['plan', 'prod', '--json']);
+    assert.equal(code, 0);
+    assert.equal(json.command, 'plan prod');
+    assert.equal(json.success, true);
+    assert.deepEqual(json.target, { deploymentType: 'prod', application: 'prod', auth: 'usertoken', realmUrl: fake.realm, dbid: 'bqprod' });
+    assert.equal(json.prefix, 'P_1_');
+    assert.deepEqual(json.pages.map((page) => page.pagename), ['P_1_app.js', 'P_1_index.html']);
+    assert.deepEqual(json.pages[1].substitutions, [{ from: 'pagename=app.js', to: 'pagename=P_1_app.js', count: 1 }]);
+    assert.equal(json.pages[1].isIndexFile, true);
+    assert.equal(json.pages[0].bytes, Buffer.byteLength('console.log("app");'));
+    assert.deepEqual(json.skipped, [{ filePath: path.normalize('./src/empty.js'), pagename: 'P_1_empty.js', reason: 'the file is empty' }]);
+    assert.deepEqual(json.errors, []);
+    assert.equal(fake.requests.length, 0);
+});
+
+test('plan goes to the dev application for feat with the feature prefix', async (t) => {
+    const project = createProject(t);
+    const { code, json } = await run(project, ['plan', 'feat', '--json'], { QB_USERTOKEN: '' });
+    assert.equal(code, 0);
+    assert.equal(json.target.dbid, 'bqdev');
+    assert.equal(json.prefix, 'jd_1_');
+    assert.deepEqual(json.pages.map((page) => page.pagename), ['jd_1_app.js', 'jd_1_index.html']);
+});
+
+test('plan exits with the config code when the dependencies are circular', async (t) => {
+    const project = createProject(t, { filesConf: [
+        { filename: 'app.js', path: './src/', dependencies: ['index.html'] },
+        { filename: 'index.html', path: './src/', dependencies: ['app.js'] },
+    ] });
+    const { code, json } = await run(project, ['plan', 'prod', '--json', '--no-validate']);
+    assert.equal(code, 2);
+    assert.equal(json.success, false);
+    assert.match(json.errors[0], /circular/i);
+});
+
+test('only the pages that changed since the last deployment are deployed again', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    const uploads = () => fake.requests.filter((request) => request.action === 'API_AddReplaceDBPage').length;
+
+    const first = await run(project, ['feat', '--json']);
+    assert.equal(first.code, 0);
+    assert.deepEqual(first.json.pages.map((page) => page.status), ['deployed', 'deployed']);
+    assert.equal(uploads(), 2);
+
+    const second = await run(project, ['feat', '--json']);
+    assert.equal(second.code, 0);
+    assert.deepEqual(second.json.pages.map((page) => page.status), ['unchanged', 'unchanged']);
+    assert.equal(uploads(), 2);
+
+    fs.writeFileSync(path.join(project.root, 'src', 'app.js'), 'console.log("changed");');
+    const third = await run(project, ['feat', '--json']);
+    assert.deepEqual(third.json.pages.map((page) => [page.pagename, page.status]), [['jd_1_app.js', 'deployed'], ['jd_1_index.html', 'unchanged']]);
+    assert.equal(fake.pages('bqdev')['jd_1_app.js'], 'console.log("changed");');
+
+    const forced = await run(project, ['feat', '--json', '--force']);
+    assert.deepEqual(forced.json.pages.map((page) => [page.status, page.forced]), [['deployed', true], ['deployed', true]]);
+    assert.equal(uploads(), 5);
+});
+
+test('diff --json compares the local pages with the live ones and exits with 1 when they differ', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+
+    assert.equal((await run(project, ['feat', '--json'])).code, 0);
+    const same = await run(project, ['diff', 'feat', '--json']);
+    assert.equal(same.code, 0);
+    assert.deepEqual(same.json.target.dbid, 'bqdev');
+    assert.deepEqual(same.json.pages, [
+        { pagename: 'jd_1_app.js', status: 'identical', patch: null },
+        { pagename: 'jd_1_index.html', status: 'identical', patch: null },
+    ]);
+
+    fs.writeFileSync(path.join(project.root, 'src', 'app.js'), 'console.log("local");');
+    fake.addPage('bqdev', 'jd_1_old.js', 'old');
+    fake.addPage('bqdev', 'P_1_app.js', 'another prefix');
+    const changed = await run(project, ['diff', 'feat', '--json']);
+    assert.equal(changed.code, 1);
+    assert.deepEqual(changed.json.pages.map((page) => [page.pagename, page.status]), [
+        ['jd_1_app.js', 'changed'],
+        ['jd_1_index.html', 'identical'],
+        ['jd_1_old.js', 'extra'],
+    ]);
+    assert.match(changed.json.pages[0].patch, /^-console\.log\("app"\);$/m);
+    assert.match(changed.json.pages[0].patch, /^\+console\.log\("local"\);$/m);
+});
+
+test('diff reports the pages that were never deployed as missing', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+
+    const { code, stdout } = await run(project, ['diff', 'prod']);
+    assert.equal(code, 1);
+    assert.match(stdout, /missing remotely {2}P_1_app\.js/);
+    assert.equal(fake.requests.some((request) => request.action === 'API_AddReplaceDBPage'), false);
+});
+
+test('pull --all writes the pages with the prefix and adds them to filesConf', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm, filesConf: [] }, { 'src/index.html': '', 'src/app.js': '' });
+    fake.addPage('bqprod', 'P_1_app.js', 'console.log("live");');
+    fake.addPage('bqprod', 'P_1_index.html', '<script src="?a=dbpage&pagename=P_1_app.js"></script>');
+    fake.addPage('bqprod', 'Someone else.html', 'not ours');
+
+    const { code } = await run(project, ['pull', 'prod', '--all', '--dir', 'pulled']);
+    assert.equal(code, 0);
+    assert.equal(fs.readFileSync(path.join(project.root, 'pulled', 'app.js'), 'utf8'), 'console.log("live");');
+    assert.equal(fs.readFileSync(path.join(project.root, 'pulled', 'index.html'), 'utf8'), '<script src="?a=dbpage&pagename=app.js"></script>');
+    assert.equal(fs.existsSync(path.join(project.root, 'pulled', 'Someone else.html')), false);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(project.root, 'qbcli.json'), 'utf8')).filesConf, [
+        { filename: 'app.js', path: 'pulled/' },
+        { filename: 'index.html', path: 'pulled/', dependencies: ['app.js'] },
+    ]);
+});
+
+test('pull refuses to ask which pages to pull in CI mode', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    fake.addPage('bqprod', 'P_1_app.js', 'live');
+
+    const { code, stdout } = await run(project, ['pull', 'prod', '--ci']);
+    assert.equal(code, 2);
+    assert.match(stdout, /not allowed in CI mode - add --all/);
+});
+
+test('rollback restores the pages from the snapshot taken before a deployment', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    const deploy = ['prod', '--ci', '--confirm=prod', '--json'];
+
+    assert.equal((await run(project, deploy)).code, 0);
+    fs.writeFileSync(path.join(project.root, 'src', 'app.js'), 'console.log("broken");');
+    assert.equal((await run(project, deploy)).code, 0);
+    assert.equal(fake.pages('bqprod')['P_1_app.js'], 'console.log("broken");');
+
+    const { code, stdout } = await run(project, ['rollback', 'prod'], {}, [[/Select the snapshot/, '\n'], [/Have you committed/, 'yes\n']]);
+    assert.equal(code, 0);
+    assert.match(stdout, /1 page\(s\) in the prod environment have been restored/);
+    assert.equal(fake.pages('bqprod')['P_1_app.js'], 'console.log("app");');
+
+    // the restored page is deployed again by the next deployment
+    const next = await run(project, deploy);
+    assert.deepEqual(next.json.pages.map((page) => [page.pagename, page.status]), [['P_1_app.js', 'deployed'], ['P_1_index.html', 'unchanged']]);
+});
+
+test('rollback refuses a snapshot taken from another realm', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    assert.equal((await run(project, ['prod', '--ci', '--confirm=prod'])).code, 0);
+    const uploads = fake.requests.length;
+
+    // the same server under another name is another realm as far as deployqb knows
+    const qbcliPath = path.join(project.root, 'qbcli.json');
+    const qbcliConfigs = JSON.parse(fs.readFileSync(qbcliPath, 'utf8'));
+    fs.writeFileSync(qbcliPath, JSON.stringify({ ...qbcliConfigs, realm: fake.realm.replace('127.0.0.1', 'localhost') }));
+
+    const { code, stdout } = await run(project, ['rollback', 'prod'], {}, [[/Select the snapshot/, '\n']]);
+    assert.equal(code, 2);
+    assert.match(stdout, /This snapshot was taken from http:\/\/127\.0\.0\.1:\d+\/db\/bqprod/);
+    assert.equal(fake.requests.length, uploads);
+});
+
+test('rollback needs a terminal to choose the snapshot', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    assert.equal((await run(project, ['prod', '--ci', '--confirm=prod'])).code, 0);
+
+    const { code, stdout } = await run(project, ['rollback', 'prod', '--ci']);
+    assert.equal(code, 2);
+    assert.match(stdout, /not allowed in CI mode/);
+});
+
+test('promote ships the pages deployed to dev, not the local files, and renames the references', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+
+    assert.equal((await run(project, ['dev', '--ci', '--confirm=dev'])).code, 0);
+    fs.writeFileSync(path.join(project.root, 'src', 'app.js'), 'console.log("untested");');
+
+    const { code, stdout } = await run(project, ['promote', 'dev', 'prod', '--ci', '--confirm=prod']);
+    assert.equal(code, 0);
+    assert.match(stdout, /2 page\(s\) have been promoted from the dev environment to the prod environment/);
+    assert.deepEqual(fake.pages('bqprod'), {
+        'P_1_app.js': 'console.log("app");',
+        'P_1_index.html': '<script src="?a=dbpage&pagename=P_1_app.js"></script>',
+    });
+    const qbcliConfigs = JSON.parse(fs.readFileSync(path.join(project.root, 'qbcli.json'), 'utf8'));
+    assert.deepEqual(Object.keys(qbcliConfigs.pageIds.prod), ['app.js', 'index.html']);
+    assert.equal(qbcliConfigs.launchProdPageId, qbcliConfigs.pageIds.prod['index.html']);
+});
+
+test('promote stops before deploying anything when a page is missing from the source', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    fake.addPage('bqdev', 'D_1_app.js', 'console.log("app");');
+
+    const { code, stdout } = await run(project, ['promote', 'dev', 'prod', '--ci', '--confirm=prod']);
+    assert.equal(code, 1);
+    assert.match(stdout, /Nothing has been promoted - these pages have not been deployed to the dev environment:\nD_1_index\.html/);
+    assert.deepEqual(fake.pages('bqprod'), {});
+});
+
+test('promote to prod in CI mode needs --confirm=prod', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    assert.equal((await run(project, ['dev', '--ci', '--confirm=dev'])).code, 0);
+
+    const { code } = await run(project, ['promote', 'dev', 'prod', '--ci', '--confirm=dev']);
+    assert.equal(code, 2);
+    assert.deepEqual(fake.pages('bqprod'), {});
+});
+
+test('watch refuses environments that deploy to the production application', async (t) => {
+    const separate = createProject(t);
+    const prod = await run(separate, ['watch', 'prod']);
+    assert.equal(prod.code, 2);
+    assert.match(prod.stdout, /Watching the production application is not allowed/);
+
+    const named = createProject(t, { environments: { hotfix: { dbid: 'bqprod' } } });
+    const hotfix = await run(named, ['watch', 'hotfix']);
+    assert.equal(hotfix.code, 2);
+    assert.match(hotfix.stdout, /the hotfix environment deploys to it/);
+});
+
+test('an export is imported outside of the project to the application it was made for', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+
+    const exported = await run(project, ['export', 'prod', '--out', 'release']);
+    assert.equal(exported.code, 0);
+    assert.equal(fake.requests.length, 0);
+    const exportManifest = JSON.parse(fs.readFileSync(path.join(project.root, 'release', 'manifest.json'), 'utf8'));
+    assert.deepEqual(exportManifest.pages.map((page) => page.pagename), ['P_1_app.js', 'P_1_index.html']);
+
+    // usage errors exit with the config code
+    assert.equal((await run(project, ['export', 'prod', '--out', 'release'])).code, 2);
+    assert.equal((await run(project, ['export', 'prod'])).code, 2);
+
+    const elsewhere = { root: path.join(project.root, 'elsewhere'), configHome: project.configHome };
+    fs.mkdirSync(elsewhere.root);
+    fs.renameSync(path.join(project.root, 'release'), path.join(elsewhere.root, 'release'));
+
+    assert.equal((await run(elsewhere, ['import', 'release', '--ci'])).code, 2);
+    assert.deepEqual(fake.pages('bqprod'), {});
+
+    const imported = await run(elsewhere, ['import', 'release', '--ci', '--confirm=prod']);
+    assert.equal(imported.code, 0);
+    assert.deepEqual(fake.pages('bqprod'), {
+        'P_1_app.js': 'console.log("app");',
+        'P_1_index.html': '<script src="?a=dbpage&pagename=P_1_app.js"></script>',
+    });
+
+    const moved = await run(elsewhere, ['import', 'release', '--ci', '--confirm=prod', '--dbid', 'bqcopy']);
+    assert.equal(moved.code, 0);
+    assert.deepEqual(Object.keys(fake.pages('bqcopy')), ['P_1_app.js', 'P_1_index.html']);
+});
+
+test('an export that was changed is not imported', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    assert.equal((await run(project, ['export', 'prod', '--out', 'release'])).code, 0);
+    fs.appendFileSync(path.join(project.root, 'release', 'pages', '001-P_1_app.js.xml'), '<!-- edited -->');
+
+    const { code, stdout } = await run(project, ['import', 'release', '--ci', '--confirm=prod']);
+    assert.equal(code, 2);
+    assert.match(stdout, /001-P_1_app\.js\.xml was changed after it was exported/);
+    assert.equal(fake.requests.length, 0);
+    assert.equal((await run(project, ['import'])).code, 2);
+});
+
+test('a page Quick Base refuses is reported with the errcode and what to do about it', async (t) => {
+    const invalidToken = '<?xml version="1.0" ?><qdbapi><action>API_AddReplaceDBPage</action><errcode>24</errcode><errtext>Invalid Application Token</errtext></qdbapi>';
+    const fake = await startRealm((request) => (request.action === 'API_AddReplaceDBPage' && request.body.includes('index.html') ? [200, invalidToken] : null));
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+
+    const { code, json } = await run(project, ['feat', '--json']);
+    assert.equal(code, 3);
+    const failed = json.pages.find((page) => page.pagename === 'jd_1_index.html');
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error.errcode, '24');
+    assert.equal(failed.error.errtext, 'Invalid Application Token');
+    assert.match(failed.error.guidance, /QB_APP_TOKEN/);
+    assert.equal(json.pages.find((page) => page.pagename === 'jd_1_app.js').status, 'deployed');
+
+    const text = await run(project, ['feat', '--force']);
+    assert.match(text.stdout, /jd_1_index\.html {2}FAILED - /);
+    assert.match(text.stdout, /requires an application token/);
+});
+
+test('deploy --json writes one document with the target, a summary and every page, and no tokens', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm, filesConf: [
+        { filename: 'app.js', path: './src/' },
+        { filename: 'index.html', path: './src/', dependencies: ['app.js'], isIndexFile: true },
+        { filename: 'gone.js', path: './src/' },
+    ] });
+
+    const { code, stdout, stderr, json } = await run(project, ['prod', '--ci', '--confirm=prod', '--json']);
+    assert.equal(code, 0);
+    assert.deepEqual(Object.keys(json), ['command', 'success', 'exitCode', 'target', 'prefix', 'summary', 'pages', 'skipped', 'errors']);
+    assert.equal(json.command, 'prod');
+    assert.equal(json.success, true);
+    assert.equal(json.exitCode, 0);
+    assert.deepEqual(json.target, { deploymentType: 'prod', application: 'prod', auth: 'usertoken', realmUrl: fake.realm, dbid: 'bqprod' });
+    assert.deepEqual(json.summary, { deployed: 2, failed: 0, unchanged: 0, forced: 0, skipped: 1 });
+    assert.deepEqual(Object.keys(json.pages[0]), ['name', 'pagename', 'filePath', 'hash', 'status', 'forced', 'pageID', 'error']);
+    assert.deepEqual(json.pages.map(({ pagename, status, pageID, error }) => ({ pagename, status, pageID, error })), [
+        { pagename: 'P_1_app.js', status: 'deployed', pageID: '1', error: null },
+        { pagename: 'P_1_index.html', status: 'deployed', pageID: '2', error: null },
+    ]);
+    assert.deepEqual(json.skipped, [{ filePath: path.normalize('./src/gone.js'), reason: 'the file does not exist' }]);
+    assert.equal(`${stdout}${stderr}`.includes(USERTOKEN), false);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(project.root, 'qbcli.json'), 'utf8'));
+    assert.deepEqual(saved.pageIds.prod, { 'app.js': '1', 'index.html': '2' });
+});
+
+test('exit codes tell partial deployments, failures and configuration errors apart', async (t) => {
+    const parseError = '<?xml version="1.0" ?><qdbapi><errcode>11</errcode><errtext>Invalid XML</errtext></qdbapi>';
+    let failing = ['P_1_index.html'];
+    const fake = await startRealm((request) => (failing.some((pagename) => request.body.includes(`<pagename>${pagename}</pagename>`)) ? [400, parseError] : null));
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    const deploy = ['prod', '--ci', '--confirm=prod', '--json'];
+
+    const partial = await run(project, deploy);
+    assert.equal(partial.code, 4);
+    assert.equal(partial.json.exitCode, 4);
+    assert.equal(partial.json.success, false);
+    assert.deepEqual(partial.json.summary, { deployed: 1, failed: 1, unchanged: 0, forced: 0, skipped: 0 });
+
+    failing = ['P_1_app.js', 'P_1_index.html'];
+    assert.equal((await run(project, [...deploy, '--force'])).code, 1);
+
+    const noToken = await run(project, deploy, { QB_USERTOKEN: '' });
+    assert.equal(noToken.code, 2);
+    assert.match(noToken.json.errors[0], /missing usertoken/);
+
+    const outside = { root: path.join(project.root, 'src'), configHome: project.configHome };
+    assert.equal((await run(outside, deploy)).code, 2);
+});
+
+test('genlinks builds the links from the saved page IDs without deploying', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm, urlQueryString: 'view=1' });
+
+    const none = await run(project, ['genlinks', 'prod', '--json']);
+    assert.equal(none.code, 2);
+    assert.match(none.json.errors[0], /No page IDs have been saved for the prod environment/);
+    assert.equal(fake.requests.length, 0);
+
+    assert.equal((await run(project, ['prod', '--ci', '--confirm=prod'])).code, 0);
+    const uploads = fake.requests.length;
+    const { code, json } = await run(project, ['genlinks', 'prod', '--json']);
+    assert.equal(code, 0);
+    assert.deepEqual(json.links, {
+        prod: {
+            launch: `${fake.realm}/db/bqprod?a=dbpage&pageID=2&view=1`,
+            pages: { 'app.js': `${fake.realm}/db/bqprod?a=dbpage&pageID=1`, 'index.html': `${fake.realm}/db/bqprod?a=dbpage&pageID=2` },
+        },
+    });
+    assert.equal(fake.requests.length, uploads);
+
+    const all = await run(project, ['genlinks']);
+    assert.match(all.stdout, /prod:\n {2}Launch: http:\/\/127\.0\.0\.1:\d+\/db\/bqprod\?a=dbpage&pageID=2&view=1/);
+});
+
+test('dev and prod deployments in CI or JSON mode only go ahead with --confirm', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+
+    const unconfirmed = await run(project, ['dev', '--ci']);
+    assert.equal(unconfirmed.code, 2);
+    assert.match(unconfirmed.stdout, /Refusing to deploy to dev in CI mode without confirmation - add --confirm=dev/);
+
+    const wrongEnvironment = await run(project, ['prod', '--ci', '--confirm=dev', '--json']);
+    assert.equal(wrongEnvironment.code, 2);
+    assert.match(wrongEnvironment.json.errors[0], /add --confirm=prod/);
+
+    // --json never prompts, with or without --ci
+    const jsonOnly = await run(project, ['deploy', 'prod', '--json']);
+    assert.equal(jsonOnly.code, 2);
+    assert.match(jsonOnly.json.errors[0], /Refusing to deploy to prod in JSON mode without confirmation/);
+    assert.equal(fake.requests.some((request) => request.action === 'API_AddReplaceDBPage'), false);
+
+    assert.equal((await run(project, ['feat', '--ci'])).code, 0);
+    assert.equal((await run(project, ['deploy', 'prod', '--json', '--confirm=prod'])).code, 0);
+    assert.deepEqual(Object.keys(fake.pages('bqprod')), ['P_1_app.js', 'P_1_index.html']);
+});
+
+test('in CI mode the tokens come from the environment or --env-path, not the .env file', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm });
+    fs.writeFileSync(path.join(project.root, '.env'), `QB_DEV_USERTOKEN=${USERTOKEN}\n`);
+    fs.writeFileSync(path.join(project.root, 'ci.env'), `QB_DEV_USERTOKEN=${USERTOKEN}\n`);
+
+    const ignored = await run(project, ['feat', '--ci', '--json'], { QB_USERTOKEN: '' });
+    assert.equal(ignored.code, 2);
+    assert.match(ignored.json.errors[0], /missing usertoken/);
+
+    assert.equal((await run(project, ['feat', '--ci', '--env-path=ci.env'], { QB_USERTOKEN: '' })).code, 0);
+    assert.equal((await run(project, ['feat', '--ci', '--env-path=missing.env'])).code, 2);
+});
+
+test('deploy <env> deploys to a named environment with its prefix and saves its page IDs', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const project = createProject(t, { realm: fake.realm, environments: { uat: { dbid: 'bquat', prefix: 'UAT' } } });
+
+    const unconfirmed = await run(project, ['deploy', 'uat', '--ci']);
+    assert.equal(unconfirmed.code, 2);
+    assert.match(unconfirmed.stdout, /add --confirm=uat/);
+
+    const result = await run(project, ['deploy', 'uat', '--ci', '--confirm=uat', '--json'], { QB_UAT_USERTOKEN: 'b1234_uat_secret' });
+    assert.equal(result.code, 0);
+    assert.equal(result.json.target.dbid, 'bquat');
+    assert.deepEqual(Object.keys(fake.pages('bquat')), ['UAT_1_app.js', 'UAT_1_index.html']);
+    assert.match(fake.pages('bquat')['UAT_1_index.html'], /pagename=UAT_1_app\.js/);
+    assert.ok(fake.requests.every((request) => request.body.includes('<usertoken>b1234_uat_secret</usertoken>')));
+
+    const saved = JSON.parse(fs.readFileSync(path.join(project.root, 'qbcli.json'), 'utf8'));
+    assert.deepEqual(Object.keys(saved.pageIds.uat), ['app.js', 'index.html']);
+    assert.equal(saved.launchPageIds.uat, saved.pageIds.uat['index.html']);
+
+    const unknown = await run(project, ['deploy', 'staging', '--ci']);
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stdout, /There is no "staging" environment - use one of: feat, dev, prod, uat/);
+});
+
+test('validate reports the problems in qbcli.json and a deployment stops on them unless --no-validate is passed', async (t) => {
+    const fake = await startRealm();
+    t.after(fake.close);
+    const valid = await run(createProject(t, { realm: fake.realm, colour: 'blue' }), ['validate', '--json']);
+    assert.equal(valid.code, 0);
+    assert.equal(valid.json.valid, true);
+    assert.deepEqual(valid.json.warnings, ['qbcli.json has an unknown property "colour", which is ignored']);
+
+    const project = createProject(t, { realm: fake.realm, environments: { plan: { dbid: 'bqplan' } } });
+    const invalid = await run(project, ['validate', '--json']);
+    assert.equal(invalid.code, 2);
+    assert.equal(invalid.json.valid, false);
+    assert.deepEqual(invalid.json.problems, ['environments.plan cannot be used as an environment name - "plan" is a deployqb command']);
+
+    const stopped = await run(project, ['feat']);
+    assert.equal(stopped.code, 2);
+    assert.match(stopped.stdout, /Nothing has been deployed/);
+    assert.equal(fake.requests.length, 0);
+
+    assert.equal((await run(project, ['feat', '--no-validate'])).code, 0);
+    assert.equal(Object.keys(fake.pages('bqdev')).length, 2);
+});
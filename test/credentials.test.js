@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Configstore = require('configstore');
+const credentials = require('../lib/credentials');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-credentials-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Returns an empty credential store saved in the temporary directory.
+ * @param {String} name File name for the store.
+ */
+const createStore = (name) => new Configstore('deployqb-credentials', {}, { configPath: path.join(directory, `${name}.json`) });
+
+test('saved tokens are encrypted and can only be read with the passphrase', () => {
+    const store = createStore('save');
+    credentials.save(store, 'correct horse', { realm: 'acme', usertoken: 'b1234_usertoken_secret', dbid: 'bq1', apptoken: 'apptoken_secret' });
+
+    const saved = fs.readFileSync(store.path, 'utf8');
+    assert.doesNotMatch(saved, /usertoken_secret|apptoken_secret/);
+    assert.deepEqual(credentials.list(store).map(({ savedAt, ...entry }) => entry), [
+        { realmUrl: 'https://acme.quickbase.com', usertoken: '****cret', username: null, apps: [{ dbid: 'bq1', apptoken: '****cret' }] },
+    ]);
+
+    const found = credentials.lookup(store, 'correct horse', 'acme.quickbase.com', 'bq1');
+    assert.equal(found.usertoken, 'b1234_usertoken_secret');
+    assert.equal(found.apptoken, 'apptoken_secret');
+    assert.equal(credentials.lookup(store, 'correct horse', 'https://acme.quickbase.com', 'bq2').apptoken, null);
+    assert.throws(() => credentials.lookup(store, 'wrong', 'acme', 'bq1'), /passphrase for the deployqb credential store is not correct/);
+});
+
+test('saving another app token keeps the realm credentials', () => {
+    const store = createStore('merge');
+    credentials.save(store, 'pass', { realm: 'acme', usertoken: 'b1234_usertoken_secret', dbid: 'bq1', apptoken: 'first' });
+    credentials.save(store, 'pass', { realm: 'acme', dbid: 'bq2', apptoken: 'second' });
+
+    const unlocked = credentials.unlock(store, 'pass')['https://acme.quickbase.com'];
+    assert.equal(unlocked.usertoken, 'b1234_usertoken_secret');
+    assert.deepEqual(unlocked.apptokens, { bq1: 'first', bq2: 'second' });
+    assert.equal(credentials.has(store, 'acme', 'bq2'), true);
+    assert.equal(credentials.has(store, 'acme', 'bq3'), false);
+    assert.throws(() => credentials.save(store, 'pass', { realm: 'other', dbid: 'bq1', apptoken: 'x' }), /A user token or a username and password is required for https:\/\/other\.quickbase\.com/);
+});
+
+test('a new username needs a password and drops the ticket issued to the old one', () => {
+    const store = createStore('tickets');
+    credentials.save(store, 'pass', { realm: 'acme', username: 'me@example.com', password: 'pw' });
+    const expiresAt = Date.now() + 60 * 60 * 1000;
+
+    assert.equal(credentials.saveTicket(store, 'pass', 'acme', { username: 'other@example.com', value: 'other-ticket', expiresAt }), false);
+    assert.equal(credentials.saveTicket(store, 'pass', 'acme', { username: 'me@example.com', value: 'ticket1', expiresAt }), true);
+    assert.doesNotMatch(fs.readFileSync(store.path, 'utf8'), /ticket1/);
+    assert.equal(credentials.lookup(store, 'pass', 'acme').ticket, 'ticket1');
+    assert.equal(credentials.lookup(store, 'pass', 'acme').ticketExpiresAt, expiresAt);
+
+    assert.throws(() => credentials.save(store, 'pass', { realm: 'acme', username: 'other@example.com' }), /A password is required to sign in to https:\/\/acme\.quickbase\.com as other@example\.com/);
+    credentials.save(store, 'pass', { realm: 'acme', username: 'other@example.com', password: 'pw2' });
+    assert.equal(credentials.lookup(store, 'pass', 'acme').ticket, null);
+});
+
+test('an expired ticket is not returned', () => {
+    const store = createStore('expired');
+    credentials.save(store, 'pass', { realm: 'acme', username: 'me@example.com', password: 'pw' });
+    credentials.saveTicket(store, 'pass', 'acme', { username: 'me@example.com', value: 'old', expiresAt: Date.now() - 1 });
+
+    const found = credentials.lookup(store, 'pass', 'acme');
+    assert.equal(found.ticket, null);
+    assert.equal(found.ticketExpiresAt, null);
+    assert.equal(found.password, 'pw');
+});
+
+test('remove and clear delete saved credentials without the passphrase', () => {
+    const store = createStore('remove');
+    credentials.save(store, 'pass', { realm: 'acme', usertoken: 'token-a' });
+    credentials.save(store, 'pass', { realm: 'https://other.example.com', usertoken: 'token-b' });
+
+    assert.equal(credentials.remove(store, 'acme'), true);
+    assert.equal(credentials.remove(store, 'acme'), false);
+    assert.deepEqual(credentials.list(store).map((entry) => entry.realmUrl), ['https://other.example.com']);
+
+    credentials.clear(store);
+    assert.equal(credentials.isEmpty(store), true);
+    assert.equal(store.get('salt'), undefined);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const diagnostics = require('../lib/diagnostics');
+const { configError } = require('../lib/helpers');
+const output = require('../lib/output');
+const pipeline = require('../lib/pipeline');
+
+const quickBaseError = (errcode, status = null) => Object.assign(new Error(`errcode ${errcode}`), { errcode, status });
+
+test('getExitCode tells auth, configuration and other errors apart', () => {
+    assert.equal(diagnostics.getExitCode(quickBaseError('20')), output.EXIT_CODES.AUTH_ERROR);
+    assert.equal(diagnostics.getExitCode(Object.assign(new Error('Forbidden'), { status: 403 })), output.EXIT_CODES.AUTH_ERROR);
+    assert.equal(diagnostics.getExitCode(configError('bad filesConf')), output.EXIT_CODES.CONFIG_ERROR);
+    assert.equal(diagnostics.getExitCode(new SyntaxError('Unexpected token } in JSON')), output.EXIT_CODES.CONFIG_ERROR);
+    assert.equal(diagnostics.getExitCode(quickBaseError('100', 500)), output.EXIT_CODES.FAILURE);
+    assert.equal(diagnostics.getExitCode(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), output.EXIT_CODES.FAILURE);
+});
+
+test('filesConf problems are configuration errors', () => {
+    assert.throws(() => pipeline.getOrderedEntries([{ filename: 'a.js', path: './', dependencies: ['missing.js'] }]), (error) => {
+        return diagnostics.getExitCode(error) === output.EXIT_CODES.CONFIG_ERROR;
+    });
+});
+
+test('getGuidance explains the common errcodes, unknown realms and HTTP errors', () => {
+    assert.match(diagnostics.getGuidance(quickBaseError('24')), /requires an application token/);
+    assert.match(diagnostics.getGuidance(quickBaseError('4')), /rejected the user token/);
+    assert.match(diagnostics.getGuidance(quickBaseError('20')), /did not accept the username and password/);
+    assert.match(diagnostics.getGuidance(quickBaseError('77')), /throttled/);
+    assert.match(diagnostics.getGuidance(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' })), /realm could not be found/);
+    assert.match(diagnostics.getGuidance(Object.assign(new Error('Not Found'), { status: 404 })), /answered with "not found"/);
+    assert.match(diagnostics.getGuidance(Object.assign(new Error('Unauthorized'), { status: 401 })), /rejected the user token/);
+    assert.equal(diagnostics.getGuidance(quickBaseError('100')), null);
+});
+
+test('describeError keeps the Quick Base details and adds the guidance', () => {
+    const error = Object.assign(quickBaseError('24', 400), { errtext: 'Invalid Application Token', errdetail: 'Application token missing' });
+    assert.deepEqual(diagnostics.describeError(error), {
+        message: 'errcode 24',
+        errcode: '24',
+        errtext: 'Invalid Application Token',
+        errdetail: 'Application token missing',
+        status: 400,
+        guidance: diagnostics.getGuidance(error),
+    });
+    assert.deepEqual(diagnostics.describeError(new Error('socket hang up')), {
+        message: 'socket hang up', errcode: null, errtext: null, errdetail: null, status: null, guidance: null,
+    });
+});
+
+test('the summary table shows every page and each piece of guidance once', (t) => {
+    const lines = [];
+    t.mock.method(console, 'log', (line) => lines.push(line));
+    diagnostics.printSummaryTable([
+        { page: { pagename: 'P_1_app.js' }, result: { pageID: '7' }, error: null },
+        { page: { pagename: 'P_1_index.html' }, result: null, error: quickBaseError('24') },
+        { page: { pagename: 'P_1_main.css' }, result: null, error: quickBaseError('24') },
+    ]);
+    const printed = lines.join('\n');
+    assert.match(printed, /P_1_app\.js {6}deployed \(pageID 7\)/);
+    assert.match(printed, /P_1_index\.html {2}FAILED - errcode 24/);
+    assert.equal(printed.split('requires an application token').length, 2);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const environments = require('../lib/environments');
+
+const qbcliConfigs = {
+    urlQueryString: '&debug=1',
+    environments: {
+        uat: { dbid: 'bquat', urlQueryString: '&uat=1' },
+        sandbox: { dbid: 'bqsandbox', confirm: false },
+        prod: { dbid: 'bqother' },
+        'Not-Valid': { dbid: 'bqinvalid' },
+    },
+};
+
+test('the named environments follow feat, dev and prod, leaving out built-in and invalid names', () => {
+    assert.deepEqual(environments.getNames(qbcliConfigs), ['feat', 'dev', 'prod', 'uat', 'sandbox']);
+    assert.deepEqual(environments.getNames(null), ['feat', 'dev', 'prod']);
+    assert.equal(environments.getCustomSettings(qbcliConfigs, 'prod'), null);
+    assert.equal(environments.getCustomSettings(qbcliConfigs, 'Not-Valid'), null);
+    assert.deepEqual(environments.getCustomSettings(qbcliConfigs, 'uat'), { dbid: 'bquat', urlQueryString: '&uat=1' });
+});
+
+test('named environments are confirmed unless "confirm" is false and can set their own query string', () => {
+    assert.deepEqual(environments.getEnvironment(qbcliConfigs, 'uat'), { name: 'uat', label: 'uat', builtIn: false, confirm: true, urlQueryString: '&uat=1' });
+    assert.equal(environments.getEnvironment(qbcliConfigs, 'sandbox').urlQueryString, '&debug=1');
+    assert.equal(environments.getEnvironment(qbcliConfigs, 'prod').label, 'production');
+    assert.equal(environments.getEnvironment(qbcliConfigs, 'staging'), null);
+
+    assert.equal(environments.requiresConfirmation(qbcliConfigs, 'feat'), false);
+    assert.equal(environments.requiresConfirmation(qbcliConfigs, 'sandbox'), false);
+    assert.equal(environments.requiresConfirmation(qbcliConfigs, 'uat'), true);
+    // an environment that is not declared (an imported export) is always confirmed
+    assert.equal(environments.requiresConfirmation(null, 'staging'), true);
+});
+
+test('token variables are named after the environment unless qbcli.json names them', () => {
+    assert.deepEqual(environments.getTokenVariables('user-acceptance', {}), {
+        usertoken: 'QB_USER_ACCEPTANCE_USERTOKEN',
+        apptoken: 'QB_USER_ACCEPTANCE_APP_TOKEN',
+        username: 'QB_USER_ACCEPTANCE_USERNAME',
+        password: 'QB_USER_ACCEPTANCE_PASSWORD',
+    });
+    assert.equal(environments.getTokenVariables('uat', { usertokenVariable: 'UAT_TOKEN' }).usertoken, 'UAT_TOKEN');
+});
+
+test('findName picks the first argument that names an environment', () => {
+    assert.equal(environments.findName(['deploy', 'uat'], qbcliConfigs), 'uat');
+    assert.equal(environments.findName(['plan', 'prod', 'uat'], qbcliConfigs), 'prod');
+    assert.equal(environments.findName(['deploy', 'staging'], qbcliConfigs), undefined);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Configstore = require('configstore');
+const manifest = require('../lib/manifest');
+
+const target = { deploymentType: 'dev', dbid: 'bq1' };
+const page = (pagename, hash) => ({ pagename, hash });
+
+/**
+ * Makes a temporary directory the working directory until the test ends and returns the stores manifests are saved to.
+ * @param {Object} t The test context.
+ * @return {Object} { configurationFile, repositoryId }
+ */
+const useProject = (t) => {
+    const startDirectory = process.cwd();
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-manifest-'));
+    t.after(() => {
+        process.chdir(startDirectory);
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    process.chdir(root);
+    return { configurationFile: new Configstore('deployqb', {}, { configPath: path.join(root, 'configstore.json') }), repositoryId: '1' };
+};
+
+test('comparePages splits the pages into added, changed and unchanged', () => {
+    const deployed = { dbid: 'bq1', pages: { 'D_1_a.js': 'hash-a', 'D_1_b.js': 'hash-b' } };
+    const result = manifest.comparePages(deployed, [page('D_1_a.js', 'hash-a'), page('D_1_b.js', 'hash-b2'), page('D_1_c.js', 'hash-c')], target);
+    assert.deepEqual(result.unchanged.map((item) => item.pagename), ['D_1_a.js']);
+    assert.deepEqual(result.changed.map((item) => item.pagename), ['D_1_b.js']);
+    assert.deepEqual(result.added.map((item) => item.pagename), ['D_1_c.js']);
+});
+
+test('every page is new when the manifest was recorded against another application', () => {
+    const deployed = { dbid: 'bq2', pages: { 'D_1_a.js': 'hash-a' } };
+    const result = manifest.comparePages(deployed, [page('D_1_a.js', 'hash-a')], target);
+    assert.deepEqual(result.added.map((item) => item.pagename), ['D_1_a.js']);
+    assert.deepEqual(result.unchanged, []);
+});
+
+test('dev manifests are saved in the project and merged with the pages deployed before', (t) => {
+    const stores = useProject(t);
+    assert.deepEqual(manifest.readManifest('dev', stores), { dbid: null, deployedAt: null, pages: {} });
+
+    manifest.saveManifest('dev', target, [page('D_1_a.js', 'hash-a'), page('D_1_b.js', 'hash-b')], stores);
+    manifest.saveManifest('dev', target, [page('D_1_b.js', 'hash-b2')], stores);
+
+    const saved = JSON.parse(fs.readFileSync(path.join('.deployqb', 'manifests', 'dev.json'), 'utf8'));
+    assert.equal(saved.dbid, 'bq1');
+    assert.deepEqual(saved.pages, { 'D_1_a.js': 'hash-a', 'D_1_b.js': 'hash-b2' });
+
+    manifest.forgetPages('dev', ['D_1_a.js'], stores);
+    assert.deepEqual(manifest.readManifest('dev', stores).pages, { 'D_1_b.js': 'hash-b2' });
+
+    // a deployment to another application starts a new manifest
+    manifest.saveManifest('dev', { dbid: 'bq2' }, [page('D_1_c.js', 'hash-c')], stores);
+    const moved = manifest.readManifest('dev', stores);
+    assert.equal(moved.dbid, 'bq2');
+    assert.deepEqual(moved.pages, { 'D_1_c.js': 'hash-c' });
+});
+
+test('feature manifests are saved in Configstore', (t) => {
+    const stores = useProject(t);
+    manifest.saveManifest('feat', target, [page('jd_1_a.js', 'hash-a')], stores);
+
+    assert.equal(fs.existsSync('.deployqb'), false);
+    assert.deepEqual(stores.configurationFile.get('1').manifests.feat.pages, { 'jd_1_a.js': 'hash-a' });
+    assert.deepEqual(manifest.readManifest('feat', stores).pages, { 'jd_1_a.js': 'hash-a' });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migrate = require('../lib/migrate');
+const { SCHEMA_VERSION } = require('../lib/validate');
+
+test('detectGeneration tells the unversioned generations apart', () => {
+    assert.equal(migrate.detectGeneration({ schemaVersion: 1 }).schemaVersion, 1);
+    assert.match(migrate.detectGeneration({ customPrefix: 'D_' }).description, /customPrefix\/customPrefixProduction/);
+    assert.match(migrate.detectGeneration({ devPrefix: 'D_' }).description, /devPrefix\/prodPrefix/);
+});
+
+test('migrateConfig renames old prefixes, converts isIndexFile and numeric dependencies', () => {
+    const old = {
+        $schema: './node_modules/deployqb/qbcli.schema.json',
+        customPrefix: 'D_1_',
+        customPrefixProduction: 'P_1_',
+        prodPrefix: 'P_1_',
+        filesConf: [
+            { filename: 'index.html', path: './', dependencies: [1, 'main.css'], isIndexFile: 'yes' },
+            { filename: 'app.js', path: './', isIndexFile: 'no' },
+            { filename: 'main.css', path: './' },
+        ],
+    };
+    const { configs, changes, warnings } = migrate.migrateConfig(old);
+
+    assert.deepEqual(Object.keys(configs), ['$schema', 'schemaVersion', 'devPrefix', 'prodPrefix', 'filesConf']);
+    assert.equal(configs.schemaVersion, SCHEMA_VERSION);
+    assert.equal(configs.devPrefix, 'D_1_');
+    assert.deepEqual(configs.filesConf[0], { filename: 'index.html', path: './', dependencies: ['app.js', 'main.css'], isIndexFile: true });
+    assert.equal(configs.filesConf[1].isIndexFile, false);
+    assert.ok(changes.includes('Renamed "customPrefix" to "devPrefix"'));
+    assert.ok(changes.includes('Removed "customPrefixProduction" - it has the same value as "prodPrefix"'));
+    assert.deepEqual(warnings, []);
+    // the original object is not changed
+    assert.equal(old.filesConf[0].isIndexFile, 'yes');
+});
+
+test('migrateConfig keeps the newer prefix when the old one differs and warns about unknown indexes', () => {
+    const { configs, changes, warnings } = migrate.migrateConfig({
+        customPrefix: 'OLD_',
+        devPrefix: 'D_1_',
+        filesConf: [{ filename: 'index.html', path: './', dependencies: [0, 5] }],
+    });
+    assert.equal(configs.devPrefix, 'D_1_');
+    assert.equal('customPrefix' in configs, false);
+    assert.ok(changes.includes('Removed "customPrefix" ("OLD_") - "devPrefix" ("D_1_") is the prefix deployqb uses'));
+    assert.deepEqual(configs.filesConf[0].dependencies, ['index.html', 5]);
+    assert.deepEqual(warnings, ['filesConf[0].dependencies has 5, which is not a file in filesConf - it was left as it is']);
+});
+
+test('migrating a current file changes nothing and a newer one is refused', () => {
+    const current = { schemaVersion: SCHEMA_VERSION, devPrefix: 'D_1_', filesConf: [{ filename: 'app.js', path: './', dependencies: ['b.js'] }] };
+    const { configs, changes } = migrate.migrateConfig(current);
+    assert.deepEqual(configs, current);
+    assert.deepEqual(changes, []);
+    assert.equal(migrate.getDiff(current, configs).includes('@@'), false);
+
+    assert.throws(() => migrate.migrateConfig({ schemaVersion: SCHEMA_VERSION + 1 }), /only understands version/);
+});
+
+test('getBackupPath adds a timestamp that is safe in file names', () => {
+    assert.match(migrate.getBackupPath('/project/qbcli.json'), /^\/project\/qbcli\.json\.\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.bak$/);
+});
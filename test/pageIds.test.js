@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Configstore = require('configstore');
+const pageIds = require('../lib/pageIds');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-pageids-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Returns the stores savePageIds writes to - a qbcli.json and a Configstore - saved in the temporary directory.
+ * @param {String} name File name prefix.
+ * @param {Object} qbcliConfigs Contents of qbcli.json.
+ */
+const createStores = (name, qbcliConfigs) => {
+    const pathToQBCLIJSON = path.join(directory, `${name}-qbcli.json`);
+    fs.writeFileSync(pathToQBCLIJSON, JSON.stringify(qbcliConfigs));
+    const configurationFile = new Configstore('deployqb', {}, { configPath: path.join(directory, `${name}-configstore.json`) });
+    return { pathToQBCLIJSON, configurationFile, repositoryId: '1' };
+};
+
+const readQbcli = (stores) => JSON.parse(fs.readFileSync(stores.pathToQBCLIJSON, 'utf8'));
+
+test('prod page IDs and the launch page ID are saved to qbcli.json and merged with the earlier ones', () => {
+    const stores = createStores('prod', { realm: 'acme', pageIds: { prod: { 'app.js': '5', 'old.css': '6' } } });
+    pageIds.savePageIds('prod', { 'app.js': '7', 'index.html': '8' }, 'index.html', stores);
+
+    const saved = readQbcli(stores);
+    assert.equal(saved.realm, 'acme');
+    assert.deepEqual(saved.pageIds.prod, { 'app.js': '7', 'old.css': '6', 'index.html': '8' });
+    assert.equal(saved.launchProdPageId, '8');
+    assert.equal(pageIds.getPageIds('prod', saved, null)['index.html'], '8');
+    assert.equal(pageIds.getLaunchPageId('prod', saved, null), '8');
+    assert.equal(stores.configurationFile.get('1'), undefined);
+});
+
+test('the launch page ID is only changed when the index file was deployed', () => {
+    const stores = createStores('dev', { launchDevPageId: '3' });
+    pageIds.savePageIds('dev', { 'app.js': '4' }, 'index.html', stores);
+    assert.equal(readQbcli(stores).launchDevPageId, '3');
+});
+
+test('feature page IDs are saved to Configstore, not qbcli.json', () => {
+    const stores = createStores('feat', {});
+    pageIds.savePageIds('feat', { 'index.html': '11' }, 'index.html', stores);
+
+    assert.deepEqual(readQbcli(stores), {});
+    const configs = stores.configurationFile.get('1');
+    assert.deepEqual(configs.pageIds.feat, { 'index.html': '11' });
+    assert.equal(pageIds.getLaunchPageId('feat', {}, configs), '11');
+    assert.deepEqual(pageIds.getPageIds('feat', {}, configs), { 'index.html': '11' });
+});
+
+test('nothing saved yet reads as no page IDs', () => {
+    assert.deepEqual(pageIds.getPageIds('prod', {}, null), {});
+    assert.equal(pageIds.getLaunchPageId('prod', {}, null), null);
+    assert.equal(pageIds.getLaunchPageId('feat', {}, undefined), null);
+});
+
+test('named environments keep their page IDs in qbcli.json and their launch page ID in launchPageIds', () => {
+    const stores = createStores('uat', { launchPageIds: { training: '2' } });
+    pageIds.savePageIds('uat', { 'index.html': '9' }, 'index.html', stores);
+
+    const saved = readQbcli(stores);
+    assert.deepEqual(saved.pageIds, { uat: { 'index.html': '9' } });
+    assert.deepEqual(saved.launchPageIds, { training: '2', uat: '9' });
+    assert.equal(pageIds.getLaunchPageId('uat', saved, null), '9');
+    assert.equal(pageIds.getLaunchPageId('staging', saved, null), null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const payloads = require('../lib/payloads');
+const pipeline = require('../lib/pipeline');
+
+const target = { deploymentType: 'prod', realmUrl: 'https://acme.quickbase.com', dbid: 'bq1', usertoken: 'b1234_usertoken_secret' };
+const page = (pagename, contents, isIndexFile = false) => ({
+    pagename,
+    contents,
+    pagebody: pipeline.escapeCdata(contents),
+    hash: pipeline.hashContents(contents),
+    isIndexFile,
+});
+
+/**
+ * Returns an empty temporary directory that is removed when the test ends.
+ * @param {Object} t The test context.
+ */
+const createDirectory = (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-payloads-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+};
+
+test('an export holds the request of every page in deployment order and no tokens', (t) => {
+    const directory = createDirectory(t);
+    const written = payloads.writeExport(directory, target, 'P_1_', [page('P_1_app.js', 'a ]]> b'), page('P_1_index.html', '<h1>Hi</h1>', true)]);
+
+    assert.deepEqual(written.pages.map(({ pagename, file, isIndexFile }) => ({ pagename, file, isIndexFile })), [
+        { pagename: 'P_1_app.js', file: 'pages/001-P_1_app.js.xml', isIndexFile: false },
+        { pagename: 'P_1_index.html', file: 'pages/002-P_1_index.html.xml', isIndexFile: true },
+    ]);
+    assert.equal(written.realmUrl, 'https://acme.quickbase.com');
+    assert.equal(written.dbid, 'bq1');
+    assert.equal(written.prefix, 'P_1_');
+
+    const payload = fs.readFileSync(path.join(directory, 'pages', '001-P_1_app.js.xml'), 'utf8');
+    assert.match(payload, /<pagename>P_1_app\.js<\/pagename>/);
+    assert.match(payload, /<!\[CDATA\[a \]\]\]\]><!\[CDATA\[> b\]\]>/);
+    const everything = fs.readdirSync(path.join(directory, 'pages')).map((file) => fs.readFileSync(path.join(directory, 'pages', file), 'utf8')).join('')
+        + fs.readFileSync(path.join(directory, payloads.MANIFEST_FILE_NAME), 'utf8');
+    assert.equal(everything.includes('b1234_usertoken_secret'), false);
+
+    const { manifest, payloads: read } = payloads.readExport(directory);
+    assert.deepEqual(manifest, written);
+    assert.deepEqual(read.map((item) => item.pagename), ['P_1_app.js', 'P_1_index.html']);
+    assert.equal(read[0].payload, payload);
+});
+
+test('an export that was changed or is incomplete is refused', (t) => {
+    const directory = createDirectory(t);
+    payloads.writeExport(directory, target, 'P_1_', [page('P_1_app.js', 'one'), page('P_1_main.css', 'two')]);
+    fs.appendFileSync(path.join(directory, 'pages', '001-P_1_app.js.xml'), ' ');
+    fs.rmSync(path.join(directory, 'pages', '002-P_1_main.css.xml'));
+
+    assert.throws(() => payloads.readExport(directory), {
+        message: `The export in ${directory} cannot be imported:\npages/001-P_1_app.js.xml was changed after it was exported\npages/002-P_1_main.css.xml is missing`,
+    });
+    assert.throws(() => payloads.readExport(createDirectory(t)), /is not a deployqb export - manifest\.json is missing/);
+});
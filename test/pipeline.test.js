@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pipeline = require('../lib/pipeline');
+
+const startDirectory = process.cwd();
+const projects = [];
+test.after(() => {
+    process.chdir(startDirectory);
+    projects.forEach((root) => fs.rmSync(root, { recursive: true, force: true }));
+});
+
+/**
+ * Creates a temporary project directory with the given files and makes it the working directory (filesConf paths are
+ * relative to the project root).
+ * @param {Object} projectFiles Relative path -> contents.
+ */
+const createProject = (projectFiles) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-pipeline-'));
+    projects.push(root);
+    Object.keys(projectFiles).forEach((relativePath) => {
+        const filePath = path.join(root, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, projectFiles[relativePath]);
+    });
+    process.chdir(root);
+    return root;
+};
+
+const names = (entries) => entries.map((entry) => entry.name);
+
+test('getOrderedEntries deploys dependencies before the files that use them', () => {
+    const filesConf = [
+        { filename: 'index.html', path: './', dependencies: ['app.js', 'main.css'] },
+        { filename: 'app.js', path: './', dependencies: ['util.js'] },
+        { filename: 'util.js', path: './' },
+        { filename: 'main.css', path: './' },
+    ];
+    const { entries } = pipeline.getOrderedEntries(filesConf);
+    assert.deepEqual(names(entries), ['util.js', 'app.js', 'main.css', 'index.html']);
+    assert.deepEqual(entries[3].dependencies, ['app.js', 'main.css']);
+});
+
+test('getOrderedEntries accepts filesConf indexes as dependencies', () => {
+    const filesConf = [
+        { filename: 'index.html', path: './', dependencies: [1] },
+        { filename: 'app.js', path: './' },
+    ];
+    assert.deepEqual(names(pipeline.getOrderedEntries(filesConf).entries), ['app.js', 'index.html']);
+});
+
+test('getOrderedEntries reports circular dependencies with the cycle', () => {
+    const filesConf = [
+        { filename: 'a.js', path: './', dependencies: ['b.js'] },
+        { filename: 'b.js', path: './', dependencies: ['c.js'] },
+        { filename: 'c.js', path: './', dependencies: ['a.js'] },
+    ];
+    assert.throws(() => pipeline.getOrderedEntries(filesConf), /Circular dependency in filesConf: a\.js -> b\.js -> c\.js -> a\.js/);
+});
+
+test('getOrderedEntries reports dependencies that are not in filesConf', () => {
+    assert.throws(() => pipeline.getOrderedEntries([{ filename: 'a.js', path: './', dependencies: ['missing.js'] }]), /depends on "missing\.js"/);
+    assert.throws(() => pipeline.getOrderedEntries([{ filename: 'a.js', path: './', dependencies: [4] }]), /depends on filesConf\[4\]/);
+});
+
+test('replacePageReferences only rewrites whole page names', () => {
+    const contents = '<script src="?a=dbpage&pagename=app.js"></script><a href="?a=dbpage&pagename=app.js.map">map</a>';
+    const result = pipeline.replacePageReferences(contents, 'app.js', 'D_1_app.js');
+    assert.equal(result.contents, '<script src="?a=dbpage&pagename=D_1_app.js"></script><a href="?a=dbpage&pagename=app.js.map">map</a>');
+    assert.deepEqual(result.substitution, { from: 'pagename=app.js', to: 'pagename=D_1_app.js', count: 1 });
+    assert.equal(pipeline.replacePageReferences('nothing here', 'app.js', 'D_1_app.js').substitution, null);
+});
+
+test('escapeCdata splits ]]> so the page body cannot end the CDATA section', () => {
+    assert.equal(pipeline.escapeCdata('a]]>b'), 'a]]]]><![CDATA[>b');
+});
+
+test('buildPages prefixes dependency references and skips missing and empty files', async () => {
+    createProject({
+        'src/index.html': '<link rel="stylesheet" href="?a=dbpage&pagename=main.css">',
+        'src/main.css': '\uFEFFbody {}',
+        'src/empty.js': '',
+    });
+    const filesConf = [
+        { filename: 'index.html', path: './src/', dependencies: ['main.css'], isIndexFile: true },
+        { filename: 'main.css', path: './src/' },
+        { filename: 'empty.js', path: './src/' },
+        { filename: 'gone.js', path: './src/' },
+    ];
+    const { pages, skipped } = await pipeline.buildPages(filesConf, 'D_1_');
+
+    assert.deepEqual(pages.map((page) => page.pagename), ['D_1_main.css', 'D_1_index.html']);
+    assert.equal(pages[0].contents, 'body {}');
+    assert.equal(pages[1].contents, '<link rel="stylesheet" href="?a=dbpage&pagename=D_1_main.css">');
+    assert.equal(pages[1].isIndexFile, true);
+    assert.equal(pages[1].hash, pipeline.hashContents(pages[1].contents));
+    assert.deepEqual(skipped.map((item) => [item.name, item.reason]), [['empty.js', 'empty'], ['gone.js', 'missing']]);
+});
+
+test('glob entries flatten matched files to their base name by default', () => {
+    createProject({ 'build/static/js/main.js': 'a', 'build/static/css/main.css': 'b' });
+    const { entries, unmatched } = pipeline.expandFilesConf([{ glob: 'build/static/**/*.{js,css}' }]);
+    assert.deepEqual(names(entries), ['main.css', 'main.js']);
+    assert.deepEqual(entries.map((entry) => entry.filePath), [path.normalize('build/static/css/main.css'), path.normalize('build/static/js/main.js')]);
+    assert.deepEqual(unmatched, []);
+});
+
+test('the path flatten strategy joins the path below the base with the separator', () => {
+    createProject({ 'build/static/js/main.js': 'a', 'build/static/js/vendor/lib.js': 'b' });
+    const { entries } = pipeline.expandFilesConf([{ directory: 'build/static/', flatten: 'path', flattenSeparator: '-' }]);
+    assert.deepEqual(names(entries), ['js-main.js', 'js-vendor-lib.js']);
+});
+
+test('two files that flatten to the same page name are refused', () => {
+    createProject({ 'a/util.js': 'a', 'b/util.js': 'b' });
+    assert.throws(() => pipeline.expandFilesConf([{ glob: '**/util.js' }]), /would both be deployed as the page "util\.js"/);
+    assert.deepEqual(names(pipeline.expandFilesConf([{ glob: '**/util.js' }], { flatten: 'path' }).entries), ['a_util.js', 'b_util.js']);
+});
+
+test('a file listed by hand and matched by a glob is only deployed once', () => {
+    createProject({ 'src/app.js': 'a', 'src/other.js': 'b' });
+    const { entries } = pipeline.expandFilesConf([{ filename: 'app.js', path: './src/', isIndexFile: true }, { glob: 'src/*.js' }]);
+    assert.deepEqual(names(entries), ['app.js', 'other.js']);
+    assert.equal(entries[0].fileConf.isIndexFile, true);
+});
+
+test('patterns that match nothing are reported and unknown flatten strategies are refused', () => {
+    createProject({ 'src/app.js': 'a' });
+    assert.deepEqual(pipeline.expandFilesConf([{ glob: 'dist/**/*.js' }]).unmatched, ['dist/**/*.js']);
+    assert.throws(() => pipeline.expandFilesConf([{ glob: 'src/*.js', flatten: 'hash' }]), /Unknown flatten strategy "hash"/);
+});
+
+test('getGlobBase returns the static directory a pattern starts from', () => {
+    assert.equal(pipeline.getGlobBase('build/static/**/*.js'), 'build/static');
+    assert.equal(pipeline.getGlobBase('*.js'), '.');
+    assert.equal(pipeline.getGlobBase('src/{a,b}/*.js'), 'src');
+});
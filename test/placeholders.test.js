@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pipeline = require('../lib/pipeline');
+const placeholders = require('../lib/placeholders');
+
+const target = { deploymentType: 'dev', realmUrl: 'https://example.quickbase.com', dbid: 'bq1' };
+
+/**
+ * Makes a temporary directory with the given files the working directory until the test ends.
+ * @param {Object} t The test context.
+ * @param {Object} projectFiles File name -> contents.
+ */
+const useProject = (t, projectFiles) => {
+    const startDirectory = process.cwd();
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-placeholders-'));
+    t.after(() => {
+        process.chdir(startDirectory);
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    Object.keys(projectFiles).forEach((name) => fs.writeFileSync(path.join(root, name), projectFiles[name]));
+    process.chdir(root);
+};
+
+test('getBuiltInValues describes the target', () => {
+    assert.deepEqual(placeholders.getBuiltInValues(target, 'D_1_'), {
+        ENVIRONMENT: 'dev',
+        PREFIX: 'D_1_',
+        REALM: 'example.quickbase.com',
+        REALM_URL: 'https://example.quickbase.com',
+        DBID: 'bq1',
+    });
+    assert.deepEqual(placeholders.getBuiltInValues({ deploymentType: 'feat' }, 'F_1_'), { ENVIRONMENT: 'feat', PREFIX: 'F_1_' });
+});
+
+test('resolveValues picks the environment value, then dev for feat, then default', () => {
+    const settings = {
+        TABLE: { dev: 'bq2', prod: 'bq3', default: 'bq4' },
+        STATUS: { prod: '15', default: '12' },
+        NAME: 'Acme',
+        PROD_ONLY: { prod: 'x' },
+        DBID: 'override',
+    };
+    assert.deepEqual(placeholders.resolveValues(settings, 'feat', { PREFIX: 'F_1_', DBID: 'bq1' }), {
+        PREFIX: 'F_1_',
+        DBID: 'override',
+        TABLE: 'bq2',
+        STATUS: '12',
+        NAME: 'Acme',
+    });
+    assert.equal(placeholders.resolveValues(settings, 'prod').PROD_ONLY, 'x');
+    assert.deepEqual(placeholders.resolveValues(undefined, 'dev', { PREFIX: 'D_1_' }), { PREFIX: 'D_1_' });
+});
+
+test('substitute counts every substitution and lists unresolved names once', () => {
+    const result = placeholders.substitute('{{TABLE}} {{ TABLE }} {{MISSING}} {{MISSING}} {{ item.name }}', { TABLE: 'bq2' });
+    assert.equal(result.contents, 'bq2 bq2 {{MISSING}} {{MISSING}} {{ item.name }}');
+    assert.deepEqual(result.substitutions, [{ name: 'TABLE', value: 'bq2', count: 2 }]);
+    assert.deepEqual(result.unresolved, ['MISSING']);
+});
+
+test('getDifferingPlaceholders lists the names with different values', () => {
+    const settings = { TABLE: { dev: 'bq2', prod: 'bq3' }, NAME: 'Acme' };
+    assert.deepEqual(placeholders.getDifferingPlaceholders(settings, 'dev', 'prod'), ['TABLE']);
+});
+
+test('buildPages leaves {{NAME}} text alone unless qbcli.json declares placeholders', async (t) => {
+    const template = '<p>{{DBID}} {{PREFIX}}</p><p>{{ item.name }}</p>';
+    useProject(t, { 'template.html': template });
+
+    // no "placeholders" object - index.js passes no values and the file is deployed as it is, even without a dbid
+    const { pages } = await pipeline.buildPages([{ filename: 'template.html', path: './' }], 'F_1_', { deploymentType: 'feat', placeholders: null });
+    assert.equal(pages[0].contents, template);
+    assert.deepEqual(pages[0].placeholders, []);
+});
+
+test('buildPages fills in declared placeholders and fails on the ones without a value', async (t) => {
+    useProject(t, { 'app.js': 'load("{{DBID}}", "{{TABLE}}");' });
+    const filesConf = [{ filename: 'app.js', path: './' }];
+    const builtIn = placeholders.getBuiltInValues(target, 'D_1_');
+
+    const { pages } = await pipeline.buildPages(filesConf, 'D_1_', { deploymentType: 'dev', placeholders: placeholders.resolveValues({ TABLE: { dev: 'bq2' } }, 'dev', builtIn) });
+    assert.equal(pages[0].contents, 'load("bq1", "bq2");');
+    assert.deepEqual(pages[0].placeholders, [{ name: 'DBID', value: 'bq1', count: 1 }, { name: 'TABLE', value: 'bq2', count: 1 }]);
+
+    await assert.rejects(
+        pipeline.buildPages(filesConf, 'D_1_', { deploymentType: 'dev', placeholders: placeholders.resolveValues({ TABLE: { prod: 'bq3' } }, 'dev', builtIn) }),
+        /Unresolved placeholder\(s\) in app\.js: \{\{TABLE\}\}/
+    );
+
+    // a built-in value the environment does not have fails too
+    await assert.rejects(
+        pipeline.buildPages(filesConf, 'F_1_', { deploymentType: 'feat', placeholders: placeholders.resolveValues({ TABLE: 'bq2' }, 'feat', { PREFIX: 'F_1_' }) }),
+        /\{\{DBID\}\}/
+    );
+});
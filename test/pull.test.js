@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const pull = require('../lib/pull');
+
+test('getLocalName removes the prefix and characters that are not allowed in file names', () => {
+    assert.equal(pull.getLocalName('P_1_app.js', 'P_1_'), 'app.js');
+    assert.equal(pull.getLocalName('Other page', 'P_1_'), 'Other page');
+    assert.equal(pull.getLocalName('P_1_a/b:c.html', 'P_1_'), 'a_b_c.html');
+    assert.equal(pull.getLocalName('P_1_app.js', ''), 'P_1_app.js');
+});
+
+test('restoreReferences turns prefixed pagename= references back into dependencies', () => {
+    const knownPages = [
+        { pagename: 'P_1_app.js', name: 'app.js' },
+        { pagename: 'P_1_main.css', name: 'main.css' },
+    ];
+    const { contents, dependencies } = pull.restoreReferences('<script src="?a=dbpage&pagename=P_1_app.js"></script><a href="?pagename=P_1_app.js.map">', knownPages);
+    assert.equal(contents, '<script src="?a=dbpage&pagename=app.js"></script><a href="?pagename=P_1_app.js.map">');
+    assert.deepEqual(dependencies, ['app.js']);
+});
+
+test('mergeFilesConf adds new files and merges the dependencies of existing ones', () => {
+    const filesConf = [
+        { filename: 'index.html', path: './src/', dependencies: [1] },
+        { filename: 'app.js', path: './src/' },
+        { glob: 'src/css/*.css' },
+    ];
+    const merged = pull.mergeFilesConf(filesConf, [
+        { filename: 'index.html', path: './pulled/', dependencies: ['app.js', 'main.css'], coveredByPattern: false },
+        { filename: 'help.html', path: './pulled/', dependencies: [], coveredByPattern: false },
+        { filename: 'main.css', path: 'src/css', dependencies: [], coveredByPattern: true },
+    ]);
+    assert.deepEqual(merged, [
+        { filename: 'index.html', path: './src/', dependencies: ['app.js', 'main.css'] },
+        { filename: 'app.js', path: './src/' },
+        { glob: 'src/css/*.css' },
+        { filename: 'help.html', path: './pulled/' },
+    ]);
+    // the original filesConf is not changed
+    assert.deepEqual(filesConf[0].dependencies, [1]);
+});
+
+test('getLocalPath keeps the path of files that are already in filesConf', () => {
+    const entries = [
+        { name: 'app.js', filePath: path.join('src', 'app.js'), fileConf: { filename: 'app.js', path: './src/' } },
+        { name: 'main.css', filePath: path.join('src', 'css', 'main.css'), fileConf: { glob: 'src/css/*.css' } },
+    ];
+    assert.deepEqual(pull.getLocalPath(entries, 'app.js', './pulled/'), { path: './src/', filePath: path.join('src', 'app.js'), coveredByPattern: false });
+    assert.deepEqual(pull.getLocalPath(entries, 'main.css', './pulled/'), { path: path.join('src', 'css'), filePath: path.join('src', 'css', 'main.css'), coveredByPattern: true });
+    assert.deepEqual(pull.getLocalPath(entries, 'new.js', './pulled/'), { path: './pulled/', filePath: path.join('./pulled/', 'new.js'), coveredByPattern: false });
+});
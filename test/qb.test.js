@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const qb = require('../lib/qb');
+const diagnostics = require('../lib/diagnostics');
+
+const OK = (extra = '') => `<?xml version="1.0" ?><qdbapi><errcode>0</errcode><errtext>No error</errtext>${extra}</qdbapi>`;
+const ERROR = (errcode, errtext) => `<?xml version="1.0" ?><qdbapi><errcode>${errcode}</errcode><errtext>${errtext}</errtext></qdbapi>`;
+
+/**
+ * Starts a fake Quick Base realm on a free port.  respond is called with { action, body } for every request and returns
+ * [status, body].
+ * @param {Function} respond Returns the response for a request.
+ * @return {Promise<Object>} { realm, requests, close } - requests lists every { action, body } received.
+ */
+const startRealm = (respond) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+            const request = { action: req.headers['quickbase-action'], dbid: req.url.split('/')[2], body };
+            requests.push(request);
+            const [status, responseBody] = respond(request, requests);
+            res.writeHead(status, { 'Content-Type': 'text/xml' });
+            res.end(responseBody);
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ realm: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise((done) => server.close(done)) });
+        });
+    });
+};
+
+const page = (name, extra = {}) => ({ name, pagename: `D_1_${name}`, pagebody: name, dependencies: [], ...extra });
+
+// keep the backoff short so the retries do not slow the tests down
+qb.configure({ retries: 3, retryDelay: 1, maxRetryDelay: 5 });
+
+test('the page ID and the page list are read from the <qdbapi> response', async (t) => {
+    const schema = '<table><name>App</name><pages><page id="1" type="1">Default Overview</page><page id="7" type="1">D_1_app.js</page></pages></table>';
+    const fake = await startRealm((request) => (request.action === 'API_GetSchema' ? [200, OK(schema)] : [200, OK('<pageID>7</pageID>')]));
+    t.after(fake.close);
+
+    const result = await qb.addUpdateDbPage('bq1', fake.realm, 'token', null, ['D_1_app.js', 'code']);
+    assert.equal(result.pageID, '7');
+    assert.deepEqual(await qb.listDbPages('bq1', fake.realm, 'token'), [
+        { id: '1', name: 'Default Overview', type: '1' },
+        { id: '7', name: 'D_1_app.js', type: '1' },
+    ]);
+});
+
+test('page names are escaped in the request XML', async (t) => {
+    const fake = await startRealm(() => [200, OK('<pageID>1</pageID>')]);
+    t.after(fake.close);
+
+    await qb.addUpdateDbPage('bq1', fake.realm, 'token', null, ['D_1_a&b<1>.js', 'code']);
+    await qb.getDbPage('bq1', fake.realm, 'token', null, 'D_1_a&b.js');
+    assert.match(fake.requests[0].body, /<pagename>D_1_a&amp;b&lt;1&gt;\.js<\/pagename>/);
+    assert.match(fake.requests[1].body, /<pageID>D_1_a&amp;b\.js<\/pageID>/);
+});
+
+test('transient errors are retried until the request succeeds', async (t) => {
+    const fake = await startRealm((request, requests) => (requests.length < 3 ? [503, 'busy'] : [200, OK('<pageID>7</pageID>')]));
+    t.after(fake.close);
+
+    const result = await qb.addUpdateDbPage('bq1', fake.realm, 'token', null, ['D_1_app.js', 'code']);
+    assert.equal(result.pageID, '7');
+    assert.equal(fake.requests.length, 3);
+});
+
+test('rate limit errcodes are retried and other errors are not', async (t) => {
+    const fake = await startRealm((request, requests) => {
+        if (request.body.includes('throttled') && requests.length < 2) {
+            return [400, ERROR('77', 'API request limit exceeded')];
+        }
+        return request.body.includes('denied') ? [400, ERROR('4', 'User not authorized')] : [200, OK()];
+    });
+    t.after(fake.close);
+
+    await qb.addUpdateDbPage('bq1', fake.realm, 'token', null, ['D_1_throttled.js', 'throttled']);
+    assert.equal(fake.requests.length, 2);
+
+    await assert.rejects(qb.addUpdateDbPage('bq1', fake.realm, 'token', null, ['D_1_denied.js', 'denied']), (error) => {
+        assert.equal(error.errcode, '4');
+        assert.equal(error.errtext, 'User not authorized');
+        return true;
+    });
+    assert.equal(fake.requests.length, 3);
+});
+
+test('a request that keeps failing gives up after the configured retries', async (t) => {
+    const fake = await startRealm(() => [400, ERROR('100', 'Technical difficulties')]);
+    t.after(fake.close);
+
+    await assert.rejects(qb.addUpdateDbPage('bq1', fake.realm, 'token', null, ['D_1_app.js', 'code']), /Technical difficulties \(errcode 100\)/);
+    assert.equal(fake.requests.length, 4);
+});
+
+test('uploadDbPages uploads the index page last and skips pages whose dependencies failed', async (t) => {
+    const fake = await startRealm((request) => (request.body.includes('<pagename>D_1_broken.js') ? [400, ERROR('4', 'User not authorized')] : [200, OK('<pageID>1</pageID>')]));
+    t.after(fake.close);
+
+    const pages = [
+        page('index.html', { isIndexFile: true }),
+        page('broken.js'),
+        page('uses-broken.js', { dependencies: ['broken.js'] }),
+        page('main.css'),
+    ];
+    const outcomes = await qb.uploadDbPages('bq1', fake.realm, 'token', null, pages, { concurrency: 3 });
+
+    assert.deepEqual(outcomes.map((outcome) => outcome.page.name), ['index.html', 'broken.js', 'uses-broken.js', 'main.css']);
+    assert.equal(outcomes[0].error, null);
+    assert.equal(outcomes[1].error.errcode, '4');
+    assert.match(outcomes[2].error.message, /Not deployed because D_1_broken\.js failed to deploy/);
+    assert.equal(outcomes[3].error, null);
+
+    const uploaded = fake.requests.map((request) => request.body.match(/<pagename>(.*?)<\/pagename>/)[1]);
+    assert.deepEqual(uploaded.slice().sort(), ['D_1_broken.js', 'D_1_index.html', 'D_1_main.css']);
+    assert.equal(uploaded[uploaded.length - 1], 'D_1_index.html');
+});
+
+test('an error in a <qdbapi> response marks the page as failed with the errcode guidance', async (t) => {
+    // Quick Base answers some errors with HTTP 200, others with an HTTP error status (X_QUICKBASE_RETURN_HTTP_ERROR)
+    const fake = await startRealm((request) => {
+        if (request.body.includes('<pagename>D_1_app.js')) {
+            return [200, ERROR('24', 'Invalid application token')];
+        }
+        return request.body.includes('<pagename>D_1_main.css') ? [400, ERROR('24', 'Invalid application token')] : [200, OK('<pageID>3</pageID>')];
+    });
+    t.after(fake.close);
+
+    const outcomes = await qb.uploadDbPages('bq1', fake.realm, 'token', null, [page('app.js'), page('main.css'), page('other.js')]);
+    [outcomes[0], outcomes[1]].forEach((outcome) => {
+        assert.equal(outcome.result, null);
+        assert.equal(outcome.error.errcode, '24');
+        assert.equal(outcome.error.message, 'Invalid application token (errcode 24)');
+        assert.match(diagnostics.getGuidance(outcome.error), /requires an application token/);
+    });
+    assert.equal(outcomes[2].error, null);
+    assert.equal(outcomes[2].result.pageID, '3');
+});
+
+test('ticket authentication signs in once, shares the sign in and signs in again when the ticket is rejected', async (t) => {
+    let tickets = 0;
+    let rejectNext = false;
+    const fake = await startRealm((request) => {
+        if (request.action === 'API_Authenticate') {
+            tickets++;
+            return [200, OK(`<action>API_Authenticate</action><ticket>ticket${tickets}</ticket><userid>u1</userid>`)];
+        }
+        if (rejectNext) {
+            rejectNext = false;
+            return [400, ERROR('4', 'User not authorized')];
+        }
+        return [200, OK('<pageID>1</pageID>')];
+    });
+    t.after(fake.close);
+
+    const issued = [];
+    qb.useTicketAuth(fake.realm, 'bq1', { username: 'me@example.com', password: 'a&b', onTicket: (ticket, expiresAt) => issued.push({ ticket, expiresAt }) });
+
+    await Promise.all([
+        qb.addUpdateDbPage('bq1', fake.realm, null, 'app-token', ['D_1_a.js', 'a']),
+        qb.addUpdateDbPage('bq1', fake.realm, null, 'app-token', ['D_1_b.js', 'b']),
+    ]);
+    const signIn = fake.requests.find((request) => request.action === 'API_Authenticate');
+    assert.equal(signIn.dbid, 'main');
+    assert.match(signIn.body, /<password>a&amp;b<\/password>/);
+    assert.equal(issued.length, 1);
+    assert.ok(issued[0].expiresAt > Date.now());
+    fake.requests
+        .filter((request) => request.action === 'API_AddReplaceDBPage')
+        .forEach((request) => {
+            assert.match(request.body, /<ticket>ticket1<\/ticket>/);
+            assert.doesNotMatch(request.body, /<usertoken>/);
+        });
+
+    // the ticket expired mid-deploy - sign in again and send the request once more
+    rejectNext = true;
+    await qb.addUpdateDbPage('bq1', fake.realm, null, 'app-token', ['D_1_c.js', 'c']);
+    assert.equal(tickets, 2);
+    assert.deepEqual(issued.map((item) => item.ticket), ['ticket1', 'ticket2']);
+    assert.match(fake.requests[fake.requests.length - 1].body, /<ticket>ticket2<\/ticket>/);
+});
+
+test('ticket authentication uses a saved ticket until it is about to expire', async (t) => {
+    const fake = await startRealm((request) => (request.action === 'API_Authenticate' ? [200, OK('<ticket>fresh</ticket>')] : [200, OK()]));
+    t.after(fake.close);
+
+    qb.useTicketAuth(fake.realm, 'saved', { username: 'me@example.com', password: 'pw', ticket: 'saved-ticket', expiresAt: Date.now() + 60 * 60 * 1000 });
+    await qb.addUpdateDbPage('saved', fake.realm, null, null, ['D_1_a.js', 'a']);
+    assert.deepEqual(fake.requests.map((request) => request.action), ['API_AddReplaceDBPage']);
+    assert.match(fake.requests[0].body, /<ticket>saved-ticket<\/ticket>/);
+
+    qb.useTicketAuth(fake.realm, 'expiring', { username: 'other@example.com', password: 'pw', ticket: 'old-ticket', expiresAt: Date.now() + 1000 });
+    await qb.addUpdateDbPage('expiring', fake.realm, null, null, ['D_1_a.js', 'a']);
+    assert.deepEqual(fake.requests.slice(1).map((request) => request.action), ['API_Authenticate', 'API_AddReplaceDBPage']);
+    assert.match(fake.requests[2].body, /<ticket>fresh<\/ticket>/);
+});
+
+test('a rejected password is reported with the Quick Base error', async (t) => {
+    const fake = await startRealm((request) => (request.body.includes('<username>http@example.com') ? [400, ERROR('20', 'Unknown username/password')] : [200, ERROR('20', 'Unknown username/password')]));
+    t.after(fake.close);
+
+    // with and without an HTTP error status
+    qb.useTicketAuth(fake.realm, 'bq2', { username: 'http@example.com', password: 'wrong' });
+    await assert.rejects(qb.addUpdateDbPage('bq2', fake.realm, null, null, ['D_1_a.js', 'a']), { errcode: '20', message: 'Unknown username/password (errcode 20)' });
+    qb.useTicketAuth(fake.realm, 'bq3', { username: 'ok@example.com', password: 'wrong' });
+    await assert.rejects(qb.addUpdateDbPage('bq3', fake.realm, null, null, ['D_1_a.js', 'a']), { errcode: '20' });
+    assert.deepEqual(fake.requests.map((request) => request.action), ['API_Authenticate', 'API_Authenticate']);
+});
+
+test('a sign in that returns no ticket is refused', async (t) => {
+    const fake = await startRealm(() => [200, OK('<action>API_Authenticate</action>')]);
+    t.after(fake.close);
+
+    qb.useTicketAuth(fake.realm, 'bq4', { username: 'none@example.com', password: 'pw' });
+    await assert.rejects(qb.addUpdateDbPage('bq4', fake.realm, null, null, ['D_1_a.js', 'a']), /API_Authenticate did not return a ticket for none@example\.com/);
+    assert.equal(fake.requests.length, 1);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const serve = require('../lib/serve');
+
+const pages = [
+    { name: 'app.js', pagename: 'D_1_app.js', filePath: path.join('src', 'app.js'), contents: 'console.log("local");' },
+    { name: 'index.html', pagename: 'D_1_index.html', filePath: path.join('src', 'index.html'), contents: '<h1>local</h1>' },
+];
+
+/**
+ * Starts a server on a free port until the test ends.
+ * @param {Object} t The test context.
+ * @param {Object} server The http.Server.
+ * @return {Promise<String>} The server's base URL.
+ */
+const listen = (t, server) => {
+    t.after(() => new Promise((done) => server.close(done)));
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+};
+
+/**
+ * Sends a request and resolves with { status, contentType, body }.
+ * @param {String} url The URL.
+ * @param {Object} options { method, headers, body }
+ */
+const request = (url, { method = 'GET', headers = {}, body = '' } = {}) => {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method, headers }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => (data += chunk));
+            res.on('end', () => resolve({ status: res.statusCode, contentType: res.headers['content-type'], body: data }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+};
+
+test('getContentType follows the page name extension and defaults to HTML', () => {
+    assert.equal(serve.getContentType('D_1_app.js'), 'application/javascript; charset=utf-8');
+    assert.equal(serve.getContentType('D_1_main.CSS'), 'text/css; charset=utf-8');
+    assert.equal(serve.getContentType('D_1_report'), 'text/html; charset=utf-8');
+});
+
+test('findPage matches the page name, the name without the prefix or a saved page ID', () => {
+    const find = (query) => serve.findPage(pages, new URLSearchParams(query), { 'index.html': 12 });
+    assert.equal(find('a=dbpage&pagename=D_1_app.js').name, 'app.js');
+    assert.equal(find('a=dbpage&pagename=app.js').name, 'app.js');
+    assert.equal(find('a=dbpage&pageID=12').name, 'index.html');
+    assert.equal(find('a=dbpage&pageid=12').name, 'index.html');
+    assert.equal(find('a=dbpage&pageID=13'), null);
+    assert.equal(find('a=dbpage'), null);
+});
+
+test('dbpage requests are answered from the local files and API calls with a stub', async (t) => {
+    const stubs = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-serve-'));
+    t.after(() => fs.rmSync(stubs, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(stubs, 'API_DoQuery.xml'), '<qdbapi><errcode>0</errcode><record><name>stubbed</name></record></qdbapi>');
+    const lines = [];
+    const base = await listen(t, serve.createServer({ loadPages: async () => pages, pageIdsByName: { 'index.html': 12 }, stubs, log: (line) => lines.push(line) }));
+
+    const page = await request(`${base}/db/bq1?a=dbpage&pagename=D_1_app.js`);
+    assert.deepEqual(page, { status: 200, contentType: 'application/javascript; charset=utf-8', body: 'console.log("local");' });
+    assert.equal((await request(`${base}/db/bq1?a=dbpage&pageID=12`)).body, '<h1>local</h1>');
+    assert.equal((await request(`${base}/db/bq1?a=dbpage&pagename=D_1_other.js`)).status, 404);
+    assert.equal((await request(`${base}/favicon.ico`)).status, 404);
+
+    const stubbed = await request(`${base}/db/bq1`, { method: 'POST', headers: { 'QUICKBASE-ACTION': 'API_DoQuery' }, body: '<qdbapi></qdbapi>' });
+    assert.match(stubbed.body, /<name>stubbed<\/name>/);
+    const empty = await request(`${base}/db/bq1?a=API_GetUserInfo`);
+    assert.match(empty.body, /^<\?xml version="1\.0" \?>\n<qdbapi><action>API_GetUserInfo<\/action><errcode>0<\/errcode>/);
+    assert.ok(lines.includes(`GET /db/bq1?a=dbpage&pagename=D_1_app.js -> ${path.join('src', 'app.js')}`));
+});
+
+test('requests the project cannot answer are sent on to the upstream realm', async (t) => {
+    const received = [];
+    const upstream = await listen(t, http.createServer((req, res) => {
+        received.push({ url: req.url, host: req.headers.host });
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('from the realm');
+    }));
+    const base = await listen(t, serve.createServer({ loadPages: async () => pages, pageIdsByName: {}, upstream, log: () => {} }));
+
+    assert.equal((await request(`${base}/db/bq1?a=dbpage&pagename=D_1_app.js`)).body, 'console.log("local");');
+    const proxied = await request(`${base}/db/bq1?a=dbpage&pagename=Shared.html`);
+    assert.equal(proxied.body, 'from the realm');
+    assert.deepEqual(received, [{ url: '/db/bq1?a=dbpage&pagename=Shared.html', host: new URL(upstream).host }]);
+});
+
+test('a page that cannot be built is answered with the error', async (t) => {
+    const base = await listen(t, serve.createServer({ loadPages: async () => { throw new Error('circular dependency'); }, pageIdsByName: {}, log: () => {} }));
+    const response = await request(`${base}/db/bq1?a=dbpage&pagename=D_1_app.js`);
+    assert.equal(response.status, 500);
+    assert.equal(response.body, 'circular dependency');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const qb = require('../lib/qb');
+const snapshots = require('../lib/snapshots');
+
+const target = { deploymentType: 'prod', realmUrl: 'https://acme.quickbase.com', dbid: 'bq1', usertoken: 'token', apptoken: null };
+
+/**
+ * Makes a temporary directory the working directory until the test ends.
+ * @param {Object} t The test context.
+ */
+const useProject = (t) => {
+    const startDirectory = process.cwd();
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-snapshots-'));
+    t.after(() => {
+        process.chdir(startDirectory);
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    process.chdir(root);
+};
+
+test('a snapshot saves the live body of every page about to change', async (t) => {
+    useProject(t);
+    t.mock.method(qb, 'listDbPages', async () => [{ id: '7', name: 'P_1_app.js', type: '1' }]);
+    t.mock.method(qb, 'getDbPage', async (dbid, realmUrl, usertoken, apptoken, pageId) => `live body of ${pageId}`);
+
+    const snapshotPath = await snapshots.createSnapshot('prod', target, [{ pagename: 'P_1_app.js' }, { pagename: 'P_1_new.js' }]);
+    assert.equal(path.dirname(snapshotPath), snapshots.getSnapshotDirectory('prod'));
+
+    const [snapshot] = snapshots.listSnapshots('prod');
+    assert.equal(snapshot.snapshotPath, snapshotPath);
+    assert.equal(snapshot.realmUrl, 'https://acme.quickbase.com');
+    assert.equal(snapshot.dbid, 'bq1');
+    assert.deepEqual(snapshot.pages, [
+        { pagename: 'P_1_app.js', existed: true, pageID: '7', body: 'live body of 7' },
+        { pagename: 'P_1_new.js', existed: false, pageID: null, body: null },
+    ]);
+    assert.deepEqual(snapshots.listSnapshots('dev'), []);
+});
+
+test('restoring a snapshot writes back the pages that existed and lists the ones that did not', async (t) => {
+    const uploads = [];
+    t.mock.method(qb, 'addUpdateDbPage', async (dbid, realmUrl, usertoken, apptoken, [pagename, body]) => {
+        if (pagename === 'P_1_locked.js') {
+            throw new Error('User not authorized');
+        }
+        uploads.push({ dbid, pagename, body });
+        return { pageID: '7' };
+    });
+
+    const result = await snapshots.restoreSnapshot({
+        pages: [
+            { pagename: 'P_1_app.js', existed: true, pageID: '7', body: 'a ]]> b' },
+            { pagename: 'P_1_new.js', existed: false, pageID: null, body: null },
+            { pagename: 'P_1_locked.js', existed: true, pageID: '8', body: 'locked' },
+        ],
+    }, target);
+
+    assert.deepEqual(result.restored, ['P_1_app.js']);
+    assert.deepEqual(result.notExisting, ['P_1_new.js']);
+    assert.deepEqual(result.failed.map(({ pagename, message }) => ({ pagename, message })), [{ pagename: 'P_1_locked.js', message: 'User not authorized' }]);
+    assert.deepEqual(uploads, [{ dbid: 'bq1', pagename: 'P_1_app.js', body: 'a ]]]]><![CDATA[> b' }]);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const targets = require('../lib/targets');
+
+const ENV = {
+    QB_USERTOKEN: 'prod_usertoken_1234',
+    QB_APP_TOKEN: 'prod_apptoken_1234',
+    QB_DEV_USERTOKEN: 'dev_usertoken_5678',
+    QB_DEV_APP_TOKEN: 'dev_apptoken_5678',
+};
+
+test('getRealmUrl accepts a realm name, a host name or a URL', () => {
+    assert.equal(targets.getRealmUrl('acme'), 'https://acme.quickbase.com');
+    assert.equal(targets.getRealmUrl('acme.quickbase.com/'), 'https://acme.quickbase.com');
+    assert.equal(targets.getRealmUrl('http://127.0.0.1:8080/'), 'http://127.0.0.1:8080');
+    assert.equal(targets.getRealmUrl(''), null);
+});
+
+test('every deployment type goes to the one application unless dev and prod are separate', () => {
+    const qbcliConfigs = { realm: 'acme', dbid: 'bq1', devDbid: 'bq2' };
+    ['feat', 'dev', 'prod'].forEach((deploymentType) => {
+        const target = targets.resolveTarget(deploymentType, qbcliConfigs, ENV);
+        assert.equal(target.deploymentType, deploymentType);
+        assert.equal(target.application, 'prod');
+        assert.equal(target.realmUrl, 'https://acme.quickbase.com');
+        assert.equal(target.dbid, 'bq1');
+        assert.equal(target.usertoken, 'prod_usertoken_1234');
+    });
+});
+
+test('feat and dev deployments go to the dev application with the dev tokens', () => {
+    const qbcliConfigs = { realm: 'acme', dbid: 'bq1', devDbid: 'bq2', devAndProdQuickBaseApplications: 'yes' };
+
+    ['feat', 'dev'].forEach((deploymentType) => {
+        const target = targets.resolveTarget(deploymentType, qbcliConfigs, ENV);
+        assert.equal(target.application, 'dev');
+        assert.equal(target.dbid, 'bq2');
+        assert.equal(target.usertoken, 'dev_usertoken_5678');
+        assert.equal(target.apptoken, 'dev_apptoken_5678');
+    });
+
+    const prod = targets.resolveTarget('prod', qbcliConfigs, ENV);
+    assert.equal(prod.dbid, 'bq1');
+    assert.equal(prod.usertoken, 'prod_usertoken_1234');
+    assert.equal(prod.apptoken, 'prod_apptoken_1234');
+});
+
+test('the dev application falls back to the prod realm and user token, but not to the prod app token', () => {
+    const qbcliConfigs = { realm: 'acme', dbid: 'bq1', devDbid: 'bq2', devAndProdQuickBaseApplications: 'yes' };
+    const target = targets.resolveTarget('dev', qbcliConfigs, { QB_USERTOKEN: 'prod_usertoken_1234', QB_APP_TOKEN: 'prod_apptoken_1234' });
+    assert.equal(target.realmUrl, 'https://acme.quickbase.com');
+    assert.equal(target.usertoken, 'prod_usertoken_1234');
+    assert.equal(target.apptoken, null);
+
+    const devRealm = targets.resolveTarget('dev', { ...qbcliConfigs, devRealm: 'acme-dev' }, ENV);
+    assert.equal(devRealm.realmUrl, 'https://acme-dev.quickbase.com');
+});
+
+test('the realm and dbid can come from the environment', () => {
+    const target = targets.resolveTarget('prod', {}, { ...ENV, QB_REALM: 'acme', QB_DBID: 'bq9' });
+    assert.equal(target.realmUrl, 'https://acme.quickbase.com');
+    assert.equal(target.dbid, 'bq9');
+});
+
+test('getMissingTargetFields lists what a deployment still needs', () => {
+    assert.deepEqual(targets.getMissingTargetFields(targets.resolveTarget('prod', { realm: 'acme' }, {})), ['dbid', 'usertoken']);
+    assert.deepEqual(targets.getMissingTargetFields(targets.resolveTarget('prod', { realm: 'acme', dbid: 'bq1', auth: { prod: 'ticket' } }, ENV)), ['username', 'password']);
+    assert.deepEqual(targets.getMissingTargetFields(targets.resolveTarget('prod', { realm: 'acme', dbid: 'bq1' }, ENV)), []);
+});
+
+test('tokens are masked in the target summary and left out of its JSON', () => {
+    const target = targets.resolveTarget('prod', { realm: 'acme', dbid: 'bq1' }, ENV);
+    const lines = targets.describeTarget(target).join('\n');
+    assert.match(lines, /User token: {2}\*\*\*\*1234/);
+    assert.equal(lines.includes('prod_usertoken_1234'), false);
+    assert.deepEqual(targets.toJSON(target), { deploymentType: 'prod', application: 'prod', auth: 'usertoken', realmUrl: 'https://acme.quickbase.com', dbid: 'bq1' });
+});
+
+test('createTarget builds a target from a realm and dbid with the QB_ tokens', () => {
+    const target = targets.createTarget({ deploymentType: 'dev', realm: 'https://acme.quickbase.com', dbid: 'bq7' }, ENV);
+    assert.deepEqual(targets.toJSON(target), { deploymentType: 'dev', application: 'dev', auth: 'usertoken', realmUrl: 'https://acme.quickbase.com', dbid: 'bq7' });
+    assert.equal(target.usertoken, 'prod_usertoken_1234');
+    assert.equal(target.apptoken, 'prod_apptoken_1234');
+    assert.deepEqual(targets.getMissingTargetFields(target), []);
+
+    const fromEnvironment = targets.createTarget({ deploymentType: 'prod', auth: 'ticket' }, { QB_REALM: 'acme', QB_DBID: 'bq8', QB_USERNAME: 'dev@example.com', QB_PASSWORD: 'secret' });
+    assert.equal(fromEnvironment.realmUrl, 'https://acme.quickbase.com');
+    assert.equal(fromEnvironment.dbid, 'bq8');
+    assert.equal(fromEnvironment.username, 'dev@example.com');
+    assert.deepEqual(targets.getMissingTargetFields(fromEnvironment), []);
+    assert.deepEqual(targets.getMissingTargetFields(targets.createTarget({ deploymentType: 'prod' }, {})), ['realm', 'dbid', 'usertoken']);
+});
+
+test('named environments go to their own dbid and realm with their own tokens', () => {
+    const qbcliConfigs = { realm: 'acme', dbid: 'bq1', environments: { uat: { dbid: 'bq5' }, training: { realm: 'acme-training', dbid: 'bq6' } } };
+    const uat = targets.resolveTarget('uat', qbcliConfigs, { ...ENV, QB_UAT_USERTOKEN: 'uat_usertoken_9999' });
+    assert.deepEqual(targets.toJSON(uat), { deploymentType: 'uat', application: 'uat', auth: 'usertoken', realmUrl: 'https://acme.quickbase.com', dbid: 'bq5' });
+    assert.equal(uat.usertoken, 'uat_usertoken_9999');
+    assert.equal(uat.apptoken, null);
+
+    // without QB_TRAINING_USERTOKEN the prod user token is used
+    const training = targets.resolveTarget('training', qbcliConfigs, ENV);
+    assert.equal(training.realmUrl, 'https://acme-training.quickbase.com');
+    assert.equal(training.usertoken, 'prod_usertoken_1234');
+});
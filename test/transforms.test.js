@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pipeline = require('../lib/pipeline');
+const transforms = require('../lib/transforms');
+const diagnostics = require('../lib/diagnostics');
+
+const context = { deploymentType: 'prod', prefix: 'P_1_', filePath: path.join('src', 'app.js'), name: 'app.js' };
+
+/**
+ * Makes a temporary directory with the given files the working directory until the test ends.
+ * @param {Object} t The test context.
+ * @param {Object} projectFiles Relative path -> contents.
+ */
+const useProject = (t, projectFiles) => {
+    const startDirectory = process.cwd();
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-transforms-'));
+    t.after(() => {
+        process.chdir(startDirectory);
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    Object.keys(projectFiles).forEach((relativePath) => {
+        fs.mkdirSync(path.dirname(path.join(root, relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(root, relativePath), projectFiles[relativePath]);
+    });
+    process.chdir(root);
+};
+
+test('getTransformsForFile runs the entry transforms first, then the matching top-level ones, for the environment', () => {
+    const topLevel = [
+        { use: 'minify', files: '*.js', environments: ['prod'] },
+        { use: 'banner', files: ['src/**/*.js'] },
+        { use: 'banner', files: '*.css' },
+    ];
+    const fileConf = { filename: 'app.js', path: './src/', transforms: [{ use: './scripts/strip.js' }, { use: 'banner', environments: ['dev'] }] };
+
+    assert.deepEqual(transforms.getTransformsForFile(topLevel, fileConf, context.filePath, 'prod').map((transform) => transform.use), ['./scripts/strip.js', 'minify', 'banner']);
+    assert.deepEqual(transforms.getTransformsForFile(topLevel, fileConf, context.filePath, 'dev').map((transform) => transform.use), ['./scripts/strip.js', 'banner', 'banner']);
+    assert.deepEqual(transforms.getTransformsForFile(undefined, { filename: 'app.js' }, context.filePath, 'prod'), []);
+});
+
+test('the built-in transforms add a banner and minify by file type', async () => {
+    const { contents, applied } = await transforms.applyTransforms(
+        'function add(first, second) {\n    return first + second;\n}\nconsole.log(add(1, 2));\n',
+        [{ use: 'minify' }, { use: 'banner', options: { text: '/* v1 */' } }],
+        context
+    );
+    assert.deepEqual(applied, ['minify', 'banner']);
+    assert.match(contents, /^\/\* v1 \*\/\n/);
+    assert.equal(contents.includes('\n    return'), false);
+
+    const css = await transforms.applyTransforms('body {\n    color: red;\n}\n', [{ use: 'minify' }], { ...context, filePath: 'main.css' });
+    assert.equal(css.contents, 'body{color:red}');
+    const text = await transforms.applyTransforms('a  b', [{ use: 'minify' }], { ...context, filePath: 'notes.txt' });
+    assert.equal(text.contents, 'a  b');
+});
+
+test('a custom transform is a local module that gets the contents, the context and its options', async (t) => {
+    useProject(t, {
+        'scripts/stamp.js': 'module.exports = (contents, context) => `${contents}\\n// ${context.deploymentType} ${context.name} ${context.options.label}`;',
+    });
+    const { contents } = await transforms.applyTransforms('code', [{ use: './scripts/stamp.js', options: { label: 'release' } }], context);
+    assert.equal(contents, 'code\n// prod app.js release');
+});
+
+test('transforms that cannot be loaded are config errors and failing transforms name the file', async (t) => {
+    useProject(t, {
+        'scripts/object.js': 'module.exports = {};',
+        'scripts/throws.js': 'module.exports = () => { throw new Error("bad input"); };',
+        'scripts/number.js': 'module.exports = () => 42;',
+    });
+
+    assert.throws(() => transforms.resolveTransform({ use: './scripts/missing.js' }), (err) => /Unable to load the transform "\.\/scripts\/missing\.js"/.test(err.message) && diagnostics.getExitCode(err) === 2);
+    assert.throws(() => transforms.resolveTransform({ use: './scripts/object.js' }), (err) => /must export a function/.test(err.message) && err.configError === true);
+    await assert.rejects(transforms.applyTransforms('code', [{ use: './scripts/throws.js' }], context), { message: `The "./scripts/throws.js" transform failed for ${context.filePath}: bad input` });
+    await assert.rejects(transforms.applyTransforms('code', [{ use: './scripts/number.js' }], context), /did not return a string/);
+});
+
+test('pages are hashed and deployed with the transformed contents', async (t) => {
+    useProject(t, { 'src/app.js': 'code' });
+    const options = { deploymentType: 'prod', transforms: [{ use: 'banner', files: '*.js', options: { text: '// banner' } }] };
+    const { pages } = await pipeline.buildPages([{ filename: 'app.js', path: './src/' }], 'P_1_', options);
+
+    assert.equal(pages[0].contents, '// banner\ncode');
+    assert.equal(pages[0].hash, pipeline.hashContents('// banner\ncode'));
+    assert.deepEqual(pages[0].transforms, ['banner']);
+});
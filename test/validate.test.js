@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const validate = require('../lib/validate');
+
+const env = {};
+const startDirectory = process.cwd();
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-validate-'));
+fs.mkdirSync(path.join(root, 'src'));
+fs.writeFileSync(path.join(root, 'src', 'index.html'), '<html></html>');
+fs.writeFileSync(path.join(root, 'src', 'app.js'), 'run();');
+fs.writeFileSync(path.join(root, 'src', 'empty.js'), '');
+process.chdir(root);
+test.after(() => {
+    process.chdir(startDirectory);
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+const configs = (extra = {}) => ({
+    schemaVersion: 1,
+    repositoryId: '1',
+    realm: 'acme',
+    dbid: 'bq1',
+    filesConf: [
+        { filename: 'app.js', path: './src/' },
+        { filename: 'index.html', path: './src/', dependencies: ['app.js'], isIndexFile: true },
+    ],
+    ...extra,
+});
+const paths = (problems) => problems.map((problem) => `${problem.path}: ${problem.message}`);
+
+test('a valid project has no errors or warnings', () => {
+    assert.deepEqual(validate.validateConfig(configs(), ['prod'], env), { errors: [], warnings: [] });
+});
+
+test('missing and empty files are warnings, as deployments skip them', () => {
+    const { errors, warnings } = validate.validateConfig(
+        configs({ filesConf: [...configs().filesConf, { filename: 'empty.js', path: './src/' }, { filename: 'gone.js', path: './src/' }, { glob: 'dist/*.js' }] }),
+        ['prod'],
+        env
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(paths(warnings), [
+        'filesConf: "dist/*.js" does not match any files - it will be skipped',
+        `filesConf[2]: ${path.normalize('src/empty.js')} is empty - it will be skipped`,
+        `filesConf[3]: ${path.normalize('src/gone.js')} does not exist - it will be skipped`,
+    ]);
+});
+
+test('settings, dependencies and index files that cannot work are errors', () => {
+    const { errors } = validate.validateConfig(
+        configs({
+            dbid: undefined,
+            filesConf: [
+                { filename: 'app.js', path: './src/', dependencies: ['missing.js'], isIndexFile: true },
+                { filename: 'index.html', path: './src/', isIndexFile: true },
+            ],
+        }),
+        ['prod'],
+        env
+    );
+    assert.deepEqual(paths(errors), [
+        'dbid: is required for prod deployments',
+        'filesConf: flags app.js, index.html as isIndexFile - only one file can be the index file',
+        'filesConf[0].dependencies[0]: "missing.js" is not a page in filesConf',
+    ]);
+});
+
+test('circular dependencies and newer schema versions are refused', () => {
+    const circular = configs({
+        filesConf: [
+            { filename: 'app.js', path: './src/', dependencies: ['index.html'] },
+            { filename: 'index.html', path: './src/', dependencies: ['app.js'] },
+        ],
+    });
+    assert.match(paths(validate.validateConfig(circular, ['prod'], env).errors)[0], /Circular dependency in filesConf/);
+    assert.match(paths(validate.validateConfig(configs({ schemaVersion: 2 }), ['prod'], env).errors)[0], /only understands version 1/);
+});
+
+test('unknown and old settings are warnings, values of the wrong type are errors', () => {
+    const { errors, warnings } = validate.validateConfig(configs({ customPrefix: 'D', colour: 'blue', devAndProdQuickBaseApplications: 'maybe' }), ['prod'], env);
+    assert.deepEqual(paths(warnings), [
+        'qbcli.json: has the old "customPrefix" setting, which is no longer read - use "devPrefix" (deployqb migrate renames it)',
+        'qbcli.json: has an unknown property "colour", which is ignored',
+    ]);
+    assert.equal(errors.length, 1);
+    assert.match(paths(errors)[0], /^devAndProdQuickBaseApplications: must be one of /);
+});
+
+test('a file listed twice and environments named after built-in environments or commands are errors', () => {
+    const { errors } = validate.validateConfig(
+        configs({
+            environments: { prod: { dbid: 'bq2' }, plan: { dbid: 'bq3' } },
+            filesConf: [...configs().filesConf, { filename: 'app.js', path: './src/' }],
+        }),
+        ['prod'],
+        env
+    );
+    assert.deepEqual(paths(errors), [
+        'environments.prod: cannot be declared - prod is a built-in environment, set up at the top of qbcli.json',
+        'environments.plan: cannot be used as an environment name - "plan" is a deployqb command',
+        'filesConf[2]: lists "app.js" again - it is already filesConf[0]',
+    ]);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const watch = require('../lib/watch');
+
+const page = (name, hash, dependencies = []) => ({ name, pagename: `F_1_${name}`, hash, dependencies });
+
+test('getWatchPaths watches the files, globs and directories in filesConf', () => {
+    assert.deepEqual(watch.getWatchPaths([
+        { filename: 'index.html', path: './src/' },
+        { glob: ['src/css/*.css', 'src/fonts/*.woff'] },
+        { directory: 'src/js' },
+    ]), [path.join('src', 'index.html'), 'src/css/*.css', 'src/fonts/*.woff', 'src/js']);
+});
+
+test('getPagesToRedeploy adds every page that depends on a changed page', () => {
+    const pages = [page('util.js', 'u2'), page('app.js', 'a1', ['util.js']), page('index.html', 'i1', ['app.js']), page('help.html', 'h1')];
+    const deployed = { 'F_1_util.js': 'u1', 'F_1_app.js': 'a1', 'F_1_index.html': 'i1', 'F_1_help.html': 'h1' };
+
+    assert.deepEqual(watch.getPagesToRedeploy(pages, deployed).map((item) => item.name), ['util.js', 'app.js', 'index.html']);
+    assert.deepEqual(watch.getPagesToRedeploy(pages, { ...deployed, 'F_1_util.js': 'u2' }), []);
+    assert.deepEqual(watch.getPagesToRedeploy(pages, {}).map((item) => item.name), ['util.js', 'app.js', 'index.html', 'help.html']);
+});
+
+test('watchFiles reports a burst of changes once it has settled', async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deployqb-watch-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const first = path.join(root, 'app.js');
+    const second = path.join(root, 'index.html');
+    fs.writeFileSync(first, 'one');
+    fs.writeFileSync(second, 'one');
+
+    const calls = [];
+    let watcher;
+    await new Promise((resolve, reject) => {
+        watcher = watch.watchFiles([first, second], (changes) => {
+            calls.push(changes.sort());
+            resolve();
+        }, 100);
+        watcher.on('error', reject);
+        watcher.on('ready', () => {
+            fs.writeFileSync(first, 'two');
+            fs.writeFileSync(second, 'two');
+        });
+    });
+    await watcher.close();
+
+    assert.deepEqual(calls, [[first, second].sort()]);
+});